@@ -1,16 +1,40 @@
 import express from "express";
 import { WebSocketServer } from "ws";
-import BatchManager from "../scripts/batch_manager.js";
+import BatchManager, { ARTIFACTS_DIR } from "../scripts/batch_manager.js";
+import { listProfiles, listTools } from "../scripts/tools/index.js";
+import RetentionManager from "../scripts/retention.js";
+import Scheduler from "../scripts/scheduler.js";
 const app = express();
 const PORT = 3001;
 const WS_PORT = 3002;
 
+// Разрешенные origin для CORS через запятую (по умолчанию - frontend стенда)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "http://localhost:5173")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+// Токен для изменения allowlist целей; без него admin API только для чтения
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
 // Инициализация Batch Manager
 const batchManager = new BatchManager();
 
+// Планировщик повторяющихся batch'ей
+const scheduler = new Scheduler(batchManager, ARTIFACTS_DIR);
+scheduler.start();
+
+// Фоновая очистка старых артефактов
+const retention = new RetentionManager(batchManager, ARTIFACTS_DIR);
+retention.start();
+
 try {
   app.use((req, res, next) => {
-    res.header("Access-Control-Allow-Origin", "*");
+    if (CORS_ORIGINS.includes("*")) {
+      res.header("Access-Control-Allow-Origin", "*");
+    } else if (CORS_ORIGINS.includes(req.headers.origin)) {
+      res.header("Access-Control-Allow-Origin", req.headers.origin);
+      res.header("Vary", "Origin");
+    }
     res.header(
       "Access-Control-Allow-Methods",
       "GET,POST,PUT,PATCH,DELETE,OPTIONS",
@@ -31,6 +55,27 @@ app.get("/api/ping", (req, res) => {
   res.json({ message: "pong" });
 });
 
+/**
+ * Проверить токен администратора (Authorization: Bearer <ADMIN_TOKEN>)
+ */
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({
+      success: false,
+      error: "Admin API is disabled, set ADMIN_TOKEN to enable it",
+      code: "ADMIN_DISABLED",
+    });
+  }
+  if (req.headers.authorization !== `Bearer ${ADMIN_TOKEN}`) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid admin token",
+      code: "ADMIN_UNAUTHORIZED",
+    });
+  }
+  next();
+};
+
 // Удален одиночный API endpoint - теперь все через batch API
 
 // Batch API endpoints
@@ -44,9 +89,11 @@ app.post("/api/batch/create", (req, res) => {
       message: `Batch created with ${config.repetitions} runs`,
     });
   } catch (error) {
-    res.status(500).json({
+    // Ошибки проверки цели приходят с кодом (INVALID_TARGET_URL, TARGET_NOT_ALLOWED)
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
+      code: error.code,
     });
   }
 });
@@ -54,6 +101,20 @@ app.post("/api/batch/create", (req, res) => {
 app.post("/api/batch/:batchId/start", async (req, res) => {
   try {
     const { batchId } = req.params;
+    const batch = batchManager.getBatchStatus(batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: `Batch ${batchId} not found`,
+      });
+    }
+    if (batch.status !== "created") {
+      return res.status(409).json({
+        success: false,
+        error: `Batch ${batchId} cannot be started from status ${batch.status}`,
+      });
+    }
 
     // Запустить batch в фоне
     batchManager.startBatch(batchId).catch((error) => {
@@ -72,6 +133,202 @@ app.post("/api/batch/:batchId/start", async (req, res) => {
   }
 });
 
+app.post("/api/batch/:batchId/cancel", async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!batchManager.getBatchStatus(batchId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Batch ${batchId} not found`,
+      });
+    }
+
+    await batchManager.cancelBatch(batchId);
+
+    res.json({
+      success: true,
+      message: `Batch ${batchId} cancelled`,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.post("/api/batch/:batchId/pause", (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!batchManager.getBatchStatus(batchId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Batch ${batchId} not found`,
+      });
+    }
+
+    batchManager.pauseBatch(batchId);
+
+    res.json({
+      success: true,
+      message: `Batch ${batchId} paused`,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.post("/api/batch/:batchId/resume", (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!batchManager.getBatchStatus(batchId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Batch ${batchId} not found`,
+      });
+    }
+
+    batchManager.resumeBatch(batchId);
+
+    res.json({
+      success: true,
+      message: `Batch ${batchId} resumed`,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.post("/api/batch/:batchId/retry", (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { runIndices } = req.body || {};
+
+    if (!batchManager.getBatchStatus(batchId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Batch ${batchId} not found`,
+      });
+    }
+
+    const retried = batchManager.retryRuns(batchId, runIndices);
+
+    res.json({
+      success: true,
+      runIndices: retried,
+      message: `Retrying ${retried.length} runs of batch ${batchId}`,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.post("/api/batch/:batchId/runs/:runIndex/cancel", async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!/^\d+$/.test(req.params.runIndex)) {
+      return res.status(400).json({
+        success: false,
+        error: "runIndex must be a non-negative integer",
+      });
+    }
+    const runIndex = Number(req.params.runIndex);
+
+    if (!batchManager.getBatchStatus(batchId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Batch ${batchId} not found`,
+      });
+    }
+
+    const cancelled = await batchManager.cancelRun(batchId, runIndex);
+
+    res.json({
+      success: true,
+      cancelled: cancelled,
+      message: cancelled
+        ? `Run ${runIndex} of batch ${batchId} cancelled`
+        : `Run ${runIndex} of batch ${batchId} is already finished`,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.delete("/api/batch/:batchId", (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!batchManager.getBatchStatus(batchId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Batch ${batchId} not found`,
+      });
+    }
+
+    batchManager.deleteBatch(batchId);
+
+    res.json({
+      success: true,
+      message: `Batch ${batchId} deleted`,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.post("/api/batch/:batchId/pin", (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { pinned = true } = req.body || {};
+
+    if (typeof pinned !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        error: "pinned must be a boolean",
+      });
+    }
+
+    if (!batchManager.getBatchStatus(batchId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Batch ${batchId} not found`,
+      });
+    }
+
+    batchManager.setBatchPinned(batchId, pinned);
+
+    res.json({
+      success: true,
+      message: `Batch ${batchId} ${pinned ? "pinned" : "unpinned"}`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 app.get("/api/batch/:batchId/status", (req, res) => {
   try {
     const { batchId } = req.params;
@@ -96,6 +353,30 @@ app.get("/api/batch/:batchId/status", (req, res) => {
   }
 });
 
+app.get("/api/batch/:batchId/benchmark", (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const benchmark = batchManager.getBenchmark(batchId);
+
+    if (!benchmark) {
+      return res.status(404).json({
+        success: false,
+        error: `Batch ${batchId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      ...benchmark,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 app.get("/api/batch/active", (req, res) => {
   try {
     const activeBatches = batchManager.getActiveBatches();
@@ -111,6 +392,545 @@ app.get("/api/batch/active", (req, res) => {
   }
 });
 
+app.get("/api/batches", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...batchManager.listBatches(req.query),
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.get("/api/queue", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      queue: batchManager.getQueueStatus(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Tools API endpoints
+app.get("/api/tools", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tools: listTools(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.get("/api/tools/:tool/profiles", (req, res) => {
+  try {
+    const { tool } = req.params;
+    const profiles = listProfiles(tool);
+
+    if (!profiles) {
+      return res.status(404).json({
+        success: false,
+        error: `Tool ${tool} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      ...profiles,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Auth contexts API endpoints
+app.get("/api/auth-contexts", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      contexts: batchManager.authContexts.listContexts(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.post("/api/auth-contexts", (req, res) => {
+  try {
+    const context = batchManager.authContexts.createContext(req.body || {});
+    res.json({
+      success: true,
+      context: context,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.get("/api/auth-contexts/:contextId", (req, res) => {
+  try {
+    const { contextId } = req.params;
+    const context = batchManager.authContexts.getContext(contextId);
+
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        error: `Auth context ${contextId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      context: context,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.put("/api/auth-contexts/:contextId", (req, res) => {
+  try {
+    const { contextId } = req.params;
+    const context = batchManager.authContexts.updateContext(
+      contextId,
+      req.body || {},
+    );
+
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        error: `Auth context ${contextId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      context: context,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.delete("/api/auth-contexts/:contextId", (req, res) => {
+  try {
+    const { contextId } = req.params;
+
+    if (!batchManager.deleteAuthContext(contextId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Auth context ${contextId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Auth context ${contextId} deleted`,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Target catalog API endpoints
+app.get("/api/targets", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      targets: await batchManager.targetCatalog.list(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.get("/api/targets/:targetId", async (req, res) => {
+  try {
+    const { targetId } = req.params;
+    const target = batchManager.targetCatalog.get(targetId);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: `Target ${targetId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      target: await batchManager.targetCatalog.describe(target),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.post("/api/targets/:targetId/start", async (req, res) => {
+  try {
+    const { targetId } = req.params;
+
+    if (!batchManager.targetCatalog.get(targetId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Target ${targetId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      target: await batchManager.targetCatalog.start(targetId),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.post("/api/targets/:targetId/stop", async (req, res) => {
+  try {
+    const { targetId } = req.params;
+
+    if (!batchManager.targetCatalog.get(targetId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Target ${targetId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      target: await batchManager.targetCatalog.stop(targetId),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Ground truth API endpoints
+app.get("/api/ground-truth", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      datasets: batchManager.groundTruth.list(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.get("/api/ground-truth/:datasetId", (req, res) => {
+  try {
+    const { datasetId } = req.params;
+    const dataset = batchManager.groundTruth.get(datasetId);
+
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: `Ground truth dataset ${datasetId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      dataset: dataset,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Target allowlist API endpoints
+app.get("/api/admin/targets", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...batchManager.targetAllowlist.getStatus(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.put("/api/admin/targets", requireAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...batchManager.targetAllowlist.update(req.body || {}),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      code: "INVALID_ALLOWLIST",
+    });
+  }
+});
+
+app.post("/api/admin/targets/check", (req, res) => {
+  try {
+    const { targetUrl } = req.body || {};
+    batchManager.targetAllowlist.assertAllowed(targetUrl);
+    res.json({
+      success: true,
+      allowed: true,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      allowed: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+});
+
+// Retention API endpoints
+app.get("/api/retention", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...retention.getStatus(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.put("/api/retention", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...retention.updatePolicy(req.body || {}),
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.get("/api/retention/preview", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...retention.apply({ dryRun: true }),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.post("/api/retention/run", (req, res) => {
+  try {
+    const { dryRun = false } = req.body || {};
+    res.json({
+      success: true,
+      ...retention.apply({ dryRun: Boolean(dryRun) }),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Schedules API endpoints
+app.get("/api/schedules", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      schedules: scheduler.listSchedules(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.post("/api/schedules", (req, res) => {
+  try {
+    const schedule = scheduler.createSchedule(req.body);
+    res.json({
+      success: true,
+      schedule: schedule,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+});
+
+app.get("/api/schedules/:scheduleId", (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const schedule = scheduler.getSchedule(scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: `Schedule ${scheduleId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      schedule: schedule,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.put("/api/schedules/:scheduleId", (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const schedule = scheduler.updateSchedule(scheduleId, req.body);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: `Schedule ${scheduleId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      schedule: schedule,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+});
+
+app.delete("/api/schedules/:scheduleId", (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    if (!scheduler.deleteSchedule(scheduleId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Schedule ${scheduleId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Schedule ${scheduleId} deleted`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.post("/api/schedules/:scheduleId/run", (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    if (!scheduler.getSchedule(scheduleId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Schedule ${scheduleId} not found`,
+      });
+    }
+
+    const entry = scheduler.trigger(scheduleId);
+    if (entry.error) {
+      throw new Error(entry.error);
+    }
+    if (entry.skipped) {
+      return res.status(409).json({
+        success: false,
+        error: entry.skipped,
+      });
+    }
+
+    res.json({
+      success: true,
+      batchId: entry.batchId,
+      message: `Schedule ${scheduleId} started batch ${entry.batchId}`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // WebSocket сервер для real-time обновлений
 const wss = new WebSocketServer({ port: WS_PORT });
 
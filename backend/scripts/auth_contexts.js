@@ -0,0 +1,291 @@
+/**
+ * VKR Security Stand - Authentication Contexts
+ * Reusable login settings that batches attach to authenticate scanners
+ */
+
+import fs from "fs";
+import path from "path";
+
+const AUTH_CONTEXTS_FILE = "auth_contexts.json";
+
+/**
+ * Ошибка проверки входных данных (API отвечает 400)
+ */
+const validationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Значение секретов в ответах API
+export const SECRET_MASK = "********";
+
+/**
+ * Типы контекстов: обязательные поля и поля с секретами
+ * - form - логин через форму (URL, имена полей, учетные данные)
+ * - bearer - статический токен в заголовке Authorization
+ * - cookie - статическая строка Cookie ("name=value; name2=value2")
+ */
+export const AUTH_TYPES = {
+  form: {
+    required: [
+      "loginUrl",
+      "usernameField",
+      "passwordField",
+      "username",
+      "password",
+    ],
+    secrets: ["password"],
+  },
+  bearer: {
+    required: ["token"],
+    secrets: ["token"],
+  },
+  cookie: {
+    required: ["cookie"],
+    secrets: ["cookie"],
+  },
+};
+
+/**
+ * Заголовок для статических контекстов (bearer/cookie): { name, value }
+ */
+export const getAuthHeader = (auth) => {
+  if (auth.type === "bearer") {
+    return { name: "Authorization", value: `Bearer ${auth.token}` };
+  }
+  if (auth.type === "cookie") {
+    return { name: "Cookie", value: auth.cookie };
+  }
+  return null;
+};
+
+/**
+ * Поля формы логина в виде urlencoded строки
+ */
+export const getLoginFormData = (auth) =>
+  new URLSearchParams({
+    [auth.usernameField]: auth.username,
+    [auth.passwordField]: auth.password,
+  }).toString();
+
+const FIELDS = [
+  "loginUrl",
+  "usernameField",
+  "passwordField",
+  "username",
+  "password",
+  "token",
+  "cookie",
+  "loggedInIndicator",
+  "loggedOutIndicator",
+];
+
+class AuthContextStore {
+  constructor(artifactsDir) {
+    this.filePath = path.join(artifactsDir, AUTH_CONTEXTS_FILE);
+    this.contexts = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Загрузить контексты с диска
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const contexts = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      for (const context of contexts) {
+        this.contexts.set(context.id, context);
+      }
+      console.log(`Loaded ${this.contexts.size} auth contexts`);
+    } catch (error) {
+      console.error(
+        `Failed to load auth contexts ${this.filePath}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Сохранить контексты на диск (учетные данные хранятся только здесь)
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify([...this.contexts.values()], null, 2),
+        { mode: 0o600 },
+      );
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error("Failed to persist auth contexts:", error.message);
+    }
+  }
+
+  /**
+   * Проверить и нормализовать входные данные контекста.
+   * Замаскированный или отсутствующий секрет сохраняет прежнее значение
+   */
+  validate(input, existing = {}) {
+    const name = input.name ?? existing.name;
+    if (!name || typeof name !== "string") {
+      throw validationError("name is required");
+    }
+
+    const type = input.type ?? existing.type;
+    const definition = AUTH_TYPES[type];
+    if (!definition) {
+      throw validationError(
+        `type must be one of: ${Object.keys(AUTH_TYPES).join(", ")}`,
+      );
+    }
+
+    const context = { name: name.trim(), type: type };
+    for (const field of FIELDS) {
+      let value = input[field];
+      if (
+        value === undefined ||
+        (definition.secrets.includes(field) && value === SECRET_MASK)
+      ) {
+        value = existing.type === type ? existing[field] : undefined;
+      }
+      if (value === undefined || value === null || value === "") {
+        continue;
+      }
+      if (typeof value !== "string") {
+        throw validationError(`${field} must be a string`);
+      }
+      // Секреты сохраняются как есть, пробелы в пароле значимы
+      context[field] = definition.secrets.includes(field)
+        ? value
+        : value.trim();
+    }
+
+    const missing = definition.required.filter((field) => !context[field]);
+    if (missing.length > 0) {
+      throw validationError(`${type} context requires: ${missing.join(", ")}`);
+    }
+
+    if (context.loginUrl) {
+      try {
+        new URL(context.loginUrl);
+      } catch {
+        throw validationError(
+          `loginUrl "${context.loginUrl}" is not a valid URL`,
+        );
+      }
+    }
+    for (const field of ["loggedInIndicator", "loggedOutIndicator"]) {
+      if (context[field]) {
+        try {
+          new RegExp(context[field]);
+        } catch (error) {
+          throw validationError(
+            `${field} is not a valid regex: ${error.message}`,
+          );
+        }
+      }
+    }
+
+    return context;
+  }
+
+  /**
+   * Создать контекст
+   */
+  createContext(input) {
+    const fields = this.validate(input);
+    const now = Date.now();
+
+    const context = {
+      id: `auth_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      ...fields,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.contexts.set(context.id, context);
+    this.save();
+    return this.describe(context);
+  }
+
+  /**
+   * Обновить контекст
+   */
+  updateContext(contextId, input) {
+    const context = this.contexts.get(contextId);
+    if (!context) {
+      return null;
+    }
+
+    const updated = {
+      id: context.id,
+      ...this.validate(input, context),
+      createdAt: context.createdAt,
+      updatedAt: Date.now(),
+    };
+
+    this.contexts.set(contextId, updated);
+    this.save();
+    return this.describe(updated);
+  }
+
+  /**
+   * Удалить контекст
+   */
+  deleteContext(contextId) {
+    const deleted = this.contexts.delete(contextId);
+    if (deleted) {
+      this.save();
+    }
+    return deleted;
+  }
+
+  /**
+   * Контекст с учетными данными для запуска сканера
+   */
+  resolve(contextId) {
+    const context = this.contexts.get(contextId);
+    if (!context) {
+      throw new Error(`Auth context ${contextId} not found`);
+    }
+    return { ...context };
+  }
+
+  /**
+   * Получить контекст для API
+   */
+  getContext(contextId) {
+    const context = this.contexts.get(contextId);
+    return context ? this.describe(context) : null;
+  }
+
+  /**
+   * Получить все контексты для API
+   */
+  listContexts() {
+    return [...this.contexts.values()].map((context) => this.describe(context));
+  }
+
+  /**
+   * Контекст для API: секреты заменяются маской
+   */
+  describe(context) {
+    const described = { ...context };
+    for (const field of AUTH_TYPES[context.type].secrets) {
+      if (described[field]) {
+        described[field] = SECRET_MASK;
+      }
+    }
+    return described;
+  }
+}
+
+export default AuthContextStore;
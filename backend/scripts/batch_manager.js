@@ -9,6 +9,49 @@ import { execa } from "execa";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import AuthContextStore from "./auth_contexts.js";
+import BatchStore from "./batch_store.js";
+import ContainerRunner, { LABEL_PREFIX } from "./container_runner.js";
+import GroundTruth, {
+  VULNERABILITY_CATEGORIES,
+  describeBenchmark,
+  evaluateFindings,
+  formatMetric,
+  summarizeBenchmarks,
+} from "./ground_truth.js";
+import {
+  listRequestOptionFields,
+  maskRequestOptions,
+  normalizeRequestOptions,
+} from "./request_options.js";
+import { applyScope, listScopeFields, normalizeScope } from "./scan_scope.js";
+import TargetAllowlist from "./target_allowlist.js";
+import TargetCatalog from "./target_catalog.js";
+import {
+  describeProbe,
+  normalizePrecheck,
+  waitForTarget,
+} from "./target_precheck.js";
+import {
+  describeReset,
+  describeResetPolicy,
+  normalizeReset,
+  resetTarget,
+} from "./target_reset.js";
+import ScanQueue from "./scan_queue.js";
+import {
+  SCHEDULING_STRATEGIES,
+  createRandom,
+  describeSchedule,
+  normalizeSchedule,
+} from "./scheduling.js";
+import {
+  TOOLS,
+  getTool,
+  isSuccessfulExit,
+  parseToolVersion,
+  resolveProfile,
+} from "./tools/index.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,6 +60,268 @@ const ARTIFACTS_DIR = path.join(__dirname, "../artifacts");
 const BATCH_DIR = path.join(ARTIFACTS_DIR, "batch");
 const SCRIPTS_DIR = __dirname;
 
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Глобальные лимиты очереди, общие для всех batches
+const QUEUE_CONCURRENCY = Number(process.env.SCAN_QUEUE_CONCURRENCY) || 3;
+// Формат: "juice-shop:3000=2,dvwa=1"
+const QUEUE_TARGET_LIMITS = Object.fromEntries(
+  (process.env.SCAN_QUEUE_TARGET_LIMITS || "")
+    .split(",")
+    .map((entry) => entry.trim().split("="))
+    .filter(([target, limit]) => target && Number(limit) > 0)
+    .map(([target, limit]) => [target, Number(limit)]),
+);
+
+const MAX_BATCH_CONCURRENCY = 10;
+
+// Способ запуска сканеров: docker - через Docker Engine API, script - legacy run_scan.sh
+const SCAN_RUNNER = process.env.SCAN_RUNNER === "script" ? "script" : "docker";
+
+// Период опроса docker stats для контейнера прогона
+const STATS_INTERVAL_MS =
+  (Number(process.env.SCAN_STATS_INTERVAL_SECONDS) || 5) * 1000;
+
+const SEVERITIES = ["HIGH", "MEDIUM", "LOW", "INFO"];
+
+// Ограничение размера матричного batch (ячейки × повторения)
+const MAX_BATCH_RUNS = 500;
+
+// Параметры выборки истории batches (GET /api/batches)
+const BATCH_SORT_FIELDS = {
+  createdAt: (summary) => summary.createdAt,
+  completedAt: (summary) => summary.completedAt || 0,
+  duration: (summary) => summary.summary.duration || 0,
+  runs: (summary) => summary.summary.runs,
+  failures: (summary) => summary.summary.failures,
+  findings: (summary) => summary.summary.findings.total,
+};
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Ошибка операции с batch с HTTP статусом для API
+ * (400 - неверный запрос, 404 - не найден, 409 - неподходящее состояние)
+ */
+const batchError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Проверить лимиты прогонов из конфига batch: параллельность,
+ * жесткий таймаут и watchdog на отсутствие вывода (в минутах)
+ */
+const normalizeRunLimits = (config, defaultConcurrency) => {
+  const concurrency = Number(config.concurrency ?? defaultConcurrency);
+  if (
+    !Number.isInteger(concurrency) ||
+    concurrency < 1 ||
+    concurrency > MAX_BATCH_CONCURRENCY
+  ) {
+    throw new Error(
+      `concurrency must be an integer between 1 and ${MAX_BATCH_CONCURRENCY}`,
+    );
+  }
+
+  const limits = { concurrency };
+  for (const field of ["runTimeoutMinutes", "idleTimeoutMinutes"]) {
+    if (config[field] === undefined || config[field] === null) {
+      limits[field] = null;
+      continue;
+    }
+
+    const value = Number(config[field]);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`${field} must be a positive number of minutes`);
+    }
+    limits[field] = value;
+  }
+
+  return limits;
+};
+
+/**
+ * Развернуть матрицу инструменты × цели × профили в ячейки batch.
+ * Обычный batch - матрица из одной ячейки (tool, targetUrl, profile)
+ */
+const normalizeMatrix = (config) => {
+  const source = config.matrix || {};
+  const toList = (value) => [
+    ...new Set((Array.isArray(value) ? value : [value]).filter(Boolean)),
+  ];
+
+  const tools = toList(source.tools ?? config.tool);
+  if (tools.length === 0) {
+    throw new Error("tool is required");
+  }
+  const targets = toList(source.targets ?? config.targetUrl);
+  if (targets.length === 0) {
+    throw new Error("targetUrl is required");
+  }
+
+  // Профили задаются списком для всех инструментов или объектом
+  // { tool: [profiles] }; без профилей - профиль инструмента по умолчанию
+  const rawProfiles = source.profiles ?? config.profile;
+  const profiles = {};
+  for (const tool of tools) {
+    const requested = toList(
+      rawProfiles &&
+        !Array.isArray(rawProfiles) &&
+        typeof rawProfiles === "object"
+        ? rawProfiles[tool]
+        : rawProfiles,
+    );
+    profiles[tool] = (requested.length > 0 ? requested : [null]).map(
+      (profileId) => resolveProfile(tool, profileId).id,
+    );
+  }
+
+  const cells = [];
+  for (const tool of tools) {
+    for (const targetUrl of targets) {
+      for (const profile of profiles[tool]) {
+        cells.push({
+          key: getCellKey({ tool, targetUrl, profile }),
+          tool: tool,
+          targetUrl: targetUrl,
+          profile: profile,
+          // Аргументы фиксируются, чтобы команду можно было воспроизвести
+          profileArgs: resolveProfile(tool, profile).args,
+        });
+      }
+    }
+  }
+
+  return { matrix: { tools, targets, profiles }, cells };
+};
+
+/**
+ * Ключ ячейки матрицы для группировки прогонов
+ */
+const getCellKey = ({ tool, targetUrl, profile }) =>
+  `${tool} | ${targetUrl} | ${profile || "default"}`;
+
+/**
+ * Теги batch: массив или строка через запятую
+ */
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return [...new Set(list.map((tag) => String(tag).trim()).filter(Boolean))];
+};
+
+/**
+ * Разобрать дату фильтра (ISO строка или timestamp)
+ */
+const parseDateFilter = (value, name) => {
+  if (value === undefined || value === "") {
+    return null;
+  }
+
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    throw batchError(400, `${name} must be an ISO date or timestamp`);
+  }
+  return timestamp;
+};
+
+// Закрепленный образ должен ссылаться на конкретный digest
+const DIGEST_REFERENCE = /^[^\s@]+@sha256:[a-f0-9]{64}$/;
+
+/**
+ * Проверить закрепленные образы инструментов: { tool: "name@sha256:..." }
+ */
+const normalizeImages = (images, tools) => {
+  if (images === undefined || images === null) {
+    return {};
+  }
+  if (typeof images !== "object" || Array.isArray(images)) {
+    throw new Error("images must be an object: { tool: image@digest }");
+  }
+
+  for (const [tool, image] of Object.entries(images)) {
+    if (!tools.includes(tool)) {
+      throw new Error(`images.${tool}: tool is not part of the batch`);
+    }
+    if (typeof image !== "string" || !DIGEST_REFERENCE.test(image)) {
+      throw new Error(
+        `images.${tool} must be a digest reference (name@sha256:...)`,
+      );
+    }
+  }
+  return { ...images };
+};
+
+/**
+ * Добавить выборку docker stats к агрегату ресурсов прогона
+ */
+const mergeResourceSample = (usage, sample) => {
+  const samples = (usage ? usage.samples : 0) + 1;
+  const cpuTotal =
+    (usage ? usage.cpuPercentAvg * usage.samples : 0) + sample.cpuPercent;
+
+  return {
+    cpuPercent: sample.cpuPercent,
+    cpuPercentAvg: Math.round((cpuTotal / samples) * 100) / 100,
+    cpuPercentMax: Math.max(usage ? usage.cpuPercentMax : 0, sample.cpuPercent),
+    memoryBytes: sample.memoryBytes,
+    memoryPeakBytes: Math.max(
+      usage ? usage.memoryPeakBytes : 0,
+      sample.memoryBytes,
+    ),
+    memoryLimitBytes: sample.memoryLimitBytes,
+    // Счетчики сети накопительные - последняя выборка и есть итог
+    networkRxBytes: sample.networkRxBytes,
+    networkTxBytes: sample.networkTxBytes,
+    samples: samples,
+    sampledAt: sample.sampledAt,
+  };
+};
+
+/**
+ * Размер в байтах для отчетов
+ */
+const formatBytes = (bytes) => {
+  if (!bytes) {
+    return "0 B";
+  }
+  const units = ["B", "KB", "MB", "GB"];
+  const exponent = Math.min(
+    Math.floor(Math.log(bytes) / Math.log(1024)),
+    units.length - 1,
+  );
+  return `${Math.round((bytes / 1024 ** exponent) * 10) / 10} ${units[exponent]}`;
+};
+
+/**
+ * Ключ цели для per-target лимитов очереди (host:port)
+ */
+const getTargetKey = (targetUrl) => {
+  try {
+    return new URL(targetUrl).host;
+  } catch {
+    return String(targetUrl);
+  }
+};
+
+/**
+ * Хосты цели для эксклюзивного доступа в очереди: хост URL и сервис
+ * Compose, который перезапускает сброс
+ */
+const getTargetHosts = (targetUrl, reset) => {
+  const hosts = [];
+  try {
+    hosts.push(new URL(targetUrl).hostname);
+  } catch {
+    hosts.push(String(targetUrl));
+  }
+  if (reset && reset.service && !hosts.includes(reset.service)) {
+    hosts.push(reset.service);
+  }
+  return hosts;
+};
+
 const OWASP_CATEGORY_RULES = [
   {
     category: "A02:2025 - Security Misconfiguration",
@@ -105,28 +410,136 @@ class BatchManager {
   constructor() {
     this.batches = new Map();
     this.activeScans = new Map();
-    this.maxConcurrent = 3; // Максимум 3 одновременных сканирования
+    this.maxConcurrent = 3; // Максимум 3 одновременных сканирования на batch
+    this.store = new BatchStore(ARTIFACTS_DIR);
+    this.queue = new ScanQueue({
+      concurrency: QUEUE_CONCURRENCY,
+      targetLimits: QUEUE_TARGET_LIMITS,
+    });
+
+    this.containers = new ContainerRunner();
+    this.authContexts = new AuthContextStore(ARTIFACTS_DIR);
+    this.targetAllowlist = new TargetAllowlist(ARTIFACTS_DIR);
+    this.targetCatalog = new TargetCatalog(this.containers);
+    this.groundTruth = new GroundTruth();
+    this.toolVersions = new Map();
+
+    console.log(`Loaded tools: ${[...TOOLS.keys()].join(", ")}`);
+    console.log(`Scan runner: ${SCAN_RUNNER}`);
+    this.restoreBatches();
+
+    if (SCAN_RUNNER === "docker") {
+      // Контейнеры прогонов, оборванных перезапуском, никто уже не ждет
+      this.containers.removeOrphanContainers().catch((error) => {
+        console.warn("Failed to clean up scan containers:", error.message);
+      });
+    }
+  }
+
+  /**
+   * Восстановить batches с диска после перезапуска backend
+   */
+  restoreBatches() {
+    for (const state of this.store.loadAll()) {
+      const batch = { ...state, clients: new Set() };
+      batch.progress = {
+        cancelled: 0,
+        timedOut: 0,
+        targetUnavailable: 0,
+        ...batch.progress,
+      };
+
+      // Batches, созданные до появления матриц, - одна ячейка
+      if (!batch.config.cells) {
+        const { tool, targetUrl } = batch.config;
+        const cell = { tool, targetUrl, profile: batch.config.profile || null };
+        batch.config.matrix = {
+          tools: [tool],
+          targets: [targetUrl],
+          profiles: { [tool]: [cell.profile] },
+        };
+        batch.config.cells = [{ key: getCellKey(cell), ...cell }];
+      }
+      batch.config.images = batch.config.images || {};
+      // Batches, созданные до появления проверки цели, запускаются без нее
+      batch.config.precheck = batch.config.precheck ?? null;
+      for (const runStatus of batch.runStatuses) {
+        runStatus.cell = runStatus.cell || batch.config.cells[0];
+        runStatus.repetition = runStatus.repetition ?? runStatus.runIndex;
+      }
+
+      // Прогоны, оборванные перезапуском, уже не завершатся
+      if (batch.status === "running" || batch.status === "paused") {
+        batch.status = "interrupted";
+        batch.completedAt = Date.now();
+        batch.progress.running = 0;
+
+        for (const runStatus of batch.runStatuses) {
+          if (
+            ["pending", "precheck", "queued", "resetting", "running"].includes(
+              runStatus.status,
+            )
+          ) {
+            runStatus.status = "interrupted";
+            runStatus.completedAt = runStatus.startedAt ? Date.now() : null;
+          }
+        }
+
+        console.log(`Batch ${batch.id} marked as interrupted`);
+      }
+
+      this.batches.set(batch.id, batch);
+      this.persistBatch(batch.id);
+    }
+
+    console.log(`Restored ${this.batches.size} batches from disk`);
+  }
+
+  /**
+   * Сохранить текущее состояние batch на диск
+   */
+  persistBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      return;
+    }
+
+    try {
+      this.store.save(batch);
+    } catch (error) {
+      console.error(`Failed to persist batch ${batchId}:`, error.message);
+    }
   }
 
   /**
    * Создать новый batch
    */
-  createBatch(config) {
-    const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${config.tool}`;
+  createBatch(rawConfig) {
+    const config = this.normalizeConfig(rawConfig);
+    const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${config.cells.length === 1 ? config.tool : "matrix"}`;
 
-    // Инициализировать статусы для каждого run'а
+    // Инициализировать статусы для каждого run'а. Повторения чередуются
+    // между ячейками, чтобы ячейки матрицы выполнялись в одинаковых условиях
     const runStatuses = [];
-    for (let i = 0; i < config.repetitions; i++) {
-      runStatuses.push({
-        runIndex: i,
-        runId: `${batchId}_run_${i}`,
-        status: "pending", // pending, running, completed, failed
-        startedAt: null,
-        completedAt: null,
-        duration: null,
-        result: null,
-        logs: [],
-      });
+    for (let repetition = 0; repetition < config.repetitions; repetition++) {
+      for (const cell of config.cells) {
+        const runIndex = runStatuses.length;
+        runStatuses.push({
+          runIndex: runIndex,
+          runId: `${batchId}_run_${runIndex}`,
+          cell: cell,
+          repetition: repetition,
+          status: "pending", // pending, precheck, queued, resetting, running, completed, failed, timeout, target_unavailable, cancelled, interrupted
+          startedAt: null,
+          completedAt: null,
+          duration: null,
+          result: null,
+          logs: [],
+          attempt: 1,
+          attempts: [], // предыдущие попытки (см. retryRuns)
+          startDelayMs: null, // задержка перед стартом по стратегии расписания
+        });
+      }
     }
 
     const batch = {
@@ -137,21 +550,147 @@ class BatchManager {
       runs: [],
       runStatuses: runStatuses,
       progress: {
-        total: config.repetitions,
+        total: runStatuses.length,
         completed: 0,
         running: 0,
         failed: 0,
+        cancelled: 0,
+        timedOut: 0,
+        targetUnavailable: 0,
       },
+      precheck: {}, // результаты проверки доступности по целям
+      // Цель уже изменена прогоном batch - перед следующим нужен сброс
+      targetDirty: Boolean(config.reset && config.reset.beforeFirstRun),
       clients: new Set(), // WebSocket клиенты для обновлений
     };
 
     this.batches.set(batchId, batch);
     this.ensureBatchDirectory(batchId);
+    this.persistBatch(batchId);
 
-    console.log(`Created batch ${batchId} with ${config.repetitions} runs`);
+    console.log(
+      `Created batch ${batchId} with ${runStatuses.length} runs (${config.cells.length} cells)`,
+    );
     return batch;
   }
 
+  /**
+   * Проверить конфиг batch и дополнить его значениями по умолчанию.
+   * Ошибки проверки без своего кода (не allowlist) отдаются API как 400
+   */
+  normalizeConfig(rawConfig) {
+    try {
+      return this.buildConfig(rawConfig);
+    } catch (error) {
+      error.statusCode = error.statusCode || 400;
+      error.code = error.code || "INVALID_CONFIG";
+      throw error;
+    }
+  }
+
+  /**
+   * Собрать нормализованный конфиг batch из входных данных
+   */
+  buildConfig(rawConfig) {
+    if (!rawConfig) {
+      throw new Error("tool is required");
+    }
+
+    const { matrix, cells } = normalizeMatrix(rawConfig);
+    // Сканировать можно только цели из allowlist стенда
+    for (const targetUrl of matrix.targets) {
+      this.targetAllowlist.assertAllowed(targetUrl);
+    }
+
+    const repetitions = Number(rawConfig.repetitions);
+    if (!Number.isInteger(repetitions) || repetitions < 1) {
+      throw new Error("repetitions must be a positive integer");
+    }
+    if (cells.length * repetitions > MAX_BATCH_RUNS) {
+      throw new Error(
+        `Batch would have ${cells.length * repetitions} runs, maximum is ${MAX_BATCH_RUNS}`,
+      );
+    }
+
+    // Контекст аутентификации должен поддерживаться всеми инструментами матрицы
+    const authContextId = rawConfig.authContextId || null;
+    const auth = authContextId
+      ? this.authContexts.resolve(authContextId)
+      : null;
+    if (auth) {
+      for (const toolId of matrix.tools) {
+        if (!(getTool(toolId).authTypes || []).includes(auth.type)) {
+          throw new Error(
+            `${toolId} does not support ${auth.type} authentication`,
+          );
+        }
+      }
+    }
+
+    // Параметры запросов применяются ко всем инструментам одинаково
+    const request = normalizeRequestOptions(rawConfig.request);
+    for (const toolId of matrix.tools) {
+      const supported = getTool(toolId).requestOptions || [];
+      for (const field of listRequestOptionFields(request)) {
+        if (!supported.includes(field)) {
+          throw new Error(`${toolId} does not support request.${field}`);
+        }
+      }
+    }
+
+    // Scope применяется инструментом, где это возможно, и всегда - к findings
+    const scope = normalizeScope(rawConfig.scope);
+
+    // Сброс цели между прогонами: управлять можно только сервисами из allowlist
+    const reset = normalizeReset(rawConfig.reset);
+    if (reset) {
+      if (matrix.targets.length > 1) {
+        throw new Error("reset supports a single target per batch");
+      }
+      if (reset.strategy === "hook") {
+        this.targetAllowlist.assertAllowed(reset.hookUrl);
+      } else {
+        this.targetAllowlist.assertServiceAllowed(reset.service);
+      }
+    }
+    const limits = normalizeRunLimits(rawConfig, this.maxConcurrent);
+    if (reset) {
+      // Прогоны делят одну цель, сброс возможен только между ними
+      limits.concurrency = 1;
+    }
+
+    if (auth || request || scope) {
+      // Инструмент может отклонить сочетание параметров
+      for (const cell of cells) {
+        getTool(cell.tool).buildCommand({ ...cell, auth, request, scope });
+      }
+    }
+
+    // Расписание фиксируется в конфиге, чтобы тайминг эксперимента был воспроизводим
+    return {
+      ...rawConfig,
+      // Для матрицы с несколькими значениями поле остается пустым
+      tool: matrix.tools.length === 1 ? matrix.tools[0] : null,
+      targetUrl: matrix.targets.length === 1 ? matrix.targets[0] : null,
+      profile: cells.length === 1 ? cells[0].profile : null,
+      matrix: matrix,
+      cells: cells,
+      repetitions: repetitions,
+      schedule: normalizeSchedule(rawConfig),
+      priority: Number(rawConfig.priority) || 0,
+      tags: normalizeTags(rawConfig.tags),
+      images: normalizeImages(rawConfig.images, matrix.tools),
+      pinImages: Boolean(rawConfig.pinImages),
+      authContextId: authContextId,
+      request: request,
+      scope: scope,
+      precheck: normalizePrecheck(rawConfig.precheck),
+      reset: reset,
+      groundTruth: this.groundTruth.normalize(rawConfig.groundTruth),
+      ...limits,
+    };
+  }
+
   /**
    * Создать директорию для batch
    */
@@ -163,6 +702,97 @@ class BatchManager {
     }
   }
 
+  /**
+   * Закрепить за batch текущие digest образов, чтобы все прогоны и retry
+   * использовали одну и ту же версию сканеров
+   */
+  async pinBatchImages(batchId) {
+    const batch = this.batches.get(batchId);
+
+    for (const toolId of batch.config.matrix.tools) {
+      if (batch.config.images[toolId]) {
+        continue;
+      }
+
+      const image = await this.resolveScanImage(toolId, getTool(toolId).image);
+      if (image.digest) {
+        batch.config.images[toolId] = image.digest;
+        console.log(`Batch ${batchId}: pinned ${toolId} to ${image.digest}`);
+      } else {
+        console.warn(
+          `Batch ${batchId}: could not pin ${toolId}, image digest is unknown`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Определить digest образа и версию инструмента.
+   * Ошибки не прерывают прогон - неизвестные поля остаются null
+   */
+  async resolveScanImage(toolId, reference) {
+    const image = {
+      reference: reference,
+      id: null,
+      digest: null,
+      version: null,
+    };
+
+    try {
+      const info = await this.containers.inspectImage(reference);
+      image.id = info.id;
+      image.digest = info.digest;
+      image.version = await this.getToolVersion(toolId, info);
+    } catch (error) {
+      console.warn(
+        `Failed to resolve image ${reference} for ${toolId}:`,
+        error.message,
+      );
+    }
+
+    return image;
+  }
+
+  /**
+   * Версия инструмента в образе: метка OCI или вывод versionCommand.
+   * Кэшируется по id образа, команда выполняется один раз на образ
+   */
+  getToolVersion(toolId, imageInfo) {
+    if (!this.toolVersions.has(imageInfo.id)) {
+      this.toolVersions.set(
+        imageInfo.id,
+        this.detectToolVersion(toolId, imageInfo).catch((error) => {
+          console.warn(`Failed to detect ${toolId} version:`, error.message);
+          this.toolVersions.delete(imageInfo.id);
+          return null;
+        }),
+      );
+    }
+    return this.toolVersions.get(imageInfo.id);
+  }
+
+  /**
+   * Определить версию инструмента в образе
+   */
+  async detectToolVersion(toolId, imageInfo) {
+    const label = imageInfo.labels["org.opencontainers.image.version"];
+    if (label) {
+      return label;
+    }
+
+    const tool = getTool(toolId);
+    if (!tool.versionCommand) {
+      return null;
+    }
+
+    const { output } = await this.containers.runCommand({
+      image: imageInfo.id,
+      args: tool.versionCommand.args,
+      entrypoint: tool.versionCommand.entrypoint,
+    });
+    return parseToolVersion(toolId, output);
+  }
+
   /**
    * Запустить batch
    */
@@ -171,90 +801,564 @@ class BatchManager {
     if (!batch) {
       throw new Error(`Batch ${batchId} not found`);
     }
+    if (batch.status !== "created") {
+      throw new Error(
+        `Batch ${batchId} cannot be started from status ${batch.status}`,
+      );
+    }
 
     batch.status = "running";
     batch.startedAt = Date.now();
+    if (batch.config.pinImages) {
+      await this.pinBatchImages(batchId);
+    }
+    this.persistBatch(batchId);
 
     this.broadcastToBatch(batchId, {
       type: "batch_started",
       batchId: batchId,
-      total: batch.config.repetitions,
+      total: batch.progress.total,
+      cells: batch.config.cells.length,
+      schedule: describeSchedule(batch.config.schedule),
     });
 
-    // Запустить все прогоны
-    const runPromises = [];
-    for (let i = 0; i < batch.config.repetitions; i++) {
-      runPromises.push(this.scheduleRun(batchId, i));
-    }
+    // Дождаться готовности целей, пока прогоны не начали считаться
+    await this.precheckTargets(batchId);
 
-    // Ждать завершения всех прогонов
-    await Promise.allSettled(runPromises);
+    // Запустить прогоны согласно стратегии расписания
+    await this.dispatchRuns(
+      batchId,
+      batch.runStatuses.map((runStatus) => runStatus.runIndex),
+    );
 
     // Завершить batch
     await this.finalizeBatch(batchId);
   }
 
   /**
-   * Запланировать запуск одного прогона
+   * Проверить доступность всех целей batch перед запуском прогонов.
+   * При onFailure "fail" прогоны недоступной цели сразу получают статус
+   * target_unavailable, при "postpone" - проверяются еще раз перед запуском
    */
-  async scheduleRun(batchId, runIndex) {
+  async precheckTargets(batchId) {
     const batch = this.batches.get(batchId);
-
-    // Ждать доступного слота для параллельного выполнения
-    while (batch.progress.running >= this.maxConcurrent) {
-      await new Promise((resolve) => setTimeout(resolve, 1000));
+    const precheck = batch.config.precheck;
+    if (!precheck) {
+      return;
     }
 
-    batch.progress.running++;
-    const runId = `${batchId}_run_${runIndex}`;
-
-    try {
-      // Обновить статус run'а
-      batch.runStatuses[runIndex].status = "running";
-      batch.runStatuses[runIndex].startedAt = Date.now();
+    batch.precheck = batch.precheck || {};
+    for (const targetUrl of batch.config.matrix.targets) {
+      if (batch.status === "cancelled") {
+        return;
+      }
 
+      console.log(`Batch ${batchId}: checking target ${targetUrl}...`);
       this.broadcastToBatch(batchId, {
-        type: "run_status_update",
+        type: "target_precheck",
         batchId: batchId,
-        runIndex: runIndex,
-        runId: runId,
-        status: "running",
-        startedAt: batch.runStatuses[runIndex].startedAt,
+        targetUrl: targetUrl,
+        status: "checking",
       });
 
+      const probe = await this.waitForBatchTarget(
+        targetUrl,
+        precheck,
+        () => batch.status === "cancelled",
+      );
+      batch.precheck[targetUrl] = probe;
+      console.log(`Batch ${batchId}: ${targetUrl} ${describeProbe(probe)}`);
+
       this.broadcastToBatch(batchId, {
-        type: "run_started",
+        type: "target_precheck",
         batchId: batchId,
-        runIndex: runIndex,
-        runId: runId,
+        targetUrl: targetUrl,
+        status: probe.ok ? "ready" : "unavailable",
+        probe: probe,
       });
 
-      // Запустить сканирование
-      const result = await this.runScan(runId, { ...batch.config, batchId });
+      if (!probe.ok && precheck.onFailure === "fail") {
+        for (const runStatus of batch.runStatuses) {
+          if (
+            runStatus.cell.targetUrl === targetUrl &&
+            runStatus.status === "pending"
+          ) {
+            this.markRunTargetUnavailable(batchId, runStatus.runIndex, probe);
+          }
+        }
+      }
+    }
+    this.persistBatch(batchId);
+  }
 
-      batch.runs.push({
-        runIndex: runIndex,
-        runId: runId,
-        result: result,
-        completedAt: Date.now(),
-      });
+  /**
+   * Дождаться готовности цели. Цели каталога проверяются через
+   * опубликованный порт (backend не в сети сканеров) и по умолчанию - по
+   * признаку готовности из каталога
+   */
+  waitForBatchTarget(targetUrl, precheck, shouldStop) {
+    const target = this.targetCatalog.findByUrl(targetUrl);
+    const settings =
+      target && !precheck.expectedBody && precheck.path === "/"
+        ? { ...precheck, ...target.readiness }
+        : precheck;
+    return waitForTarget(
+      this.targetCatalog.getProbeUrl(targetUrl),
+      settings,
+      shouldStop,
+    );
+  }
 
-      // Обновить статус run'а
-      batch.runStatuses[runIndex].status = "completed";
-      batch.runStatuses[runIndex].completedAt = Date.now();
-      batch.runStatuses[runIndex].duration = result.duration;
-      batch.runStatuses[runIndex].result = result;
+  /**
+   * Нужна ли проверка цели перед прогоном: perRun или цель не прошла
+   * проверку batch с onFailure "postpone"
+   */
+  needsRunPrecheck(batch, runStatus) {
+    const precheck = batch.config.precheck;
+    if (!precheck) {
+      return false;
+    }
+    const probe = batch.precheck && batch.precheck[runStatus.cell.targetUrl];
+    return precheck.perRun || Boolean(probe && !probe.ok);
+  }
 
-      batch.progress.completed++;
+  /**
+   * Проверить цель перед прогоном. При onFailure "postpone" недоступная
+   * цель проверяется снова через postponeSeconds, до maxPostpones раз.
+   * Возвращает true, если прогон можно запускать
+   */
+  async precheckRun(batchId, runIndex) {
+    const batch = this.batches.get(batchId);
+    const runStatus = batch.runStatuses[runIndex];
+    const precheck = batch.config.precheck;
+    const targetUrl = runStatus.cell.targetUrl;
 
-      this.broadcastToBatch(batchId, {
-        type: "run_status_update",
-        batchId: batchId,
-        runIndex: runIndex,
-        runId: runId,
-        status: "completed",
-        completedAt: batch.runStatuses[runIndex].completedAt,
-        duration: result.duration,
+    // Прогон занимает слот batch, но не слот глобальной очереди
+    runStatus.status = "precheck";
+    runStatus.postponed = 0;
+    this.broadcastToBatch(batchId, {
+      type: "run_status_update",
+      batchId: batchId,
+      runIndex: runIndex,
+      runId: runStatus.runId,
+      status: "precheck",
+    });
+
+    const stopped = () => runStatus.status !== "precheck";
+    while (true) {
+      const probe = await this.waitForBatchTarget(targetUrl, precheck, stopped);
+      runStatus.precheck = probe;
+      if (stopped()) {
+        return false;
+      }
+      if (probe.ok) {
+        batch.precheck[targetUrl] = probe;
+        return true;
+      }
+
+      if (
+        precheck.onFailure !== "postpone" ||
+        runStatus.postponed >= precheck.maxPostpones
+      ) {
+        this.markRunTargetUnavailable(batchId, runIndex, probe);
+        return false;
+      }
+
+      runStatus.postponed++;
+      console.log(
+        `Run ${runStatus.runId} postponed (${runStatus.postponed}/${precheck.maxPostpones}): ${describeProbe(probe)}`,
+      );
+      this.broadcastToBatch(batchId, {
+        type: "run_status_update",
+        batchId: batchId,
+        runIndex: runIndex,
+        runId: runStatus.runId,
+        status: "precheck",
+        postponed: runStatus.postponed,
+        precheck: probe,
+      });
+
+      const resumeAt = Date.now() + precheck.postponeSeconds * 1000;
+      while (!stopped() && Date.now() < resumeAt) {
+        await sleep(Math.min(1000, resumeAt - Date.now()));
+      }
+      if (stopped()) {
+        return false;
+      }
+    }
+  }
+
+  /**
+   * Сбросить цель перед прогоном и дождаться ее готовности.
+   * Ошибка сброса или неготовая цель завершают прогон как failed
+   */
+  async resetTargetBeforeRun(batchId, runIndex) {
+    const batch = this.batches.get(batchId);
+    const runStatus = batch.runStatuses[runIndex];
+    const reset = batch.config.reset;
+
+    runStatus.status = "resetting";
+    this.broadcastToBatch(batchId, {
+      type: "run_status_update",
+      batchId: batchId,
+      runIndex: runIndex,
+      runId: runStatus.runId,
+      status: "resetting",
+    });
+    this.broadcastToBatch(batchId, {
+      type: "target_reset",
+      batchId: batchId,
+      runIndex: runIndex,
+      runId: runStatus.runId,
+      status: "started",
+      strategy: reset.strategy,
+    });
+
+    // Hook цели каталога вызывается через опубликованный порт, как и проверка
+    // готовности: backend не в сети сканеров
+    const result = await resetTarget(
+      this.containers,
+      reset,
+      reset.hookUrl ? this.targetCatalog.getProbeUrl(reset.hookUrl) : null,
+    );
+    runStatus.reset = result;
+    console.log(
+      `Run ${runStatus.runId}: target reset ${describeReset(result)}`,
+    );
+
+    this.broadcastToBatch(batchId, {
+      type: "target_reset",
+      batchId: batchId,
+      runIndex: runIndex,
+      runId: runStatus.runId,
+      status: result.ok ? "completed" : "failed",
+      strategy: reset.strategy,
+      durationMs: result.durationMs,
+      error: result.error,
+      reset: result,
+    });
+
+    if (!result.ok) {
+      throw new Error(`Target reset failed: ${result.error}`);
+    }
+    batch.targetDirty = false;
+
+    // Перезапущенному приложению нужно время на старт: с выключенной
+    // проверкой готовность ждется с настройками по умолчанию
+    const precheck = batch.config.precheck || normalizePrecheck(true);
+    if (!runStatus.cancelRequested) {
+      const probe = await this.waitForBatchTarget(
+        runStatus.cell.targetUrl,
+        precheck,
+        () => runStatus.cancelRequested,
+      );
+      runStatus.precheck = probe;
+      if (!probe.ok && !runStatus.cancelRequested) {
+        throw new Error(
+          `Target ${runStatus.cell.targetUrl} is not ready after reset: ${probe.error}`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Пометить прогон как невыполненный из-за недоступной цели
+   */
+  markRunTargetUnavailable(batchId, runIndex, probe) {
+    const batch = this.batches.get(batchId);
+    const runStatus = batch.runStatuses[runIndex];
+    const error = `Target ${runStatus.cell.targetUrl} is unavailable: ${probe.error}`;
+
+    runStatus.status = "target_unavailable";
+    runStatus.completedAt = Date.now();
+    runStatus.error = error;
+    runStatus.precheck = probe;
+    batch.progress.targetUnavailable =
+      (batch.progress.targetUnavailable || 0) + 1;
+
+    batch.runs.push({
+      runIndex: runIndex,
+      runId: runStatus.runId,
+      result: null,
+      targetUnavailable: true,
+      error: error,
+      completedAt: runStatus.completedAt,
+    });
+
+    this.broadcastToBatch(batchId, {
+      type: "run_status_update",
+      batchId: batchId,
+      runIndex: runIndex,
+      runId: runStatus.runId,
+      status: "target_unavailable",
+      completedAt: runStatus.completedAt,
+      error: error,
+      precheck: probe,
+    });
+
+    this.broadcastToBatch(batchId, {
+      type: "run_target_unavailable",
+      batchId: batchId,
+      runIndex: runIndex,
+      runId: runStatus.runId,
+      error: error,
+      precheck: probe,
+    });
+
+    this.persistBatch(batchId);
+  }
+
+  /**
+   * Запускать прогоны по порядку с задержками из config.schedule
+   * и дождаться их завершения
+   */
+  async dispatchRuns(batchId, runIndices) {
+    const batch = this.batches.get(batchId);
+    const schedule = batch.config.schedule || {
+      strategy: "interval",
+      intervalSeconds: 0,
+    };
+    const strategy = SCHEDULING_STRATEGIES[schedule.strategy];
+    const concurrency = strategy.concurrency(
+      batch.config.concurrency || this.maxConcurrent,
+    );
+    const random = createRandom(schedule.seed || 0);
+
+    const runPromises = [];
+    let previousRun = null;
+    let previousStartAt = null;
+
+    for (let position = 0; position < runIndices.length; position++) {
+      const runStatus = batch.runStatuses[runIndices[position]];
+
+      // Ждать свободного слота batch и снятия паузы
+      while (
+        runStatus.status === "pending" &&
+        (batch.status === "paused" ||
+          this.countActiveRuns(batch) >= concurrency)
+      ) {
+        await sleep(1000);
+      }
+      if (runStatus.status !== "pending") {
+        continue;
+      }
+
+      const anchor =
+        strategy.anchor === "previousEnd"
+          ? previousRun && previousRun.completedAt
+          : previousStartAt;
+      const delay = strategy.startDelay(
+        schedule,
+        position,
+        concurrency,
+        random,
+      );
+      const startAt = (anchor || Date.now()) + delay;
+
+      while (runStatus.status === "pending" && Date.now() < startAt) {
+        await sleep(Math.min(1000, startAt - Date.now()));
+      }
+      if (runStatus.status !== "pending") {
+        continue;
+      }
+
+      runStatus.startDelayMs = delay;
+      previousRun = runStatus;
+      previousStartAt = Date.now();
+      runPromises.push(this.scheduleRun(batchId, runStatus.runIndex));
+    }
+
+    await Promise.allSettled(runPromises);
+  }
+
+  /**
+   * Количество прогонов batch, занимающих слот (в очереди или выполняются)
+   */
+  countActiveRuns(batch) {
+    return batch.runStatuses.filter((runStatus) =>
+      ["precheck", "queued", "resetting", "running"].includes(runStatus.status),
+    ).length;
+  }
+
+  /**
+   * Запланировать запуск одного прогона
+   */
+  async scheduleRun(batchId, runIndex) {
+    const batch = this.batches.get(batchId);
+
+    const runStatus = batch.runStatuses[runIndex];
+    const runId = `${batchId}_run_${runIndex}`;
+
+    if (runStatus.status !== "pending") {
+      return;
+    }
+
+    // Проверка цели до очереди, чтобы ожидание не занимало глобальный слот
+    if (
+      this.needsRunPrecheck(batch, runStatus) &&
+      !(await this.precheckRun(batchId, runIndex))
+    ) {
+      return;
+    }
+
+    // Ждать слота в глобальной очереди
+    runStatus.status = "queued";
+    const granted = this.queue.acquire({
+      id: runId,
+      batchId: batchId,
+      runIndex: runIndex,
+      tool: runStatus.cell.tool,
+      target: getTargetKey(runStatus.cell.targetUrl),
+      hosts: getTargetHosts(runStatus.cell.targetUrl, batch.config.reset),
+      // Сброс перезапускает цель: другие batch'и не должны ее сканировать
+      exclusive: Boolean(batch.config.reset),
+      priority: batch.config.priority,
+      canStart: () => batch.status !== "paused",
+    });
+
+    this.broadcastToBatch(batchId, {
+      type: "run_status_update",
+      batchId: batchId,
+      runIndex: runIndex,
+      runId: runId,
+      status: "queued",
+      queuePosition: this.queue.getPosition(runId),
+    });
+
+    // Прогон мог быть снят с очереди при отмене
+    if (!(await granted)) {
+      return;
+    }
+
+    batch.progress.running++;
+    let result = null;
+
+    try {
+      // Цель уже сканировал прогон этого batch - вернуть ее в исходное состояние
+      if (batch.config.reset && batch.targetDirty) {
+        await this.resetTargetBeforeRun(batchId, runIndex);
+        if (runStatus.cancelRequested) {
+          this.markRunCancelled(batchId, runIndex);
+          return;
+        }
+      }
+
+      // Обновить статус run'а
+      batch.runStatuses[runIndex].status = "running";
+      batch.runStatuses[runIndex].startedAt = Date.now();
+      batch.targetDirty = Boolean(batch.config.reset);
+      this.persistBatch(batchId);
+
+      this.broadcastToBatch(batchId, {
+        type: "run_status_update",
+        batchId: batchId,
+        runIndex: runIndex,
+        runId: runId,
+        status: "running",
+        startedAt: batch.runStatuses[runIndex].startedAt,
+      });
+
+      this.broadcastToBatch(batchId, {
+        type: "run_started",
+        batchId: batchId,
+        runIndex: runIndex,
+        runId: runId,
+      });
+
+      // Запустить сканирование
+      result = await this.runScan(runId, {
+        ...batch.config,
+        tool: runStatus.cell.tool,
+        targetUrl: runStatus.cell.targetUrl,
+        profile: runStatus.cell.profile,
+        profileArgs:
+          runStatus.cell.profileArgs ||
+          resolveProfile(runStatus.cell.tool, runStatus.cell.profile).args,
+        batchId,
+        runIndex,
+      });
+
+      if (runStatus.cancelRequested) {
+        batch.runs.push({
+          runIndex: runIndex,
+          runId: runId,
+          result: result,
+          cancelled: true,
+          completedAt: Date.now(),
+        });
+        runStatus.duration = result.duration;
+        runStatus.result = result;
+        this.markRunCancelled(batchId, runIndex);
+        return;
+      }
+
+      if (result.timedOut) {
+        batch.runs.push({
+          runIndex: runIndex,
+          runId: runId,
+          result: result,
+          timedOut: result.timedOut,
+          completedAt: Date.now(),
+        });
+
+        runStatus.status = "timeout";
+        runStatus.completedAt = Date.now();
+        runStatus.duration = result.duration;
+        runStatus.result = result;
+        runStatus.error = result.error;
+        batch.progress.timedOut++;
+
+        this.broadcastToBatch(batchId, {
+          type: "run_status_update",
+          batchId: batchId,
+          runIndex: runIndex,
+          runId: runId,
+          status: "timeout",
+          timeoutReason: result.timedOut,
+          completedAt: runStatus.completedAt,
+          duration: result.duration,
+          error: result.error,
+        });
+
+        this.broadcastToBatch(batchId, {
+          type: "run_timeout",
+          batchId: batchId,
+          runIndex: runIndex,
+          runId: runId,
+          reason: result.timedOut,
+          error: result.error,
+        });
+        return;
+      }
+
+      // Код выхода, который плагин инструмента не считает успешным
+      if (!result.success) {
+        throw new Error(result.error || `Scan exited with ${result.exitCode}`);
+      }
+
+      batch.runs.push({
+        runIndex: runIndex,
+        runId: runId,
+        result: result,
+        completedAt: Date.now(),
+      });
+
+      // Обновить статус run'а
+      batch.runStatuses[runIndex].status = "completed";
+      batch.runStatuses[runIndex].completedAt = Date.now();
+      batch.runStatuses[runIndex].duration = result.duration;
+      batch.runStatuses[runIndex].result = result;
+
+      batch.progress.completed++;
+
+      this.broadcastToBatch(batchId, {
+        type: "run_status_update",
+        batchId: batchId,
+        runIndex: runIndex,
+        runId: runId,
+        status: "completed",
+        completedAt: batch.runStatuses[runIndex].completedAt,
+        duration: result.duration,
         result: result,
       });
 
@@ -266,6 +1370,14 @@ class BatchManager {
         result: result,
       });
     } catch (error) {
+      // Отмененный во время сброса прогон не считается неудачным, даже если
+      // сброс после этого завершился ошибкой
+      if (runStatus.cancelRequested) {
+        console.log(`Run ${runId} cancelled: ${error.message}`);
+        runStatus.error = error.message;
+        this.markRunCancelled(batchId, runIndex);
+        return;
+      }
       console.error(`Run ${runId} failed:`, error);
       batch.progress.failed++;
 
@@ -273,10 +1385,16 @@ class BatchManager {
       batch.runStatuses[runIndex].status = "failed";
       batch.runStatuses[runIndex].completedAt = Date.now();
       batch.runStatuses[runIndex].error = error.message;
+      if (result) {
+        // Сканер отработал с ошибкой - вывод все равно попадет в отчет
+        batch.runStatuses[runIndex].duration = result.duration;
+        batch.runStatuses[runIndex].result = result;
+      }
 
       batch.runs.push({
         runIndex: runIndex,
         runId: runId,
+        result: result,
         error: error.message,
         completedAt: Date.now(),
       });
@@ -300,95 +1418,690 @@ class BatchManager {
       });
     } finally {
       batch.progress.running--;
+      this.queue.release(runId);
+      this.persistBatch(batchId);
     }
   }
 
   /**
-   * Запустить одиночное сканирование
+   * Отменить batch: ожидающие прогоны снимаются, выполняющиеся останавливаются
    */
-  async runScan(runId, config) {
-    const startTime = Date.now();
+  async cancelBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      throw batchError(404, `Batch ${batchId} not found`);
+    }
+    if (!["created", "running", "paused"].includes(batch.status)) {
+      throw batchError(
+        409,
+        `Batch ${batchId} is not active (status: ${batch.status})`,
+      );
+    }
+
+    const wasRunning = batch.status !== "created";
+    batch.status = "cancelled";
+
+    await Promise.allSettled(
+      batch.runStatuses.map((runStatus) =>
+        this.cancelRun(batchId, runStatus.runIndex),
+      ),
+    );
+
+    // Запущенный batch завершится через finalizeBatch, когда остановятся прогоны
+    if (!wasRunning) {
+      batch.completedAt = Date.now();
+      this.persistBatch(batchId);
+      this.broadcastToBatch(batchId, {
+        type: "batch_cancelled",
+        batchId: batchId,
+      });
+    }
+
+    console.log(`Batch ${batchId} cancelled`);
+  }
+
+  /**
+   * Приостановить batch: новые прогоны не стартуют, текущие доработают
+   */
+  pauseBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      throw batchError(404, `Batch ${batchId} not found`);
+    }
+    if (batch.status !== "running") {
+      throw batchError(
+        409,
+        `Batch ${batchId} cannot be paused from status ${batch.status}`,
+      );
+    }
+
+    batch.status = "paused";
+    batch.pausedAt = Date.now();
+    this.persistBatch(batchId);
+
+    this.broadcastToBatch(batchId, {
+      type: "batch_paused",
+      batchId: batchId,
+      running: batch.progress.running,
+    });
+
+    console.log(`Batch ${batchId} paused`);
+  }
+
+  /**
+   * Возобновить приостановленный batch
+   */
+  resumeBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      throw batchError(404, `Batch ${batchId} not found`);
+    }
+    if (batch.status !== "paused") {
+      throw batchError(409, `Batch ${batchId} is not paused`);
+    }
+
+    batch.status = "running";
+    batch.pausedAt = null;
+    this.persistBatch(batchId);
+    this.queue.pump();
+
+    this.broadcastToBatch(batchId, {
+      type: "batch_resumed",
+      batchId: batchId,
+    });
+
+    console.log(`Batch ${batchId} resumed`);
+  }
+
+  /**
+   * Повторить прогоны завершенного batch (по умолчанию все failed и timeout).
+   * Нумерация прогонов сохраняется, вывод прошлой попытки
+   * переносится в {runId}_attempt_{n}_raw.txt
+   */
+  retryRuns(batchId, runIndices) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      throw batchError(404, `Batch ${batchId} not found`);
+    }
+    if (
+      runIndices !== undefined &&
+      runIndices !== null &&
+      (!Array.isArray(runIndices) ||
+        !runIndices.every((runIndex) => Number.isInteger(runIndex)))
+    ) {
+      throw batchError(400, "runIndices must be an array of integers");
+    }
+    if (!["completed", "cancelled", "interrupted"].includes(batch.status)) {
+      throw batchError(
+        409,
+        `Batch ${batchId} cannot be retried from status ${batch.status}`,
+      );
+    }
+    // После отмены прогоны еще останавливаются, а исходный startBatch
+    // не завершился - повтор наложился бы на его finalizeBatch
+    if (this.hasActiveRuns(batchId)) {
+      throw batchError(
+        409,
+        `Batch ${batchId} still has running scans, wait for them to stop before retrying`,
+      );
+    }
+
+    // По умолчанию - неудачные прогоны и прерванные перезапуском backend
+    const indices =
+      runIndices && runIndices.length > 0
+        ? [...new Set(runIndices)]
+        : batch.runStatuses
+            .filter((runStatus) =>
+              [
+                "failed",
+                "timeout",
+                "target_unavailable",
+                "interrupted",
+              ].includes(runStatus.status),
+            )
+            .map((runStatus) => runStatus.runIndex);
+
+    if (indices.length === 0) {
+      throw batchError(409, `Batch ${batchId} has no runs to retry`);
+    }
+    for (const runIndex of indices) {
+      const runStatus = batch.runStatuses[runIndex];
+      if (!runStatus) {
+        throw batchError(404, `Run ${runIndex} not found in batch ${batchId}`);
+      }
+      if (
+        ["pending", "precheck", "queued", "resetting", "running"].includes(
+          runStatus.status,
+        )
+      ) {
+        throw batchError(409, `Run ${runIndex} has not finished yet`);
+      }
+    }
+
+    for (const runIndex of indices) {
+      this.archiveRunAttempt(batchId, runIndex);
+    }
+
+    batch.status = "running";
+    batch.completedAt = null;
+    this.persistBatch(batchId);
+
+    this.broadcastToBatch(batchId, {
+      type: "batch_retry_started",
+      batchId: batchId,
+      runIndices: indices,
+    });
+    this.broadcastToBatch(batchId, this.getBatchSnapshot(batchId));
+
+    console.log(`Retrying runs ${indices.join(", ")} of batch ${batchId}`);
+
+    // Прогоны выполняются в фоне, как и при startBatch
+    this.executeRetry(batchId, indices).catch((error) => {
+      console.error(`Retry of batch ${batchId} failed:`, error);
+    });
+
+    return indices;
+  }
+
+  /**
+   * Выполнить повторные прогоны и пересобрать отчеты
+   */
+  async executeRetry(batchId, runIndices) {
+    await this.dispatchRuns(batchId, runIndices);
+
+    // Пересобрать markdown отчеты с учетом новых попыток
+    await this.finalizeBatch(batchId);
+  }
+
+  /**
+   * Сохранить результат прошлой попытки прогона и вернуть его в pending
+   */
+  archiveRunAttempt(batchId, runIndex) {
+    const batch = this.batches.get(batchId);
+    const runStatus = batch.runStatuses[runIndex];
+    const attempt = runStatus.attempt || 1;
+    const batchDir = path.join(ARTIFACTS_DIR, batchId);
+
+    // Все артефакты прогона (stdout, отчеты сканера, сгенерированный план,
+    // markdown отчет) повтор перезапишет - они переименовываются в файлы попытки
+    const prefix = `${runStatus.runId}_`;
+    const attemptPrefix = `${prefix}attempt_`;
+    let rawOutput = null;
+    const files = [];
+    const entries = fs.existsSync(batchDir) ? fs.readdirSync(batchDir) : [];
+    for (const file of entries) {
+      if (!file.startsWith(prefix) || file.startsWith(attemptPrefix)) {
+        continue;
+      }
+      const archived = `${attemptPrefix}${attempt}_${file.slice(prefix.length)}`;
+      fs.renameSync(path.join(batchDir, file), path.join(batchDir, archived));
+      if (file === `${prefix}raw.txt`) {
+        rawOutput = archived;
+      } else {
+        files.push(`artifacts/${batchId}/${archived}`);
+      }
+    }
+
+    runStatus.attempts = runStatus.attempts || [];
+    runStatus.attempts.push({
+      attempt: attempt,
+      status: runStatus.status,
+      startedAt: runStatus.startedAt,
+      completedAt: runStatus.completedAt,
+      duration: runStatus.duration,
+      exitCode: runStatus.result ? runStatus.result.exitCode : null,
+      resources: runStatus.result ? runStatus.result.resources || null : null,
+      error: runStatus.error || null,
+      precheck: runStatus.precheck || null,
+      reset: runStatus.reset || null,
+      rawOutput: rawOutput ? `artifacts/${batchId}/${rawOutput}` : null,
+      files: files,
+    });
+
+    if (runStatus.status === "completed") {
+      batch.progress.completed--;
+    } else if (runStatus.status === "failed") {
+      batch.progress.failed--;
+    } else if (runStatus.status === "cancelled") {
+      batch.progress.cancelled--;
+    } else if (runStatus.status === "timeout") {
+      batch.progress.timedOut--;
+    } else if (runStatus.status === "target_unavailable") {
+      batch.progress.targetUnavailable--;
+    }
+
+    batch.runs = batch.runs.filter((run) => run.runIndex !== runIndex);
+
+    runStatus.attempt = attempt + 1;
+    runStatus.status = "pending";
+    runStatus.startedAt = null;
+    runStatus.completedAt = null;
+    runStatus.duration = null;
+    runStatus.result = null;
+    runStatus.error = null;
+    runStatus.findings = null;
+    runStatus.metrics = null;
+    runStatus.precheck = null;
+    runStatus.postponed = 0;
+    runStatus.reset = null;
+    runStatus.benchmark = null;
+    runStatus.cancelRequested = false;
+  }
+
+  /**
+   * Отменить один прогон batch
+   */
+  async cancelRun(batchId, runIndex) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      throw batchError(404, `Batch ${batchId} not found`);
+    }
+
+    const runStatus = batch.runStatuses[runIndex];
+    if (!runStatus) {
+      throw batchError(404, `Run ${runIndex} not found in batch ${batchId}`);
+    }
+
+    if (runStatus.status === "pending" || runStatus.status === "precheck") {
+      // Ожидание готовности цели прервется по смене статуса
+      this.markRunCancelled(batchId, runIndex);
+      return true;
+    }
+
+    if (runStatus.status === "queued") {
+      this.markRunCancelled(batchId, runIndex);
+      this.queue.remove(runStatus.runId);
+      return true;
+    }
+
+    if (runStatus.status === "running" || runStatus.status === "resetting") {
+      // Статус cancelled выставит scheduleRun после остановки процесса
+      runStatus.cancelRequested = true;
+      await this.stopScan(runStatus.runId);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Пометить прогон как отмененный и оповестить клиентов
+   */
+  markRunCancelled(batchId, runIndex) {
+    const batch = this.batches.get(batchId);
+    const runStatus = batch.runStatuses[runIndex];
+
+    runStatus.status = "cancelled";
+    runStatus.completedAt = Date.now();
+    batch.progress.cancelled++;
+
+    this.broadcastToBatch(batchId, {
+      type: "run_status_update",
+      batchId: batchId,
+      runIndex: runIndex,
+      runId: runStatus.runId,
+      status: "cancelled",
+      completedAt: runStatus.completedAt,
+    });
+
+    this.broadcastToBatch(batchId, {
+      type: "run_cancelled",
+      batchId: batchId,
+      runIndex: runIndex,
+      runId: runStatus.runId,
+    });
+
+    this.persistBatch(batchId);
+  }
+
+  /**
+   * Остановить процесс сканирования и его Docker контейнер
+   */
+  async stopScan(runId) {
+    const scan = this.activeScans.get(runId);
+    if (!scan) {
+      return;
+    }
+
+    // Контейнер останавливает ContainerRunner, в том числе если он еще создается
+    scan.abortController.abort();
+
+    if (scan.process) {
+      scan.process.kill("SIGTERM");
+
+      // docker run не пробрасывает завершение обертки в контейнер
+      await execa("docker", ["rm", "-f", scan.containerName], {
+        reject: false,
+      });
+    }
+
+    console.log(`Stopped scan ${runId} (container ${scan.containerName})`);
+  }
+
+  /**
+   * Запустить контейнер сканера через Docker Engine API
+   */
+  async runScanContainer(runId, config, command, onOutput) {
+    const scan = this.activeScans.get(runId);
+
+    onOutput(
+      "stdout",
+      [
+        "=== VKR Security Scan Runner ===",
+        `Tool: ${config.tool}`,
+        `Profile: ${config.profile || "default"}`,
+        `Image: ${scan.image.digest || scan.image.reference}`,
+        `Tool Version: ${scan.image.version || "unknown"}`,
+        `Run ID: ${runId}`,
+        `Target: ${config.targetUrl}`,
+        `Container: ${scan.containerName}`,
+        `Timestamp: ${new Date().toISOString()}`,
+        "=================================",
+        "",
+      ].join("\n"),
+    );
+
+    const workDir = getTool(config.tool).workDir;
+    const { exitCode } = await this.containers.runContainer({
+      name: scan.containerName,
+      image: scan.image.digest || scan.image.reference,
+      args: command.args,
+      entrypoint: command.entrypoint,
+      env: command.env,
+      // Отчеты, которые сканер пишет в рабочую директорию, попадают в batch
+      binds: workDir
+        ? [`${path.join(ARTIFACTS_DIR, config.batchId)}:${workDir}:rw`]
+        : [],
+      labels: {
+        [`${LABEL_PREFIX}.batch_id`]: config.batchId,
+        [`${LABEL_PREFIX}.run_id`]: runId,
+        [`${LABEL_PREFIX}.tool`]: config.tool,
+      },
+      signal: scan.abortController.signal,
+      onOutput: onOutput,
+    });
+
+    onOutput("stdout", `\nExit code: ${exitCode}\n=== Scan Complete ===\n`);
+    return exitCode;
+  }
+
+  /**
+   * Запустить сканер через legacy скрипт run_scan.sh
+   */
+  async runScanScript(runId, config, command, onOutput) {
+    const scan = this.activeScans.get(runId);
 
     // Генерировать уникальный run ID для скрипта
     const scriptRunId = `${runId}_${Date.now()}`;
 
-    // Запустить скрипт сканирования (скрипт сам обрабатывает вывод и файлы)
     const scriptPath = path.join(SCRIPTS_DIR, "run_scan.sh");
-    const process = execa(scriptPath, [
-      config.tool,
-      scriptRunId,
-      runId, // Передаем runId как 3-й аргумент
-      config.targetUrl, // Передаем targetUrl как 4-й аргумент
-      config.batchId, // Передаем batchId как 5-й аргумент для организации файлов
-    ]);
+    scan.process = execa(
+      scriptPath,
+      [
+        config.tool,
+        config.profile || "default",
+        scriptRunId,
+        config.targetUrl,
+        runId, // Имена файлов артефактов строятся по runId
+        config.batchId, // batchId для организации файлов
+        scan.image.digest || scan.image.reference,
+        ...command.args,
+      ],
+      {
+        env: {
+          ...command.env,
+          SCAN_CONTAINER_NAME: scan.containerName,
+          SCAN_ENTRYPOINT: command.entrypoint || "",
+          SCAN_WORK_DIR: getTool(config.tool).workDir || "",
+          SCAN_ENV_NAMES: Object.keys(command.env || {}).join(" "),
+        },
+      },
+    );
+
+    scan.process.stdout.on("data", (chunk) =>
+      onOutput("stdout", chunk.toString()),
+    );
+    scan.process.stderr.on("data", (chunk) =>
+      onOutput("stderr", chunk.toString()),
+    );
+
+    try {
+      const result = await scan.process;
+      return result.exitCode;
+    } catch (error) {
+      // Процесс не запустился или был убит сигналом
+      if (error.exitCode === undefined) {
+        throw error;
+      }
+      return error.exitCode;
+    }
+  }
+
+  /**
+   * Запустить одиночное сканирование
+   */
+  async runScan(runId, config) {
+    const startTime = Date.now();
+
+    // Команду контейнера собирает плагин инструмента
+    const tool = getTool(config.tool);
+    if (!tool) {
+      throw new Error(`Unknown tool "${config.tool}"`);
+    }
+    // Allowlist мог измениться после создания batch
+    this.targetAllowlist.assertAllowed(config.targetUrl);
+
+    // Учетные данные читаются в момент запуска и не попадают в состояние batch
+    const auth = config.authContextId
+      ? this.authContexts.resolve(config.authContextId)
+      : null;
+    const command = tool.buildCommand({
+      targetUrl: config.targetUrl,
+      profile: config.profile,
+      profileArgs: config.profileArgs,
+      auth: auth,
+      request: config.request,
+      scope: config.scope,
+      runId: runId,
+      runTimeoutMinutes: config.runTimeoutMinutes,
+    });
+
+    // Сгенерированные плагином файлы (например, план ZAP) остаются артефактами прогона
+    const batchDir = path.join(ARTIFACTS_DIR, config.batchId);
+    const files = Object.keys(command.files || {});
+    fs.mkdirSync(batchDir, { recursive: true });
+    for (const file of files) {
+      fs.writeFileSync(path.join(batchDir, file), command.files[file]);
+    }
+
+    // Образ закреплен за batch по digest или берется из плагина
+    const image = {
+      reference: config.images[config.tool] || tool.image,
+      id: null,
+      digest: null,
+      version: null,
+    };
+
+    const containerName = `vkr_scan_${runId}`;
+    const scan = {
+      containerName: containerName,
+      abortController: new AbortController(),
+      process: null,
+      image: image,
+    };
+    this.activeScans.set(runId, scan);
 
     let stdout = "";
     let stderr = "";
 
-    // Читать stdout/stderr в real-time для WebSocket broadcasting
-    process.stdout.on("data", (chunk) => {
-      const line = chunk.toString();
-      stdout += line;
-      this.broadcastToBatch(config.batchId, {
-        type: "stdout",
-        runId: runId,
-        line: line.trim(),
-        timestamp: Date.now(),
+    // Жесткий таймаут прогона и watchdog на отсутствие вывода
+    let timedOut = null;
+    let timeoutMessage = null;
+    let lastOutputAt = Date.now();
+    const stopOnTimeout = (reason, message) => {
+      if (timedOut) {
+        return;
+      }
+      timedOut = reason;
+      timeoutMessage = message;
+      console.warn(`Run ${runId}: ${message}, stopping`);
+      this.stopScan(runId).catch((error) => {
+        console.error(`Failed to stop timed out run ${runId}:`, error);
       });
-    });
+    };
+
+    const runTimer = config.runTimeoutMinutes
+      ? setTimeout(
+          () =>
+            stopOnTimeout(
+              "run_timeout",
+              `Run exceeded ${config.runTimeoutMinutes} min timeout`,
+            ),
+          config.runTimeoutMinutes * 60 * 1000,
+        )
+      : null;
+
+    const idleTimeoutMs = config.idleTimeoutMinutes
+      ? config.idleTimeoutMinutes * 60 * 1000
+      : null;
+    const idleTimer = idleTimeoutMs
+      ? setInterval(
+          () => {
+            if (Date.now() - lastOutputAt >= idleTimeoutMs) {
+              stopOnTimeout(
+                "idle_timeout",
+                `No output for ${config.idleTimeoutMinutes} min`,
+              );
+            }
+          },
+          Math.min(idleTimeoutMs, 10000),
+        )
+      : null;
+
+    // Периодически снимать docker stats контейнера прогона
+    let resources = null;
+    let sampling = false;
+    let statsFailed = false;
+    const sampleResources = async () => {
+      if (sampling) {
+        return;
+      }
+      sampling = true;
+      try {
+        const sample = await this.containers.getStats(containerName);
+        if (sample && this.activeScans.has(runId)) {
+          resources = mergeResourceSample(resources, sample);
+          this.updateRunMetrics(config.batchId, config.runIndex, resources);
+        }
+      } catch (error) {
+        // Метрики необязательны, прогон продолжается без них
+        if (!statsFailed) {
+          statsFailed = true;
+          console.warn(
+            `Run ${runId}: failed to read container stats:`,
+            error.message,
+          );
+        }
+      } finally {
+        sampling = false;
+      }
+    };
+    const statsTimer = setInterval(sampleResources, STATS_INTERVAL_MS);
 
-    process.stderr.on("data", (chunk) => {
-      const line = chunk.toString();
-      stderr += line;
+    // Читать stdout/stderr в real-time для WebSocket broadcasting
+    const onOutput = (stream, text) => {
+      lastOutputAt = Date.now();
+      if (stream === "stderr") {
+        stderr += text;
+      } else {
+        stdout += text;
+      }
       this.broadcastToBatch(config.batchId, {
-        type: "stderr",
+        type: stream,
         runId: runId,
-        line: line.trim(),
+        line: text.trim(),
         timestamp: Date.now(),
       });
-    });
+    };
 
+    let exitCode;
+    let runnerError = null;
     try {
-      const result = await process;
-      const endTime = Date.now();
-
-      // Сохранить stdout в файл для markdown генерации
-      const rawFilePath = path.join(
-        ARTIFACTS_DIR,
-        config.batchId,
-        `${runId}_raw.txt`,
-      );
-      fs.writeFileSync(rawFilePath, stdout);
+      // Запускается именно тот digest, который попадет в отчет
+      scan.image = await this.resolveScanImage(config.tool, image.reference);
 
-      return {
-        runId: scriptRunId,
-        exitCode: result.exitCode,
-        stdout: stdout,
-        stderr: stderr,
-        duration: endTime - startTime,
-        success: true,
-      };
+      exitCode =
+        SCAN_RUNNER === "script"
+          ? await this.runScanScript(runId, config, command, onOutput)
+          : await this.runScanContainer(runId, config, command, onOutput);
     } catch (error) {
-      const endTime = Date.now();
+      // Сканер не удалось запустить (Docker недоступен, образ не скачался и т.п.)
+      runnerError = error;
+    } finally {
+      clearTimeout(runTimer);
+      clearInterval(idleTimer);
+      clearInterval(statsTimer);
+      this.activeScans.delete(runId);
+    }
 
-      // Сохранить stdout в файл даже при ошибке
-      const rawFilePath = path.join(
-        ARTIFACTS_DIR,
-        config.batchId,
-        `${runId}_raw.txt`,
-      );
-      fs.writeFileSync(rawFilePath, stdout);
+    // Сохранить stdout в файл для markdown генерации (даже при ошибке)
+    const rawFilePath = path.join(batchDir, `${runId}_raw.txt`);
+    fs.writeFileSync(rawFilePath, stdout);
+
+    // Ненулевой код выхода может быть штатным (например, ZAP при найденных WARN)
+    const success =
+      !timedOut &&
+      !runnerError &&
+      isSuccessfulExit(config.tool, exitCode, config.profile);
+    let failure = timeoutMessage;
+    if (!failure && runnerError) {
+      failure = runnerError.message;
+    } else if (!failure && !success) {
+      failure = `${config.tool} exited with code ${exitCode}`;
+    }
 
-      return {
-        runId: scriptRunId,
-        exitCode: error.exitCode,
-        stdout: stdout,
-        stderr: stderr,
-        error: error.message,
-        duration: endTime - startTime,
-        success: false,
-      };
+    return {
+      runId: runId,
+      runner: SCAN_RUNNER,
+      containerName: containerName,
+      image: {
+        reference: scan.image.reference,
+        id: scan.image.id,
+        digest: scan.image.digest,
+      },
+      toolVersion: scan.image.version,
+      auth: auth ? { id: auth.id, name: auth.name, type: auth.type } : null,
+      files: files.map((file) => `artifacts/${config.batchId}/${file}`),
+      exitCode: exitCode,
+      stdout: stdout,
+      stderr: stderr,
+      error: failure || undefined,
+      duration: Date.now() - startTime,
+      success: success,
+      timedOut: timedOut,
+      resources: resources,
+    };
+  }
+
+  /**
+   * Сохранить метрики прогона и оповестить клиентов
+   */
+  updateRunMetrics(batchId, runIndex, metrics) {
+    const batch = this.batches.get(batchId);
+    const runStatus = batch && batch.runStatuses[runIndex];
+    if (!runStatus) {
+      return;
     }
+
+    runStatus.metrics = { ...runStatus.metrics, ...metrics };
+
+    this.broadcastToBatch(batchId, {
+      type: "run_metrics_update",
+      batchId: batchId,
+      runIndex: runIndex,
+      runId: runStatus.runId,
+      metrics: runStatus.metrics,
+    });
   }
 
   /**
@@ -396,18 +2109,26 @@ class BatchManager {
    */
   async finalizeBatch(batchId) {
     const batch = this.batches.get(batchId);
-    batch.status = "completed";
+    const cancelled = batch.status === "cancelled";
+    if (!cancelled) {
+      batch.status = "completed";
+    }
     batch.completedAt = Date.now();
+    this.persistBatch(batchId);
 
     // Сгенерировать markdown отчеты
     await this.generateMarkdownReports(batchId);
+    this.generateBenchmarkReport(batchId);
+    this.generateBatchSummaryReport(batchId);
+    // Счетчики findings из отчетов нужны для истории batches
+    this.persistBatch(batchId);
 
     this.broadcastToBatch(batchId, {
-      type: "batch_completed",
+      type: cancelled ? "batch_cancelled" : "batch_completed",
       batchId: batchId,
     });
 
-    console.log(`Batch ${batchId} completed`);
+    console.log(`Batch ${batchId} ${cancelled ? "cancelled" : "completed"}`);
   }
 
   /**
@@ -446,657 +2167,398 @@ class BatchManager {
   }
 
   /**
-   * Сгенерировать markdown отчет из STDOUT для одного прогона
+   * Сводный отчет batch с прогонами, сгруппированными по ячейкам матрицы
    */
-  async generateMarkdownReport(runId, result, batchId) {
+  generateBatchSummaryReport(batchId) {
     const batch = this.batches.get(batchId);
-    const batchDir = path.join(ARTIFACTS_DIR, batchId);
-
-    const rawFilePath = path.join(batchDir, `${runId}_raw.txt`);
-    const markdownPath = path.join(batchDir, `${runId}_report.md`);
-
-    // Загрузить raw output
-    let rawOutput = "";
-    if (fs.existsSync(rawFilePath)) {
-      rawOutput = fs.readFileSync(rawFilePath, "utf8");
-    } else {
-      console.warn(
-        `Raw output missing for run ${runId}, reusing latest stdout`,
-      );
-    }
-
-    // Найти дополнительные файлы отчетов (JSON/HTML от ZAP)
-    let reportFiles = [];
-    if (fs.existsSync(batchDir)) {
-      reportFiles = fs
-        .readdirSync(batchDir)
-        .filter(
-          (file) =>
-            file.includes(runId) &&
-            (file.endsWith(".json") || file.endsWith(".html")),
-        )
-        .map((file) => `artifacts/${batchId}/${file}`);
-    }
+    const summaryPath = path.join(ARTIFACTS_DIR, batchId, "batch_summary.md");
 
-    // Парсить ценную информацию из STDOUT и JSON отчетов
-    let parsedFindings = this.parseFindingsFromStdout(
-      rawOutput,
-      batch.config.tool,
-    );
-
-    // Дополнительно парсить JSON отчеты если они доступны
-    const jsonFindings = this.parseJsonReports(
-      batchDir,
-      runId,
-      batch.config.tool,
-    );
-    parsedFindings = parsedFindings.concat(jsonFindings);
-    parsedFindings = this.annotateFindingsWithOwasp(parsedFindings);
+    let markdown = `# Batch Summary - ${batchId}
 
-    // Создать metadata объект из доступных данных
-    const metadata = {
-      tool: batch.config.tool,
-      target_url: batch.config.targetUrl,
-      duration_seconds: result.duration / 1000, // конвертировать в секунды
-      timestamp: new Date().toISOString(),
-    };
+- **Status**: ${batch.status}
+- **Cells**: ${batch.config.cells.length}
+- **Repetitions per Cell**: ${batch.config.repetitions}
+- **Scheduling**: ${describeSchedule(batch.config.schedule)}
+- **Target Reset**: ${describeResetPolicy(batch.config.reset)}
+- **Ground Truth**: ${batch.benchmark ? "[benchmark](benchmark.md)" : "Not evaluated"}
+- **Generated**: ${new Date().toISOString()}
 
-    // Генерировать markdown
-    const markdown = this.generateMarkdownContent(
-      runId,
-      metadata,
-      result,
-      parsedFindings,
-      reportFiles,
-      batchId,
-    );
-    fs.writeFileSync(markdownPath, markdown);
+`;
 
-    console.log(`Markdown report generated: ${markdownPath}`);
-  }
+    // Какими версиями сканеров получены результаты
+    const images = new Map();
+    for (const runStatus of batch.runStatuses) {
+      const result = runStatus.result;
+      if (!result || !result.image) {
+        continue;
+      }
+      const key = `${runStatus.cell.tool}|${result.image.digest || result.image.reference}`;
+      const entry = images.get(key) || {
+        tool: runStatus.cell.tool,
+        image: result.image,
+        version: result.toolVersion,
+        runs: 0,
+      };
+      entry.runs++;
+      images.set(key, entry);
+    }
 
-  /**
-   * Парсить findings из STDOUT разных инструментов
-   */
-  parseFindingsFromStdout(rawOutput, tool) {
-    const findings = [];
+    if (images.size > 0) {
+      markdown += `## Scanner Images
 
-    switch (tool) {
-      case "zap":
-        // Комбинированный парсинг для ZAP (STDOUT + JSON если доступен)
-        findings.push(...this.parseZapFindings(rawOutput));
-        break;
+`;
+      markdown += "| Tool | Image | Digest | Version | Runs | Pinned |\n";
+      markdown += "|------|-------|--------|---------|------|--------|\n";
+      for (const entry of images.values()) {
+        const pinned = batch.config.images[entry.tool] ? "yes" : "no";
+        markdown += `| ${entry.tool} | ${entry.image.reference} | ${entry.image.digest || "-"} | ${entry.version || "-"} | ${entry.runs} | ${pinned} |\n`;
+      }
+      markdown += "\n";
+    }
 
-      case "nikto":
-        findings.push(...this.parseNiktoFindings(rawOutput));
-        break;
+    const prechecks = Object.entries(batch.precheck || {});
+    if (prechecks.length > 0) {
+      markdown += `## Target Precheck
 
-      case "wapiti":
-        findings.push(...this.parseWapitiFindings(rawOutput));
-        break;
+`;
+      for (const [targetUrl, probe] of prechecks) {
+        markdown += `- **${targetUrl}**: ${describeProbe(probe)}\n`;
+      }
+      markdown += "\n";
+    }
 
-      case "arachni":
-        findings.push(...this.parseArachniFindings(rawOutput));
-        break;
+    for (const cell of this.getCellSummaries(batch)) {
+      markdown += `## ${cell.key}
 
-      case "w4af":
-        findings.push(...this.parseW4afFindings(rawOutput));
-        break;
+`;
+      markdown += `Completed: ${cell.progress.completed}/${cell.progress.total}, failed: ${cell.progress.failed}, timed out: ${cell.progress.timedOut}, target unavailable: ${cell.progress.targetUnavailable}, cancelled: ${cell.progress.cancelled}
 
-      default:
-        findings.push({
-          severity: "INFO",
-          title: "Parser not implemented for this tool",
-          tool: tool,
-          line: "Raw output available in artifacts",
-        });
+`;
+      markdown +=
+        "| Run | Repetition | Status | Duration | HIGH | MEDIUM | LOW | INFO | Report |\n";
+      markdown +=
+        "|-----|------------|--------|----------|------|--------|-----|------|--------|\n";
+
+      for (const runIndex of cell.runIndices) {
+        const runStatus = batch.runStatuses[runIndex];
+        const findings = runStatus.findings || {};
+        const duration =
+          runStatus.duration != null ? `${runStatus.duration / 1000}s` : "-";
+        // Для прогонов без отчета - причина, по которой скан не запускался
+        const report = runStatus.findings
+          ? `[report](${runStatus.runId}_report.md)`
+          : runStatus.status === "target_unavailable"
+            ? describeProbe(runStatus.precheck)
+            : "-";
+        markdown += `| ${runIndex + 1} | ${runStatus.repetition + 1} | ${runStatus.status} | ${duration} | ${findings.HIGH ?? "-"} | ${findings.MEDIUM ?? "-"} | ${findings.LOW ?? "-"} | ${findings.INFO ?? "-"} | ${report} |\n`;
+      }
+      markdown += "\n";
     }
 
-    return findings;
+    try {
+      fs.writeFileSync(summaryPath, markdown);
+      console.log(`Batch summary generated: ${summaryPath}`);
+    } catch (error) {
+      console.error(`Failed to write batch summary ${summaryPath}:`, error);
+    }
   }
 
   /**
-   * Улучшенный парсер для ZAP с поддержкой всех профилей
+   * Отчет сравнения инструментов с ground truth: метрики ячеек, доля
+   * обнаружения по классам и какие известные уязвимости найдены. В сводку
+   * входят только завершенные прогоны - частичный вывод занижает recall
    */
-  parseZapFindings(rawOutput) {
-    const findings = [];
-    const lines = rawOutput.split("\n");
-
-    // Парсинг STDOUT для baseline сканов
-    for (const line of lines) {
-      if (line.includes("WARN-NEW:") || line.includes("FAIL-NEW:")) {
-        const severity = line.includes("WARN-NEW:") ? "MEDIUM" : "HIGH";
-        const titleMatch = line.match(
-          /(?:WARN-NEW|FAIL-NEW):\s*(.+?)(?:\s*\[|\s*$)/,
-        );
-        const title = titleMatch
-          ? titleMatch[1].trim()
-          : "Unknown vulnerability";
-
-        findings.push({
-          severity: severity,
-          title: title,
-          tool: "zap",
-          type: "baseline_finding",
-          line: line.trim(),
-        });
-      }
-
-      // Парсинг для automation framework (deep, api, xss профилей)
-      if (line.includes("FINISHED JOB") || line.includes("alerts found")) {
-        const alertsMatch = line.match(/(\d+)\s+alerts?\s+found/i);
-        if (alertsMatch) {
-          const alertCount = parseInt(alertsMatch[1]);
-          if (alertCount > 0) {
-            findings.push({
-              severity: "INFO",
-              title: `ZAP Automation Framework scan completed: ${alertCount} alerts found`,
-              tool: "zap",
-              type: "scan_summary",
-              alertCount: alertCount,
-              line: line.trim(),
-            });
-          }
-        }
-      }
-
-      // Детекция типов уязвимостей в выводе
-      if (line.includes("Cross Site Scripting") || line.includes("XSS")) {
-        findings.push({
-          severity: this.determineZapSeverity(line),
-          title: "Cross-Site Scripting (XSS) vulnerability detected",
-          tool: "zap",
-          type: "xss_finding",
-          line: line.trim(),
-        });
+  generateBenchmarkReport(batchId) {
+    const batch = this.batches.get(batchId);
+    const cells = [];
+    for (const cell of batch.config.cells) {
+      const dataset = this.resolveGroundTruth(batch.config, cell);
+      if (!dataset) {
+        continue;
       }
+      const results = batch.runStatuses
+        .filter(
+          (runStatus) =>
+            runStatus.cell.key === cell.key &&
+            runStatus.status === "completed" &&
+            runStatus.benchmark,
+        )
+        .map((runStatus) => runStatus.benchmark);
+      cells.push({
+        key: cell.key,
+        tool: cell.tool,
+        profile: cell.profile,
+        targetUrl: cell.targetUrl,
+        dataset: dataset.id,
+        ...summarizeBenchmarks(results),
+      });
+    }
 
-      if (line.includes("SQL Injection") || line.includes("SQLi")) {
-        findings.push({
-          severity: this.determineZapSeverity(line),
-          title: "SQL Injection vulnerability detected",
-          tool: "zap",
-          type: "sql_injection",
-          line: line.trim(),
-        });
-      }
+    if (cells.length === 0) {
+      batch.benchmark = null;
+      return;
+    }
+    batch.benchmark = { cells: cells, generatedAt: Date.now() };
 
-      if (
-        line.includes("Path Traversal") ||
-        line.includes("Directory Browsing")
-      ) {
-        findings.push({
-          severity: this.determineZapSeverity(line),
-          title: "Path Traversal vulnerability detected",
-          tool: "zap",
-          type: "path_traversal",
-          line: line.trim(),
-        });
-      }
+    let markdown = `# Benchmark - ${batchId}
 
-      if (
-        line.includes("CSRF") ||
-        line.includes("Cross-Site Request Forgery")
-      ) {
-        findings.push({
-          severity: this.determineZapSeverity(line),
-          title: "CSRF vulnerability detected",
-          tool: "zap",
-          type: "csrf",
-          line: line.trim(),
-        });
-      }
+- **Matching**: vulnerability class by CWE, parser type or title; CWE must match when both sides have one; request path and, when reported, parameter
+- **TP / FP / Unmatched**: finding matches a known vulnerability / its class is in the dataset but no location matches / class not covered or no location
+- **Runs**: completed runs only
+- **Generated**: ${new Date().toISOString()}
 
-      // API-специфичные уязвимости
-      if (line.includes("/rest/") || line.includes("/api/")) {
-        if (
-          line.includes("500") ||
-          line.includes("error") ||
-          line.includes("exception")
-        ) {
-          findings.push({
-            severity: "MEDIUM",
-            title: "API endpoint error/exception detected",
-            tool: "zap",
-            type: "api_error",
-            line: line.trim(),
-          });
-        }
-      }
-    }
+`;
 
-    return findings;
-  }
+    for (const datasetId of new Set(cells.map((cell) => cell.dataset))) {
+      const dataset = this.groundTruth.get(datasetId);
+      const datasetCells = cells.filter((cell) => cell.dataset === datasetId);
+      // Ключ ячейки "tool | target | profile" - в таблицах "|" экранируется
+      const labels = datasetCells.map((cell) => cell.key.replace(/\|/g, "\\|"));
 
-  /**
-   * Определить серьезность уязвимости ZAP из контекста
-   */
-  determineZapSeverity(line) {
-    if (
-      line.includes("FAIL") ||
-      line.includes("HIGH") ||
-      line.includes("Critical")
-    ) {
-      return "HIGH";
-    } else if (
-      line.includes("WARN") ||
-      line.includes("MEDIUM") ||
-      line.includes("Warning")
-    ) {
-      return "MEDIUM";
-    } else if (
-      line.includes("INFO") ||
-      line.includes("LOW") ||
-      line.includes("Information")
-    ) {
-      return "LOW";
-    }
-    return "MEDIUM"; // default
-  }
+      markdown += `## ${dataset.label}
 
-  /**
-   * Улучшенный парсер для Nikto
-   */
-  parseNiktoFindings(rawOutput) {
-    const findings = [];
-    const lines = rawOutput.split("\n");
+${dataset.vulnerabilities.length} known vulnerabilities${dataset.source ? `, source: ${dataset.source}` : ""}
 
-    for (const line of lines) {
-      // Основные findings с +
-      if (line.startsWith("+")) {
-        const vulnMatch = line.match(/\+\s*(.+?):\s*(.+)/);
-        if (vulnMatch) {
-          const [, identifier, description] = vulnMatch;
+`;
+      markdown +=
+        "| Cell | Runs | Precision | Recall | F1 | TP | FP | Unmatched |\n";
+      markdown +=
+        "|------|------|-----------|--------|----|----|----|-----------|\n";
+      datasetCells.forEach((cell, index) => {
+        markdown += `| ${labels[index]} | ${cell.runs} | ${formatMetric(cell.precision)} | ${formatMetric(cell.recall)} | ${formatMetric(cell.f1)} | ${cell.truePositives} | ${cell.falsePositives} | ${cell.unmatchedFindings} |\n`;
+      });
 
-          let severity = "LOW";
-          let type = "info";
+      const header = `| ${labels.join(" | ")} |`;
+      const divider = `${datasetCells.map(() => "---|").join("")}`;
 
-          // Определение серьезности по содержанию
-          if (
-            description.includes("admin") ||
-            description.includes("password") ||
-            description.includes("config")
-          ) {
-            severity = "HIGH";
-            type = "sensitive_exposure";
-          } else if (
-            description.includes("directory") ||
-            description.includes("file") ||
-            description.includes("backup")
-          ) {
-            severity = "MEDIUM";
-            type = "information_disclosure";
-          } else if (
-            description.includes("version") ||
-            description.includes("server")
-          ) {
-            severity = "LOW";
-            type = "version_disclosure";
-          }
+      markdown += `
+### Detection Rate by Category
 
-          findings.push({
-            severity: severity,
-            title: description.trim(),
-            tool: "nikto",
-            type: type,
-            identifier: identifier.trim(),
-            line: line.trim(),
-          });
+| Category | Known ${header}
+|----------|-------|${divider}
+`;
+      for (const category of VULNERABILITY_CATEGORIES) {
+        const known = dataset.vulnerabilities.filter(
+          (vulnerability) => vulnerability.category === category.id,
+        ).length;
+        if (known === 0) {
+          continue;
         }
+        const rates = datasetCells.map((cell) => {
+          const entry = cell.categories[category.id];
+          return entry && entry.detectionRate !== null
+            ? `${Math.round(entry.detectionRate * 100)}%`
+            : "-";
+        });
+        markdown += `| ${category.label} | ${known} | ${rates.join(" | ")} |\n`;
       }
 
-      // Статистика сканирования
-      if (line.includes("items checked") || line.includes("requests made")) {
-        const statsMatch = line.match(/(\d+)\s+(items checked|requests made)/);
-        if (statsMatch) {
-          findings.push({
-            severity: "INFO",
-            title: `Nikto scan statistics: ${statsMatch[0]}`,
-            tool: "nikto",
-            type: "scan_stats",
-            line: line.trim(),
-          });
-        }
-      }
+      markdown += `
+### Known Vulnerabilities (runs that detected it)
 
-      // Ошибки сервера
-      if (
-        line.includes("ERROR") ||
-        line.includes("500") ||
-        line.includes("403")
-      ) {
-        findings.push({
-          severity: "MEDIUM",
-          title: "Server error or access restriction detected",
-          tool: "nikto",
-          type: "server_error",
-          line: line.trim(),
-        });
+| Vulnerability | Category ${header}
+|---------------|----------|${divider}
+`;
+      for (const vulnerability of dataset.vulnerabilities) {
+        const found = datasetCells.map((cell) =>
+          cell.runs > 0
+            ? `${cell.vulnerabilities[vulnerability.id] || 0}/${cell.runs}`
+            : "-",
+        );
+        markdown += `| ${vulnerability.name} (\`${vulnerability.id}\`) | ${vulnerability.category} | ${found.join(" | ")} |\n`;
       }
+      markdown += "\n";
     }
 
-    return findings;
+    const benchmarkPath = path.join(ARTIFACTS_DIR, batchId, "benchmark.md");
+    try {
+      fs.writeFileSync(benchmarkPath, markdown);
+      console.log(`Benchmark report generated: ${benchmarkPath}`);
+    } catch (error) {
+      console.error(
+        `Failed to write benchmark report ${benchmarkPath}:`,
+        error,
+      );
+    }
   }
 
   /**
-   * Улучшенный парсер для Wapiti
+   * Сгенерировать markdown отчет из STDOUT для одного прогона
    */
-  parseWapitiFindings(rawOutput) {
-    const findings = [];
-    const lines = rawOutput.split("\n");
-
-    for (const line of lines) {
-      // Основные уязвимости
-      if (line.includes("XSS") || line.includes("Cross Site Scripting")) {
-        findings.push({
-          severity: "HIGH",
-          title: "Cross-Site Scripting vulnerability",
-          tool: "wapiti",
-          type: "xss",
-          line: line.trim(),
-        });
-      }
-
-      if (line.includes("SQL") || line.includes("sql injection")) {
-        findings.push({
-          severity: "HIGH",
-          title: "SQL Injection vulnerability",
-          tool: "wapiti",
-          type: "sql_injection",
-          line: line.trim(),
-        });
-      }
-
-      if (
-        line.includes("SSRF") ||
-        line.includes("Server Side Request Forgery")
-      ) {
-        findings.push({
-          severity: "HIGH",
-          title: "Server-Side Request Forgery vulnerability",
-          tool: "wapiti",
-          type: "ssrf",
-          line: line.trim(),
-        });
-      }
-
-      if (line.includes("upload") && line.includes("vulnerability")) {
-        findings.push({
-          severity: "HIGH",
-          title: "File Upload vulnerability",
-          tool: "wapiti",
-          type: "file_upload",
-          line: line.trim(),
-        });
-      }
-
-      if (line.includes("redirect") || line.includes("open redirect")) {
-        findings.push({
-          severity: "MEDIUM",
-          title: "Open Redirect vulnerability",
-          tool: "wapiti",
-          type: "open_redirect",
-          line: line.trim(),
-        });
-      }
+  async generateMarkdownReport(runId, result, batchId) {
+    const batch = this.batches.get(batchId);
+    const batchDir = path.join(ARTIFACTS_DIR, batchId);
 
-      // Статистика и информация о сканировании
-      if (line.includes("pages found") || line.includes("forms found")) {
-        const statsMatch = line.match(/(\d+)\s+(pages|forms)\s+found/);
-        if (statsMatch) {
-          findings.push({
-            severity: "INFO",
-            title: `Wapiti discovery: ${statsMatch[0]}`,
-            tool: "wapiti",
-            type: "scan_stats",
-            line: line.trim(),
-          });
-        }
-      }
+    const rawFilePath = path.join(batchDir, `${runId}_raw.txt`);
+    const markdownPath = path.join(batchDir, `${runId}_report.md`);
 
-      // Ошибки и предупреждения
-      if (
-        line.includes("[!]") ||
-        line.includes("WARNING") ||
-        line.includes("ERROR")
-      ) {
-        let severity = "LOW";
-        if (line.includes("ERROR")) severity = "MEDIUM";
-        if (line.includes("CRITICAL")) severity = "HIGH";
-
-        findings.push({
-          severity: severity,
-          title: "Wapiti scan warning or error",
-          tool: "wapiti",
-          type: "scan_issue",
-          line: line.trim(),
-        });
-      }
+    // Загрузить raw output
+    let rawOutput = "";
+    if (fs.existsSync(rawFilePath)) {
+      rawOutput = fs.readFileSync(rawFilePath, "utf8");
+    } else {
+      console.warn(
+        `Raw output missing for run ${runId}, reusing latest stdout`,
+      );
     }
 
-    return findings;
-  }
+    // Найти дополнительные файлы отчетов (JSON/HTML от ZAP). Префикс с "_",
+    // чтобы run_1 не подхватил файлы run_10, и без архивов прошлых попыток
+    let reportFiles = [];
+    if (fs.existsSync(batchDir)) {
+      reportFiles = fs
+        .readdirSync(batchDir)
+        .filter(
+          (file) =>
+            file.startsWith(`${runId}_`) &&
+            !file.startsWith(`${runId}_attempt_`) &&
+            (file.endsWith(".json") || file.endsWith(".html")),
+        )
+        .map((file) => `artifacts/${batchId}/${file}`);
+    }
 
-  /**
-   * Парсер для Arachni
-   */
-  parseArachniFindings(rawOutput) {
-    const findings = [];
-    const lines = rawOutput.split("\n");
-
-    for (const line of lines) {
-      // Основные уязвимости Arachni
-      if (line.includes("[~]") || line.includes("[+]")) {
-        let severity = "MEDIUM";
-        let title = "Arachni vulnerability detected";
-
-        // Определение типа уязвимости
-        if (line.includes("SQL Injection") || line.includes("SQLi")) {
-          severity = "HIGH";
-          title = "SQL Injection vulnerability";
-        } else if (
-          line.includes("XSS") ||
-          line.includes("Cross Site Scripting")
-        ) {
-          severity = "HIGH";
-          title = "Cross-Site Scripting vulnerability";
-        } else if (
-          line.includes("CSRF") ||
-          line.includes("Cross-Site Request Forgery")
-        ) {
-          severity = "MEDIUM";
-          title = "CSRF vulnerability";
-        } else if (
-          line.includes("Path Traversal") ||
-          line.includes("Directory Traversal")
-        ) {
-          severity = "HIGH";
-          title = "Path Traversal vulnerability";
-        } else if (
-          line.includes("Code Injection") ||
-          line.includes("Command Injection")
-        ) {
-          severity = "HIGH";
-          title = "Code/Command Injection vulnerability";
-        }
+    const runStatus = batch.runStatuses.find(
+      (candidate) => candidate.runId === runId,
+    );
+    const cell = runStatus ? runStatus.cell : batch.config.cells[0];
 
-        findings.push({
-          severity: severity,
-          title: title,
-          tool: "arachni",
-          type: "vulnerability",
-          line: line.trim(),
-        });
-      }
+    // Парсить ценную информацию из STDOUT и JSON отчетов
+    let parsedFindings = this.parseFindingsFromStdout(rawOutput, cell.tool);
 
-      // Статистика сканирования
-      if (
-        line.includes("Total issues") ||
-        line.includes("issues were detected")
-      ) {
-        const issuesMatch = line.match(
-          /(\d+)\s+issues?\s+(?:were\s+)?detected/i,
-        );
-        if (issuesMatch) {
-          const issueCount = parseInt(issuesMatch[1]);
-          findings.push({
-            severity: "INFO",
-            title: `Arachni scan completed: ${issueCount} issues detected`,
-            tool: "arachni",
-            type: "scan_summary",
-            issueCount: issueCount,
-            line: line.trim(),
-          });
-        }
-      }
+    // Дополнительно парсить JSON отчеты если они доступны
+    const jsonFindings = this.parseJsonReports(batchDir, runId, cell.tool);
+    parsedFindings = parsedFindings.concat(jsonFindings);
 
-      // Информация о сканировании
-      if (line.includes("system info") || line.includes("platform info")) {
-        findings.push({
-          severity: "INFO",
-          title: "Arachni system/platform information",
-          tool: "arachni",
-          type: "scan_info",
-          line: line.trim(),
-        });
-      }
+    // Findings вне scope batch помечаются или удаляются
+    const scoped = applyScope(
+      parsedFindings,
+      batch.config.scope,
+      cell.targetUrl,
+    );
+    parsedFindings = this.annotateFindingsWithOwasp(scoped.findings);
+
+    // Разметка findings по известным уязвимостям цели
+    const dataset = this.resolveGroundTruth(batch.config, cell);
+    let benchmark = null;
+    if (dataset) {
+      const evaluation = evaluateFindings(
+        parsedFindings,
+        dataset,
+        cell.targetUrl,
+      );
+      parsedFindings = evaluation.findings;
+      benchmark = evaluation.result;
+    }
 
-      // Ошибки
-      if (
-        line.includes("[!]") ||
-        line.includes("ERROR") ||
-        line.includes("error")
-      ) {
-        findings.push({
-          severity: "MEDIUM",
-          title: "Arachni scan error or warning",
-          tool: "arachni",
-          type: "scan_error",
-          line: line.trim(),
+    if (runStatus) {
+      runStatus.findings = this.countFindingsBySeverity(parsedFindings);
+      runStatus.findings.outOfScope = scoped.outOfScope;
+      runStatus.benchmark = benchmark;
+      if (benchmark) {
+        this.updateRunMetrics(batchId, runStatus.runIndex, {
+          precision: benchmark.precision,
+          recall: benchmark.recall,
+          f1: benchmark.f1,
+          totalFindings: benchmark.totalFindings,
+          truePositives: benchmark.truePositives,
+          falsePositives: benchmark.falsePositives,
+          unmatchedFindings: benchmark.unmatchedFindings,
         });
       }
     }
 
-    return findings;
+    // Создать metadata объект из доступных данных
+    const metadata = {
+      tool: cell.tool,
+      target_url: cell.targetUrl,
+      profile: cell.profile,
+      profile_args: cell.profileArgs || [],
+      image: result.image ? result.image.reference : null,
+      image_digest: result.image ? result.image.digest : null,
+      tool_version: result.toolVersion || null,
+      auth: result.auth || null,
+      request: maskRequestOptions(batch.config.request),
+      scope: batch.config.scope || null,
+      out_of_scope: scoped.outOfScope,
+      files: result.files || [],
+      cell: cell.key,
+      repetition: runStatus ? runStatus.repetition + 1 : null,
+      attempt: runStatus ? runStatus.attempt || 1 : 1,
+      previous_attempts: runStatus ? runStatus.attempts || [] : [],
+      schedule: batch.config.schedule,
+      start_delay_ms: runStatus ? runStatus.startDelayMs : null,
+      run_status: runStatus ? runStatus.status : null,
+      run_limits: {
+        concurrency: batch.config.concurrency,
+        runTimeoutMinutes: batch.config.runTimeoutMinutes,
+        idleTimeoutMinutes: batch.config.idleTimeoutMinutes,
+      },
+      resources: result.resources || null,
+      precheck:
+        (runStatus && runStatus.precheck) ||
+        (batch.precheck && batch.precheck[cell.targetUrl]) ||
+        null,
+      reset: runStatus ? runStatus.reset || null : null,
+      benchmark: benchmark,
+      duration_seconds: result.duration / 1000, // конвертировать в секунды
+      timestamp: new Date().toISOString(),
+    };
+
+    // Генерировать markdown
+    const markdown = this.generateMarkdownContent(
+      runId,
+      metadata,
+      result,
+      parsedFindings,
+      reportFiles,
+      batchId,
+    );
+    fs.writeFileSync(markdownPath, markdown);
+
+    console.log(`Markdown report generated: ${markdownPath}`);
   }
 
   /**
-   * Парсер для w4af
+   * Количество findings по уровням критичности
    */
-  parseW4afFindings(rawOutput) {
-    const findings = [];
-    const lines = rawOutput.split("\n");
-
-    for (const line of lines) {
-      // Основные уязвимости w4af
-      if (
-        line.includes("Vulnerability") ||
-        (line.includes("found") && line.includes("vulnerability"))
-      ) {
-        let severity = "MEDIUM";
-        let title = "w4af vulnerability detected";
-
-        // Определение типа уязвимости
-        if (line.includes("SQL") || line.includes("sql")) {
-          severity = "HIGH";
-          title = "SQL Injection vulnerability";
-        } else if (line.includes("XSS") || line.includes("xss")) {
-          severity = "HIGH";
-          title = "Cross-Site Scripting vulnerability";
-        } else if (line.includes("CSRF") || line.includes("csrf")) {
-          severity = "MEDIUM";
-          title = "CSRF vulnerability";
-        } else if (
-          line.includes("file inclusion") ||
-          line.includes("LFI") ||
-          line.includes("RFI")
-        ) {
-          severity = "HIGH";
-          title = "File Inclusion vulnerability";
-        } else if (line.includes("command execution") || line.includes("RCE")) {
-          severity = "HIGH";
-          title = "Remote Code Execution vulnerability";
-        } else if (
-          line.includes("directory listing") ||
-          line.includes("information disclosure")
-        ) {
-          severity = "LOW";
-          title = "Information Disclosure";
-        }
-
-        findings.push({
-          severity: severity,
-          title: title,
-          tool: "w4af",
-          type: "vulnerability",
-          line: line.trim(),
-        });
-      }
-
-      // Статистика сканирования
-      if (line.includes("Scan finished") || line.includes("scan completed")) {
-        findings.push({
-          severity: "INFO",
-          title: "w4af scan completed",
-          tool: "w4af",
-          type: "scan_summary",
-          line: line.trim(),
-        });
-      }
-
-      // Количество найденных уязвимостей
-      const vulnCountMatch = line.match(
-        /Found\s+(\d+)\s+(?:vulnerabilities?|issues?)/i,
-      );
-      if (vulnCountMatch) {
-        const vulnCount = parseInt(vulnCountMatch[1]);
-        findings.push({
-          severity: "INFO",
-          title: `w4af found ${vulnCount} vulnerabilities`,
-          tool: "w4af",
-          type: "scan_stats",
-          vulnCount: vulnCount,
-          line: line.trim(),
-        });
+  countFindingsBySeverity(findings) {
+    const counts = Object.fromEntries(
+      SEVERITIES.map((severity) => [severity, 0]),
+    );
+    counts.total = 0;
+    counts.outOfScope = 0;
+    for (const finding of findings) {
+      // Помеченные findings вне scope не входят в счетчики уровней
+      if (finding.outOfScope) {
+        counts.outOfScope++;
+        continue;
       }
+      const severity = SEVERITIES.includes(finding.severity)
+        ? finding.severity
+        : "INFO";
+      counts[severity]++;
+      counts.total++;
+    }
+    return counts;
+  }
 
-      // Информация о сканировании
-      if (
-        line.includes("Starting") ||
-        line.includes("scanning") ||
-        line.includes("audit")
-      ) {
-        findings.push({
+  /**
+   * Парсить findings из STDOUT разных инструментов
+   */
+  parseFindingsFromStdout(rawOutput, tool) {
+    const plugin = getTool(tool);
+    if (!plugin) {
+      return [
+        {
           severity: "INFO",
-          title: "w4af scan progress information",
-          tool: "w4af",
-          type: "scan_progress",
-          line: line.trim(),
-        });
-      }
-
-      // Ошибки и предупреждения
-      if (
-        line.includes("ERROR") ||
-        line.includes("Error") ||
-        line.includes("WARNING") ||
-        line.includes("Warning")
-      ) {
-        let severity = "LOW";
-        if (line.includes("ERROR") || line.includes("Error"))
-          severity = "MEDIUM";
-
-        findings.push({
-          severity: severity,
-          title: "w4af scan error or warning",
-          tool: "w4af",
-          type: "scan_issue",
-          line: line.trim(),
-        });
-      }
+          title: "Parser not implemented for this tool",
+          tool: tool,
+          line: "Raw output available in artifacts",
+        },
+      ];
     }
 
-    return findings;
+    return plugin.parseFindings(rawOutput);
   }
 
   /**
@@ -1105,26 +2567,14 @@ class BatchManager {
   parseJsonReports(batchDir, runId, tool) {
     const findings = [];
 
-    if (tool !== "zap") {
-      return findings; // Пока только для ZAP
+    // Отчеты в файлах умеют разбирать не все плагины
+    const plugin = getTool(tool);
+    if (!plugin || !plugin.parseReports) {
+      return findings;
     }
 
     try {
-      // Поиск JSON отчетов ZAP в директории
-      const files = fs.readdirSync(batchDir);
-      const zapJsonFiles = files.filter(
-        (file) => file.includes(runId) && file.endsWith(".json"),
-      );
-
-      // Парсить каждый найденный JSON файл
-      for (const jsonFile of zapJsonFiles) {
-        const jsonPath = path.join(batchDir, jsonFile);
-        if (fs.existsSync(jsonPath)) {
-          console.log(`Parsing ZAP JSON report: ${jsonPath}`);
-          const jsonFindings = this.parseZapJsonReport(jsonPath);
-          findings.push(...jsonFindings);
-        }
-      }
+      findings.push(...plugin.parseReports(batchDir, runId));
     } catch (error) {
       console.error(`Error parsing JSON reports for ${runId}:`, error);
       findings.push({
@@ -1169,77 +2619,100 @@ class BatchManager {
   }
 
   /**
-   * Парсить ZAP JSON отчет
+   * Секция параметров запросов (с замаскированными секретами) для markdown отчета
    */
-  parseZapJsonReport(jsonPath) {
-    const findings = [];
+  describeRequestOptions(request) {
+    if (!request) {
+      return "Scanner defaults.";
+    }
 
-    try {
-      const jsonContent = fs.readFileSync(jsonPath, "utf8");
-      const report = JSON.parse(jsonContent);
-
-      // ZAP JSON отчет имеет структуру: site -> alerts
-      if (report.site && Array.isArray(report.site)) {
-        for (const site of report.site) {
-          if (site.alerts && Array.isArray(site.alerts)) {
-            for (const alert of site.alerts) {
-              const severity = this.mapZapRiskToSeverity(alert.riskcode);
-              const confidence = alert.confidence || "Unknown";
-
-              findings.push({
-                severity: severity,
-                title: alert.name || "Unknown ZAP Alert",
-                tool: "zap",
-                type: "json_alert",
-                description: alert.desc || "",
-                solution: alert.solution || "",
-                reference: alert.reference || "",
-                confidence: confidence,
-                riskcode: alert.riskcode,
-                count: alert.count || 1,
-                instances: alert.instances ? alert.instances.length : 0,
-                cweid: alert.cweid || null,
-                wascid: alert.wascid || null,
-                line: `ZAP JSON Alert: ${alert.name} (Risk: ${alert.riskcode}, Confidence: ${confidence})`,
-              });
-            }
-          }
-        }
-      }
+    const lines = Object.entries(request.headers || {}).map(
+      ([name, value]) => `- **Header**: \`${name}: ${value}\``,
+    );
+    if (request.cookies) {
+      lines.push(`- **Cookies**: \`${request.cookies}\``);
+    }
+    if (request.userAgent) {
+      lines.push(`- **User-Agent**: \`${request.userAgent}\``);
+    }
+    if (request.proxy) {
+      lines.push(`- **Proxy**: ${request.proxy}`);
+    }
+    return lines.join("\n");
+  }
 
-      console.log(
-        `Parsed ${findings.length} alerts from ZAP JSON report: ${jsonPath}`,
-      );
-    } catch (error) {
-      console.error(`Failed to parse ZAP JSON report ${jsonPath}:`, error);
-      findings.push({
-        severity: "INFO",
-        title: `Failed to parse ZAP JSON report: ${path.basename(jsonPath)}`,
-        tool: "zap",
-        type: "json_parse_error",
-        line: `JSON parsing failed: ${error.message}`,
-      });
+  /**
+   * Секция правил scope для markdown отчета: что применил сам инструмент,
+   * а что - только фильтр findings
+   */
+  describeScope(scope, toolId, outOfScope) {
+    if (!scope) {
+      return "No scope rules, scanner defaults.";
     }
 
-    return findings;
+    const tool = getTool(toolId);
+    const native = (tool && tool.scopeOptions) || [];
+    const fields = listScopeFields(scope);
+    const lines = [
+      ...scope.include.map((pattern) => `- **Include**: \`${pattern}\``),
+      ...scope.exclude.map((pattern) => `- **Exclude**: \`${pattern}\``),
+    ];
+    if (scope.maxDepth) {
+      lines.push(`- **Max Depth**: ${scope.maxDepth}`);
+    }
+    if (scope.excludeMethods.length > 0) {
+      lines.push(`- **Excluded Methods**: ${scope.excludeMethods.join(", ")}`);
+    }
+    lines.push(
+      `- **Applied by ${toolId}**: ${fields.filter((field) => native.includes(field)).join(", ") || "none"}`,
+      `- **Findings Filter**: out-of-scope findings are ${scope.outOfScope === "drop" ? "dropped" : "flagged"} (${outOfScope || 0} this run)`,
+    );
+    return lines.join("\n");
+  }
+
+  /**
+   * Набор известных уязвимостей для ячейки: выбранный в batch или набор
+   * цели каталога, к которой ведет URL
+   */
+  resolveGroundTruth(config, cell) {
+    const target = this.targetCatalog.findByUrl(cell.targetUrl);
+    return this.groundTruth.resolve(
+      config.groundTruth,
+      target ? target.id : null,
+    );
+  }
+
+  /**
+   * Секция оценки по ground truth для markdown отчета
+   */
+  describeGroundTruth(benchmark) {
+    if (!benchmark) {
+      return "No ground truth dataset for this target.";
+    }
+
+    return [
+      `- **Dataset**: ${benchmark.dataset}`,
+      `- **Metrics**: ${describeBenchmark(benchmark)}`,
+      `- **Detected**: ${benchmark.detected.join(", ") || "none"}`,
+      `- **Missed**: ${benchmark.missed.join(", ") || "none"}`,
+    ].join("\n");
   }
 
   /**
-   * Преобразовать ZAP risk code в стандартную серьезность
+   * Секция потребления ресурсов контейнером для markdown отчета
    */
-  mapZapRiskToSeverity(riskcode) {
-    switch (String(riskcode)) {
-      case "3":
-        return "HIGH"; // High Risk
-      case "2":
-        return "MEDIUM"; // Medium Risk
-      case "1":
-        return "LOW"; // Low Risk
-      case "0":
-        return "INFO"; // Informational
-      default:
-        return "MEDIUM"; // Default fallback
+  describeResources(resources) {
+    if (!resources) {
+      return "No container stats collected for this run.";
     }
+
+    return [
+      `- **CPU**: ${resources.cpuPercentAvg}% avg, ${resources.cpuPercentMax}% peak`,
+      `- **Memory Peak**: ${formatBytes(resources.memoryPeakBytes)}${resources.memoryLimitBytes ? ` of ${formatBytes(resources.memoryLimitBytes)} limit` : ""}`,
+      `- **Network In**: ${formatBytes(resources.networkRxBytes)}`,
+      `- **Network Out**: ${formatBytes(resources.networkTxBytes)}`,
+      `- **Samples**: ${resources.samples} (every ${STATS_INTERVAL_MS / 1000}s)`,
+    ].join("\n");
   }
 
   /**
@@ -1260,12 +2733,38 @@ class BatchManager {
 ## Scan Information
 - **Tool**: ${metadata.tool || "Unknown"}
 - **Target URL**: ${metadata.target_url || "Unknown"}
+- **Profile**: ${metadata.profile || "default"}${metadata.profile_args && metadata.profile_args.length > 0 ? ` (\`${metadata.profile_args.join(" ")}\`)` : ""}
+- **Image**: ${metadata.image || "Unknown"}
+- **Image Digest**: ${metadata.image_digest || "Unknown"}
+- **Tool Version**: ${metadata.tool_version || "Unknown"}
+- **Authentication**: ${metadata.auth ? `${metadata.auth.name} (${metadata.auth.type})` : "None"}
+- **Generated Config**: ${metadata.files && metadata.files.length > 0 ? metadata.files.map((file) => `\`${file}\``).join(", ") : "None"}
+- **Matrix Cell**: ${metadata.cell || "Unknown"} (repetition ${metadata.repetition || 1})
 - **Duration**: ${Math.round((metadata.duration_seconds || 0) * 100) / 100}s
 - **Exit Code**: ${result.exitCode || "Unknown"}
+- **Run Status**: ${metadata.run_status || "Unknown"}
+- **Run Limits**: ${this.describeRunLimits(metadata.run_limits)}
+- **Target Precheck**: ${describeProbe(metadata.precheck)}
+- **Target Reset**: ${describeReset(metadata.reset)}
+- **Attempt**: ${metadata.attempt || 1}
+- **Scheduling**: ${describeSchedule(metadata.schedule)}
+- **Start Delay**: ${metadata.start_delay_ms != null ? `${metadata.start_delay_ms / 1000}s` : "Unknown"}
 - **Timestamp**: ${timestamp}
 
+## Request Options
+${this.describeRequestOptions(metadata.request)}
+
+## Scope
+${this.describeScope(metadata.scope, metadata.tool, metadata.out_of_scope)}
+
+## Resource Usage
+${this.describeResources(metadata.resources)}
+
+## Ground Truth
+${this.describeGroundTruth(metadata.benchmark)}
+
 ## Findings Summary
-**Total Findings**: ${findings.length}
+**Total Findings**: ${findings.filter((finding) => !finding.outOfScope).length}${metadata.out_of_scope ? ` (${metadata.out_of_scope} out of scope)` : ""}
 
 `;
 
@@ -1274,7 +2773,7 @@ class BatchManager {
       markdown += "|----------|-------|------|---------------------|\n";
 
       for (const finding of findings) {
-        markdown += `| ${finding.severity || "INFO"} | ${finding.title} | ${finding.tool} | ${finding.owasp_category || "Uncategorized"} |\n`;
+        markdown += `| ${finding.severity || "INFO"} | ${finding.title}${finding.outOfScope ? " _(out of scope)_" : ""} | ${finding.tool} | ${finding.owasp_category || "Uncategorized"} |\n`;
       }
 
       markdown += "\n## Detailed Findings\n\n";
@@ -1286,6 +2785,12 @@ class BatchManager {
         if (finding.owasp_category) {
           markdown += `- **OWASP 2025 Category**: ${finding.owasp_category}\n`;
         }
+        if (finding.outOfScope) {
+          markdown += `- **Scope**: out of scope (${finding.scopeReason})\n`;
+        }
+        if (finding.groundTruth) {
+          markdown += `- **Ground Truth**: ${finding.groundTruth.label}${finding.groundTruth.vulnerabilities.length > 0 ? ` (${finding.groundTruth.vulnerabilities.join(", ")})` : ""}${finding.groundTruth.category ? `, class ${finding.groundTruth.category}` : ""}\n`;
+        }
 
         // Дополнительная информация для JSON alerts
         if (finding.type === "json_alert") {
@@ -1329,9 +2834,32 @@ class BatchManager {
       }
     }
 
+    if (metadata.previous_attempts && metadata.previous_attempts.length > 0) {
+      markdown += "\n### Previous Attempts\n";
+      for (const attempt of metadata.previous_attempts) {
+        markdown += `- Attempt ${attempt.attempt}: ${attempt.status}`;
+        const attemptFiles = [attempt.rawOutput, ...(attempt.files || [])];
+        if (attemptFiles.some(Boolean)) {
+          markdown += ` - ${attemptFiles
+            .filter(Boolean)
+            .map((file) => `\`${file}\``)
+            .join(", ")}`;
+        }
+        if (attempt.error) {
+          markdown += ` (${attempt.error})`;
+        }
+        markdown += "\n";
+      }
+    }
+
     markdown += `\n### Markdown Report\n`;
     markdown += `- \`artifacts/${batchId}/${runId}_report.md\` - This report\n`;
 
+    if (result.timedOut) {
+      markdown += "\n## Timeout\n";
+      markdown += `The run was killed by the ${result.timedOut === "idle_timeout" ? "no-output watchdog" : "hard run timeout"}; findings above are based on partial output.\n`;
+    }
+
     if (result.error) {
       markdown += "\n## Error Information\n";
       markdown += `\`\`\`\n${result.error}\n\`\`\`\n`;
@@ -1340,6 +2868,26 @@ class BatchManager {
     return markdown;
   }
 
+  /**
+   * Описание лимитов прогона для отчета
+   */
+  describeRunLimits(limits) {
+    if (!limits) {
+      return "Unknown";
+    }
+
+    const parts = [`concurrency ${limits.concurrency || this.maxConcurrent}`];
+    parts.push(
+      limits.runTimeoutMinutes
+        ? `timeout ${limits.runTimeoutMinutes} min`
+        : "no timeout",
+    );
+    if (limits.idleTimeoutMinutes) {
+      parts.push(`no-output watchdog ${limits.idleTimeoutMinutes} min`);
+    }
+    return parts.join(", ");
+  }
+
   /**
    * Подписать WebSocket клиента на обновления batch
    */
@@ -1349,15 +2897,7 @@ class BatchManager {
       batch.clients.add(ws);
 
       // Отправить текущий статус со всеми run'ами
-      ws.send(
-        JSON.stringify({
-          type: "batch_status",
-          batchId: batchId,
-          status: batch.status,
-          progress: batch.progress,
-          runStatuses: batch.runStatuses,
-        }),
-      );
+      ws.send(JSON.stringify(this.getBatchSnapshot(batchId)));
 
       // Обработчик отключения клиента
       ws.on("close", () => {
@@ -1366,6 +2906,23 @@ class BatchManager {
     }
   }
 
+  /**
+   * Полный снимок состояния batch для WebSocket клиентов
+   */
+  getBatchSnapshot(batchId) {
+    const batch = this.batches.get(batchId);
+
+    return {
+      type: "batch_status",
+      batchId: batchId,
+      status: batch.status,
+      progress: batch.progress,
+      precheck: batch.precheck || {},
+      cells: this.getCellSummaries(batch),
+      runStatuses: batch.runStatuses,
+    };
+  }
+
   /**
    * Отправить сообщение всем клиентам batch
    */
@@ -1397,18 +2954,292 @@ class BatchManager {
       progress: batch.progress,
       createdAt: batch.createdAt,
       startedAt: batch.startedAt,
+      pausedAt: batch.pausedAt,
       completedAt: batch.completedAt,
-      config: batch.config,
+      pinned: Boolean(batch.pinned),
+      // Значения заголовков, cookies и пароль прокси не уходят клиентам
+      config: {
+        ...batch.config,
+        request: maskRequestOptions(batch.config.request),
+      },
+      precheck: batch.precheck || {},
+      benchmark: batch.benchmark || null,
+      cells: this.getCellSummaries(batch),
+    };
+  }
+
+  /**
+   * Оценка batch по ground truth: сводка ячеек и разметка каждого прогона
+   */
+  getBenchmark(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      return null;
+    }
+
+    return {
+      summary: batch.benchmark || null,
+      runs: batch.runStatuses
+        .filter((runStatus) => runStatus.benchmark)
+        .map((runStatus) => ({
+          runIndex: runStatus.runIndex,
+          runId: runStatus.runId,
+          cell: runStatus.cell.key,
+          repetition: runStatus.repetition,
+          status: runStatus.status,
+          benchmark: runStatus.benchmark,
+        })),
+    };
+  }
+
+  /**
+   * Есть ли у batch еще не остановленные прогоны. После отмены статус
+   * batch уже "cancelled", а контейнеры могут еще останавливаться
+   */
+  hasActiveRuns(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      return false;
+    }
+    return (
+      batch.progress.running > 0 ||
+      batch.runStatuses.some((runStatus) =>
+        this.activeScans.has(runStatus.runId),
+      )
+    );
+  }
+
+  /**
+   * Удалить batch вместе с директорией артефактов
+   */
+  deleteBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      throw new Error(`Batch ${batchId} not found`);
+    }
+    if (["running", "paused"].includes(batch.status)) {
+      throw batchError(
+        409,
+        `Batch ${batchId} is ${batch.status}, cancel it before deleting`,
+      );
+    }
+    if (this.hasActiveRuns(batchId)) {
+      throw batchError(
+        409,
+        `Batch ${batchId} still has running scans, wait for them to stop before deleting`,
+      );
+    }
+
+    this.broadcastToBatch(batchId, {
+      type: "batch_deleted",
+      batchId: batchId,
+    });
+
+    this.batches.delete(batchId);
+    this.store.remove(batchId);
+
+    console.log(`Batch ${batchId} deleted`);
+  }
+
+  /**
+   * Удалить контекст аутентификации, если его не ждут незавершенные batches
+   */
+  deleteAuthContext(contextId) {
+    const batch = [...this.batches.values()].find(
+      (candidate) =>
+        candidate.config.authContextId === contextId &&
+        ["created", "running", "paused"].includes(candidate.status),
+    );
+    if (batch) {
+      throw batchError(
+        409,
+        `Auth context ${contextId} is used by ${batch.status} batch ${batch.id}`,
+      );
+    }
+
+    return this.authContexts.deleteContext(contextId);
+  }
+
+  /**
+   * Закрепить batch, чтобы политика хранения его не удаляла
+   */
+  setBatchPinned(batchId, pinned) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      throw new Error(`Batch ${batchId} not found`);
+    }
+
+    batch.pinned = Boolean(pinned);
+    this.persistBatch(batchId);
+  }
+
+  /**
+   * Статус batch со сводкой по прогонам и findings для истории
+   */
+  getBatchSummary(batchId) {
+    const batch = this.batches.get(batchId);
+    const findings = this.countFindingsBySeverity([]);
+    let reportedRuns = 0;
+
+    for (const runStatus of batch.runStatuses) {
+      if (!runStatus.findings) {
+        continue;
+      }
+      reportedRuns++;
+      for (const key of Object.keys(findings)) {
+        findings[key] += runStatus.findings[key] || 0;
+      }
+    }
+
+    return {
+      ...this.getBatchStatus(batchId),
+      summary: {
+        runs: batch.progress.total,
+        completed: batch.progress.completed,
+        failures:
+          batch.progress.failed +
+          batch.progress.timedOut +
+          (batch.progress.targetUnavailable || 0),
+        cancelled: batch.progress.cancelled,
+        duration:
+          batch.startedAt && batch.completedAt
+            ? batch.completedAt - batch.startedAt
+            : null,
+        reportedRuns: reportedRuns,
+        findings: findings,
+      },
+    };
+  }
+
+  /**
+   * История batches с фильтрами, сортировкой и пагинацией
+   */
+  listBatches(query = {}) {
+    const statuses = query.status ? String(query.status).split(",") : null;
+    const from = parseDateFilter(query.from, "from");
+    const to = parseDateFilter(query.to, "to");
+
+    const sortBy = query.sortBy || "createdAt";
+    if (!Object.hasOwn(BATCH_SORT_FIELDS, sortBy)) {
+      throw batchError(
+        400,
+        `Unknown sortBy "${sortBy}". Available: ${Object.keys(BATCH_SORT_FIELDS).join(", ")}`,
+      );
+    }
+    const order = query.order || "desc";
+    if (!["asc", "desc"].includes(order)) {
+      throw batchError(400, 'order must be "asc" or "desc"');
+    }
+    const direction = order === "asc" ? 1 : -1;
+
+    for (const field of ["page", "pageSize"]) {
+      if (query[field] !== undefined && !/^[1-9]\d*$/.test(query[field])) {
+        throw batchError(400, `${field} must be a positive integer`);
+      }
+    }
+    const page = Number.parseInt(query.page, 10) || 1;
+    const pageSize = Math.min(
+      MAX_PAGE_SIZE,
+      Number.parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE,
+    );
+
+    const batches = [...this.batches.values()]
+      .filter((batch) => {
+        const { config } = batch;
+        if (query.tool && !config.matrix.tools.includes(query.tool)) {
+          return false;
+        }
+        if (
+          query.targetUrl &&
+          !config.matrix.targets.some((target) =>
+            target.includes(query.targetUrl),
+          )
+        ) {
+          return false;
+        }
+        if (statuses && !statuses.includes(batch.status)) {
+          return false;
+        }
+        if (from !== null && batch.createdAt < from) {
+          return false;
+        }
+        if (to !== null && batch.createdAt > to) {
+          return false;
+        }
+        if (query.tag && !(config.tags || []).includes(query.tag)) {
+          return false;
+        }
+        if (
+          query.pinned !== undefined &&
+          Boolean(batch.pinned) !== (query.pinned === "true")
+        ) {
+          return false;
+        }
+        return true;
+      })
+      .map((batch) => this.getBatchSummary(batch.id))
+      .sort(
+        (a, b) =>
+          direction *
+            (BATCH_SORT_FIELDS[sortBy](a) - BATCH_SORT_FIELDS[sortBy](b)) ||
+          direction * (a.createdAt - b.createdAt),
+      );
+
+    const statusCounts = {};
+    for (const batch of batches) {
+      statusCounts[batch.status] = (statusCounts[batch.status] || 0) + 1;
+    }
+
+    return {
+      batches: batches.slice((page - 1) * pageSize, page * pageSize),
+      page: page,
+      pageSize: pageSize,
+      total: batches.length,
+      statusCounts: statusCounts,
     };
   }
 
+  /**
+   * Прогоны и прогресс по ячейкам матрицы batch
+   */
+  getCellSummaries(batch) {
+    return batch.config.cells.map((cell) => {
+      const runStatuses = batch.runStatuses.filter(
+        (runStatus) => runStatus.cell.key === cell.key,
+      );
+      const count = (status) =>
+        runStatuses.filter((runStatus) => runStatus.status === status).length;
+
+      return {
+        ...cell,
+        runIndices: runStatuses.map((runStatus) => runStatus.runIndex),
+        progress: {
+          total: runStatuses.length,
+          completed: count("completed"),
+          running: count("running"),
+          failed: count("failed"),
+          timedOut: count("timeout"),
+          targetUnavailable: count("target_unavailable"),
+          cancelled: count("cancelled"),
+        },
+      };
+    });
+  }
+
+  /**
+   * Получить состояние глобальной очереди сканирований
+   */
+  getQueueStatus() {
+    return this.queue.getSnapshot();
+  }
+
   /**
    * Получить все активные batches
    */
   getActiveBatches() {
     const active = [];
     for (const [batchId, batch] of this.batches) {
-      if (batch.status === "running" || batch.status === "created") {
+      if (["running", "paused", "created"].includes(batch.status)) {
         active.push(this.getBatchStatus(batchId));
       }
     }
@@ -1416,4 +3247,5 @@ class BatchManager {
   }
 }
 
+export { ARTIFACTS_DIR };
 export default BatchManager;
@@ -0,0 +1,150 @@
+/**
+ * VKR Security Stand - Batch Store
+ * Persists batch state next to batch artifacts so it survives backend restarts
+ */
+
+import fs from "fs";
+import path from "path";
+import { maskRequestOptions } from "./request_options.js";
+
+const STATE_FILE = "batch_state.json";
+// Параметры запросов batch без маски - отдельно от состояния, только владельцу
+const REQUEST_FILE = "batch_request.json";
+
+class BatchStore {
+  constructor(artifactsDir) {
+    this.artifactsDir = artifactsDir;
+  }
+
+  /**
+   * Путь к файлу состояния batch
+   */
+  getStatePath(batchId) {
+    return path.join(this.artifactsDir, batchId, STATE_FILE);
+  }
+
+  /**
+   * Путь к файлу параметров запросов batch
+   */
+  getRequestPath(batchId) {
+    return path.join(this.artifactsDir, batchId, REQUEST_FILE);
+  }
+
+  /**
+   * Сохранить состояние batch (атомарно через временный файл).
+   * В состоянии параметры запросов замаскированы, значения - в файле 0600
+   */
+  save(batch) {
+    const statePath = this.getStatePath(batch.id);
+    const tmpPath = `${statePath}.tmp`;
+
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    if (batch.config.request) {
+      const requestPath = this.getRequestPath(batch.id);
+      fs.writeFileSync(
+        `${requestPath}.tmp`,
+        JSON.stringify(batch.config.request, null, 2),
+        { mode: 0o600 },
+      );
+      fs.renameSync(`${requestPath}.tmp`, requestPath);
+    }
+    fs.writeFileSync(tmpPath, JSON.stringify(this.serialize(batch), null, 2));
+    fs.renameSync(tmpPath, statePath);
+  }
+
+  /**
+   * Подготовить batch к записи: без WebSocket клиентов и stdout,
+   * который уже лежит в {runId}_raw.txt
+   */
+  serialize(batch) {
+    const { clients, ...state } = batch;
+    const stripResult = (result) => {
+      if (!result) {
+        return result;
+      }
+      const { stdout, ...rest } = result;
+      return rest;
+    };
+
+    return {
+      ...state,
+      config: {
+        ...state.config,
+        request: maskRequestOptions(state.config.request),
+      },
+      runs: state.runs.map((run) => ({
+        ...run,
+        result: stripResult(run.result),
+      })),
+      runStatuses: state.runStatuses.map((runStatus) => ({
+        ...runStatus,
+        result: stripResult(runStatus.result),
+      })),
+    };
+  }
+
+  /**
+   * Удалить состояние и все артефакты batch
+   */
+  remove(batchId) {
+    fs.rmSync(path.join(this.artifactsDir, batchId), {
+      recursive: true,
+      force: true,
+    });
+  }
+
+  /**
+   * Размер директории артефактов batch в байтах
+   */
+  getSize(batchId) {
+    const measure = (target) => {
+      const stats = fs.statSync(target);
+      if (!stats.isDirectory()) {
+        return stats.size;
+      }
+      return fs
+        .readdirSync(target)
+        .reduce((total, entry) => total + measure(path.join(target, entry)), 0);
+    };
+
+    const batchDir = path.join(this.artifactsDir, batchId);
+    return fs.existsSync(batchDir) ? measure(batchDir) : 0;
+  }
+
+  /**
+   * Загрузить все сохраненные batches из директории артефактов
+   */
+  loadAll() {
+    if (!fs.existsSync(this.artifactsDir)) {
+      return [];
+    }
+
+    const batches = [];
+    for (const entry of fs.readdirSync(this.artifactsDir)) {
+      const statePath = this.getStatePath(entry);
+      if (!fs.existsSync(statePath)) {
+        continue;
+      }
+
+      try {
+        const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+        const requestPath = this.getRequestPath(entry);
+        if (state.config.request && fs.existsSync(requestPath)) {
+          state.config.request = JSON.parse(
+            fs.readFileSync(requestPath, "utf8"),
+          );
+        }
+        batches.push(state);
+      } catch (error) {
+        console.error(
+          `Failed to load batch state ${statePath}:`,
+          error.message,
+        );
+      }
+    }
+
+    return batches;
+  }
+}
+
+export default BatchStore;
@@ -0,0 +1,558 @@
+/**
+ * VKR Security Stand - Container Runner
+ * Runs scanner containers through the Docker Engine API (unix socket)
+ */
+
+import http from "http";
+
+const DEFAULT_SOCKET_PATH = "/var/run/docker.sock";
+const DEFAULT_NETWORK = "websec-stand_dast-network";
+
+// Метки, по которым backend находит свои контейнеры
+export const LABEL_PREFIX = "vkr";
+export const MANAGED_LABEL = `${LABEL_PREFIX}.managed`;
+
+// Тип потока в мультиплексированном выводе Docker (контейнер без TTY)
+const STREAM_TYPES = { 1: "stdout", 2: "stderr" };
+const FRAME_HEADER_SIZE = 8;
+
+/**
+ * Разделить ссылку на образ на имя и тег для /images/create
+ */
+const parseImageReference = (image) => {
+  // Ссылка с digest передается целиком
+  if (image.includes("@")) {
+    return { fromImage: image };
+  }
+
+  const colon = image.lastIndexOf(":");
+  if (colon > image.lastIndexOf("/")) {
+    return { fromImage: image.slice(0, colon), tag: image.slice(colon + 1) };
+  }
+  // Без тега Docker скачал бы все теги образа
+  return { fromImage: image, tag: "latest" };
+};
+
+/**
+ * Выборка ресурсов из ответа /containers/{id}/stats (как считает docker stats)
+ */
+const summarizeStats = (stats) => {
+  const memory = stats.memory_stats || {};
+  if (!memory.usage) {
+    // Контейнер еще не запущен или уже остановлен
+    return null;
+  }
+
+  const cpu = stats.cpu_stats || {};
+  const precpu = stats.precpu_stats || {};
+  const cpuDelta =
+    (cpu.cpu_usage?.total_usage || 0) - (precpu.cpu_usage?.total_usage || 0);
+  const systemDelta =
+    (cpu.system_cpu_usage || 0) - (precpu.system_cpu_usage || 0);
+  const onlineCpus =
+    cpu.online_cpus || cpu.cpu_usage?.percpu_usage?.length || 1;
+  const cpuPercent =
+    cpuDelta > 0 && systemDelta > 0
+      ? (cpuDelta / systemDelta) * onlineCpus * 100
+      : 0;
+
+  // Page cache не считается потреблением (cgroup v2 - inactive_file, v1 - total_inactive_file)
+  const cache =
+    memory.stats?.inactive_file ?? memory.stats?.total_inactive_file ?? 0;
+
+  let networkRxBytes = 0;
+  let networkTxBytes = 0;
+  for (const network of Object.values(stats.networks || {})) {
+    networkRxBytes += network.rx_bytes || 0;
+    networkTxBytes += network.tx_bytes || 0;
+  }
+
+  return {
+    cpuPercent: Math.round(cpuPercent * 100) / 100,
+    memoryBytes: Math.max(memory.usage - cache, 0),
+    memoryLimitBytes: memory.limit || null,
+    networkRxBytes: networkRxBytes,
+    networkTxBytes: networkTxBytes,
+    sampledAt: Date.now(),
+  };
+};
+
+class ContainerRunner {
+  constructor({
+    socketPath = process.env.DOCKER_SOCKET || DEFAULT_SOCKET_PATH,
+    network = process.env.DOCKER_NETWORK || DEFAULT_NETWORK,
+  } = {}) {
+    this.socketPath = socketPath;
+    this.network = network;
+  }
+
+  /**
+   * HTTP запрос к Docker Engine API.
+   * При stream: true возвращает ответ без чтения тела
+   */
+  request(method, apiPath, { query, body, stream = false } = {}) {
+    const search = query ? `?${new URLSearchParams(query)}` : "";
+    const payload = body === undefined ? null : JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+      const req = http.request(
+        {
+          socketPath: this.socketPath,
+          path: `${apiPath}${search}`,
+          method: method,
+          headers: payload
+            ? {
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(payload),
+              }
+            : {},
+        },
+        (res) => {
+          if (stream && res.statusCode < 400) {
+            resolve(res);
+            return;
+          }
+
+          const chunks = [];
+          res.on("data", (chunk) => chunks.push(chunk));
+          res.on("error", reject);
+          res.on("end", () => {
+            const text = Buffer.concat(chunks).toString();
+            let data = text;
+            try {
+              data = text ? JSON.parse(text) : null;
+            } catch {
+              // Часть ответов (например, /images/create) - не JSON
+            }
+
+            if (res.statusCode >= 400) {
+              const error = new Error(
+                `Docker API ${method} ${apiPath} failed (${res.statusCode}): ${
+                  (data && data.message) || text
+                }`,
+              );
+              error.statusCode = res.statusCode;
+              reject(error);
+              return;
+            }
+
+            resolve(data);
+          });
+        },
+      );
+
+      req.on("error", (error) => {
+        reject(
+          new Error(
+            `Docker API is unavailable at ${this.socketPath}: ${error.message}`,
+          ),
+        );
+      });
+
+      if (payload) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * Скачать образ, если его нет локально
+   */
+  async ensureImage(image) {
+    try {
+      await this.request("GET", `/images/${image}/json`);
+      return;
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+    }
+
+    console.log(`Pulling image ${image}...`);
+    // Ответ - поток JSON строк, ошибка pull приходит в поле error
+    const progress = await this.request("POST", "/images/create", {
+      query: parseImageReference(image),
+    });
+    const text =
+      typeof progress === "string" ? progress : JSON.stringify(progress);
+    for (const line of text.split("\n")) {
+      if (line.includes('"error"')) {
+        throw new Error(`Failed to pull image ${image}: ${line.trim()}`);
+      }
+    }
+  }
+
+  /**
+   * Id, digest и метки образа (образ скачивается при необходимости).
+   * digest - ссылка вида name@sha256:..., null для локально собранных образов
+   */
+  async inspectImage(image) {
+    await this.ensureImage(image);
+    const info = await this.request("GET", `/images/${image}/json`);
+
+    const repository = parseImageReference(image).fromImage.split("@")[0];
+    const repoDigests = info.RepoDigests || [];
+    const digest =
+      repoDigests.find((candidate) => candidate.startsWith(`${repository}@`)) ||
+      repoDigests[0] ||
+      null;
+
+    return {
+      id: info.Id,
+      digest: digest,
+      labels: (info.Config && info.Config.Labels) || {},
+      created: info.Created || null,
+    };
+  }
+
+  /**
+   * Создать контейнер сканера с метками прогона.
+   * binds - монтирования вида host:container[:mode]
+   */
+  async createContainer({ name, image, args, entrypoint, env, labels, binds }) {
+    await this.ensureImage(image);
+
+    const created = await this.request("POST", "/containers/create", {
+      query: { name: name },
+      body: {
+        Image: image,
+        Cmd: args,
+        Entrypoint: entrypoint ? [entrypoint] : undefined,
+        Env: env
+          ? Object.entries(env).map(([key, value]) => `${key}=${value}`)
+          : undefined,
+        Labels: { [MANAGED_LABEL]: "true", ...labels },
+        AttachStdout: true,
+        AttachStderr: true,
+        Tty: false,
+        HostConfig: {
+          NetworkMode: this.network,
+          Binds: binds && binds.length > 0 ? binds : undefined,
+        },
+      },
+    });
+
+    return created.Id;
+  }
+
+  /**
+   * Читать логи контейнера до его остановки, разбирая поток на stdout/stderr
+   */
+  async followLogs(containerId, onOutput) {
+    const res = await this.request("GET", `/containers/${containerId}/logs`, {
+      query: { follow: "1", stdout: "1", stderr: "1" },
+      stream: true,
+    });
+
+    let buffer = Buffer.alloc(0);
+    await new Promise((resolve, reject) => {
+      res.on("data", (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        // Кадр: [тип потока, 0, 0, 0, размер uint32 BE] + данные
+        while (buffer.length >= FRAME_HEADER_SIZE) {
+          const size = buffer.readUInt32BE(4);
+          if (buffer.length < FRAME_HEADER_SIZE + size) {
+            break;
+          }
+
+          const streamType = STREAM_TYPES[buffer[0]] || "stdout";
+          const data = buffer.subarray(
+            FRAME_HEADER_SIZE,
+            FRAME_HEADER_SIZE + size,
+          );
+          buffer = buffer.subarray(FRAME_HEADER_SIZE + size);
+          onOutput(streamType, data.toString());
+        }
+      });
+      res.on("end", resolve);
+      res.on("error", reject);
+    });
+  }
+
+  /**
+   * Запустить контейнер, транслировать его вывод и дождаться кода выхода.
+   * Контейнер удаляется после завершения; signal останавливает его досрочно
+   */
+  async runContainer({
+    name,
+    image,
+    args,
+    entrypoint,
+    env,
+    labels,
+    binds,
+    signal,
+    onOutput,
+  }) {
+    const containerId = await this.createContainer({
+      name,
+      image,
+      args,
+      entrypoint,
+      env,
+      labels,
+      binds,
+    });
+
+    const onAbort = () => {
+      this.killContainer(containerId).catch((error) => {
+        console.error(`Failed to kill container ${name}:`, error.message);
+      });
+    };
+
+    try {
+      // Остановка могла прийти, пока скачивался образ
+      if (signal && signal.aborted) {
+        throw new Error(`Container ${name} was stopped before start`);
+      }
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+
+      await this.request("POST", `/containers/${containerId}/start`);
+
+      const [waitResult] = await Promise.all([
+        this.request("POST", `/containers/${containerId}/wait`),
+        this.followLogs(containerId, onOutput),
+      ]);
+
+      return {
+        containerId: containerId,
+        exitCode: waitResult.StatusCode,
+      };
+    } finally {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      await this.removeContainer(containerId).catch((error) => {
+        console.error(`Failed to remove container ${name}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Выполнить короткую команду во временном контейнере и вернуть ее вывод
+   */
+  async runCommand({ image, args, entrypoint, timeoutMs = 60000 }) {
+    const abortController = new AbortController();
+    const timer = setTimeout(() => abortController.abort(), timeoutMs);
+
+    let output = "";
+    try {
+      const { exitCode } = await this.runContainer({
+        name: `vkr_cmd_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        image,
+        args,
+        entrypoint,
+        labels: {},
+        signal: abortController.signal,
+        onOutput: (stream, text) => {
+          output += text;
+        },
+      });
+      return { exitCode, output, timedOut: abortController.signal.aborted };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Текущее потребление ресурсов контейнера или null, если он не выполняется
+   */
+  async getStats(container) {
+    try {
+      const stats = await this.request(
+        "GET",
+        `/containers/${container}/stats`,
+        { query: { stream: "false" } },
+      );
+      return summarizeStats(stats);
+    } catch (error) {
+      // Контейнер еще не создан или уже удален
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Остановить контейнер (уже остановленный контейнер - не ошибка)
+   */
+  async killContainer(container) {
+    try {
+      await this.request("POST", `/containers/${container}/kill`);
+    } catch (error) {
+      // 404 - контейнер удален, 409 - уже не выполняется
+      if (![404, 409].includes(error.statusCode)) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Удалить контейнер вместе с анонимными томами
+   */
+  async removeContainer(container) {
+    try {
+      await this.request("DELETE", `/containers/${container}`, {
+        query: { force: "true", v: "true" },
+      });
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Контейнеры backend, отфильтрованные по меткам
+   */
+  async listContainers(labels = {}) {
+    const filters = Object.entries({ [MANAGED_LABEL]: "true", ...labels }).map(
+      ([key, value]) => `${key}=${value}`,
+    );
+
+    const containers = await this.request("GET", "/containers/json", {
+      query: { all: "true", filters: JSON.stringify({ label: filters }) },
+    });
+
+    return containers.map((container) => ({
+      id: container.Id,
+      name: (container.Names[0] || "").replace(/^\//, ""),
+      image: container.Image,
+      state: container.State,
+      labels: container.Labels,
+    }));
+  }
+
+  /**
+   * Контейнеры сервиса Docker Compose (по меткам compose, не только backend)
+   */
+  async findServiceContainers(service, project) {
+    const filters = [`com.docker.compose.service=${service}`];
+    if (project) {
+      filters.push(`com.docker.compose.project=${project}`);
+    }
+
+    const containers = await this.request("GET", "/containers/json", {
+      query: { all: "true", filters: JSON.stringify({ label: filters }) },
+    });
+
+    return containers.map((container) => ({
+      id: container.Id,
+      name: (container.Names[0] || "").replace(/^\//, ""),
+      image: container.Image,
+      state: container.State,
+    }));
+  }
+
+  /**
+   * Создать контейнер цели из каталога: сеть сканеров с алиасом сервиса
+   * и опубликованный на хосте порт
+   */
+  async createTargetContainer({ name, image, env, labels, port, hostPort }) {
+    await this.ensureImage(image);
+
+    const created = await this.request("POST", "/containers/create", {
+      query: { name: name },
+      body: {
+        Image: image,
+        Env: env
+          ? Object.entries(env).map(([key, value]) => `${key}=${value}`)
+          : undefined,
+        Labels: labels,
+        ExposedPorts: { [`${port}/tcp`]: {} },
+        HostConfig: {
+          NetworkMode: this.network,
+          PortBindings: { [`${port}/tcp`]: [{ HostPort: String(hostPort) }] },
+          RestartPolicy: { Name: "unless-stopped" },
+        },
+        NetworkingConfig: {
+          EndpointsConfig: { [this.network]: { Aliases: [name] } },
+        },
+      },
+    });
+
+    return created.Id;
+  }
+
+  /**
+   * Запустить контейнер (уже запущенный контейнер - не ошибка)
+   */
+  async startContainer(container) {
+    await this.request("POST", `/containers/${container}/start`);
+  }
+
+  /**
+   * Остановить контейнер с таймаутом на корректное завершение
+   */
+  async stopContainer(container, timeoutSeconds = 10) {
+    await this.request("POST", `/containers/${container}/stop`, {
+      query: { t: String(timeoutSeconds) },
+    });
+  }
+
+  /**
+   * Перезапустить контейнер (stop с таймаутом, затем start)
+   */
+  async restartContainer(container, timeoutSeconds = 10) {
+    await this.request("POST", `/containers/${container}/restart`, {
+      query: { t: String(timeoutSeconds) },
+    });
+  }
+
+  /**
+   * Пересоздать контейнер из образа с прежними настройками, именем и
+   * сетями: состояние приложения внутри контейнера сбрасывается
+   */
+  async recreateContainer(container, timeoutSeconds = 10) {
+    const info = await this.request("GET", `/containers/${container}/json`);
+    const name = info.Name.replace(/^\//, "");
+    // Hostname по умолчанию - короткий id старого контейнера
+    const { Hostname, ...config } = info.Config;
+    const networks = Object.fromEntries(
+      Object.entries(info.NetworkSettings.Networks || {}).map(
+        ([network, endpoint]) => [
+          network,
+          {
+            Aliases: (endpoint.Aliases || []).filter(
+              (alias) => alias !== Hostname,
+            ),
+          },
+        ],
+      ),
+    );
+
+    // Корректная остановка перед удалением (304 - уже остановлен)
+    await this.stopContainer(container, timeoutSeconds);
+    await this.removeContainer(container);
+
+    const created = await this.request("POST", "/containers/create", {
+      query: { name: name },
+      body: {
+        ...config,
+        HostConfig: info.HostConfig,
+        NetworkingConfig: { EndpointsConfig: networks },
+      },
+    });
+    await this.startContainer(created.Id);
+    return created.Id;
+  }
+
+  /**
+   * Удалить контейнеры, оставшиеся от прошлого запуска backend
+   */
+  async removeOrphanContainers() {
+    const containers = await this.listContainers();
+    for (const container of containers) {
+      await this.removeContainer(container.id);
+      console.log(`Removed orphan scan container ${container.name}`);
+    }
+    return containers.length;
+  }
+}
+
+export default ContainerRunner;
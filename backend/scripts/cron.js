@@ -0,0 +1,157 @@
+/**
+ * VKR Security Stand - Cron Expressions
+ * Minimal 5-field cron parser (minute hour day-of-month month day-of-week)
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 }, // 0 и 7 - воскресенье
+];
+
+const ALIASES = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+// Поиск следующего запуска ограничен, чтобы невыполнимые выражения
+// (например, 31 февраля) не зацикливали планировщик
+const MAX_LOOKAHEAD_MINUTES = 5 * 366 * 24 * 60;
+
+/**
+ * Разобрать одно поле cron выражения в множество допустимых значений
+ */
+function parseField(source, field) {
+  const values = new Set();
+
+  for (const part of source.split(",")) {
+    const [range, stepSource] = part.split("/");
+    const step = stepSource === undefined ? 1 : Number(stepSource);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepSource}" in ${field.name} field`);
+    }
+
+    let from;
+    let to;
+    if (range === "*") {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes("-")) {
+      [from, to] = range.split("-").map(Number);
+    } else {
+      from = Number(range);
+      to = stepSource === undefined ? from : field.max;
+    }
+
+    if (
+      !Number.isInteger(from) ||
+      !Number.isInteger(to) ||
+      from < field.min ||
+      to > field.max ||
+      from > to
+    ) {
+      throw new Error(`Invalid value "${part}" in ${field.name} field`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Разобрать cron выражение
+ */
+export function parseCron(expression) {
+  if (typeof expression !== "string" || !expression.trim()) {
+    throw new Error("Cron expression is required");
+  }
+
+  const normalized = ALIASES[expression.trim()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(
+      `Cron expression must have ${FIELDS.length} fields (minute hour day month weekday)`,
+    );
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map(
+    (part, index) => parseField(part, FIELDS[index]),
+  );
+
+  // 7 и 0 - оба воскресенье
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Как в классическом cron: если заданы оба поля дня, достаточно совпадения
+    // любого. Поле с "*" (в том числе шаг "*/2") ограничением не считается
+    dayOfMonthRestricted: !parts[2].startsWith("*"),
+    dayOfWeekRestricted: !parts[4].startsWith("*"),
+  };
+}
+
+/**
+ * Проверить, подходит ли день под выражение
+ */
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Найти ближайший момент запуска строго после from (локальное время сервера)
+ */
+export function getNextRun(expression, from = new Date()) {
+  const cron =
+    typeof expression === "string" ? parseCron(expression) : expression;
+
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
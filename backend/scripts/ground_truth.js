@@ -0,0 +1,539 @@
+/**
+ * VKR Security Stand - Ground Truth
+ * Known vulnerabilities of target applications and the matcher that labels
+ * findings as true/false positives for precision and recall per tool
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getFindingLocations } from "./scan_scope.js";
+
+const GROUND_TRUTH_DIR =
+  process.env.GROUND_TRUTH_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "ground_truth");
+
+// Классы уязвимостей: finding относится к классу по CWE, типу парсера
+// или ключевым словам заголовка
+export const VULNERABILITY_CATEGORIES = [
+  {
+    id: "sqli",
+    label: "SQL/NoSQL Injection",
+    cwe: [89, 564, 943],
+    types: ["sql_injection"],
+    keywords: ["sql injection", "sqli", "nosql"],
+  },
+  {
+    id: "xss",
+    label: "Cross-Site Scripting",
+    cwe: [79, 80, 83, 87],
+    types: ["xss", "xss_finding"],
+    keywords: ["cross site scripting", "cross-site scripting", "xss"],
+  },
+  {
+    id: "command-injection",
+    label: "OS Command Injection",
+    cwe: [77, 78, 94],
+    types: [],
+    keywords: ["command injection", "remote code execution", "code injection"],
+  },
+  {
+    id: "path-traversal",
+    label: "Path Traversal / File Inclusion",
+    cwe: [22, 23, 98],
+    types: ["path_traversal"],
+    keywords: ["path traversal", "directory traversal", "file inclusion"],
+  },
+  {
+    id: "file-upload",
+    label: "Unrestricted File Upload",
+    cwe: [434],
+    types: ["file_upload"],
+    keywords: ["file upload"],
+  },
+  {
+    id: "xxe",
+    label: "XML External Entities",
+    cwe: [611, 776],
+    types: [],
+    keywords: ["xxe", "xml external entit"],
+  },
+  {
+    id: "ssrf",
+    label: "Server-Side Request Forgery",
+    cwe: [918],
+    types: ["ssrf"],
+    keywords: ["ssrf", "server side request forgery"],
+  },
+  {
+    id: "open-redirect",
+    label: "Open Redirect",
+    cwe: [601],
+    types: ["open_redirect"],
+    keywords: ["open redirect", "external redirect"],
+  },
+  {
+    id: "csrf",
+    label: "Cross-Site Request Forgery",
+    cwe: [352],
+    types: ["csrf"],
+    keywords: ["csrf", "cross-site request forgery"],
+  },
+  {
+    id: "access-control",
+    label: "Broken Access Control",
+    cwe: [284, 285, 639, 862, 863],
+    types: [],
+    keywords: ["access control", "idor", "insecure direct object"],
+  },
+  {
+    id: "auth",
+    label: "Authentication Failures",
+    cwe: [287, 307, 521, 798],
+    types: [],
+    keywords: ["brute force", "weak password", "default credential"],
+  },
+  {
+    id: "deserialization",
+    label: "Insecure Deserialization",
+    cwe: [502],
+    types: [],
+    keywords: ["deserializ"],
+  },
+  {
+    id: "info-disclosure",
+    label: "Information Disclosure",
+    cwe: [200, 209, 538, 548],
+    types: [],
+    keywords: [
+      "information disclosure",
+      "directory browsing",
+      "directory listing",
+      "stack trace",
+      "phpinfo",
+    ],
+  },
+  {
+    id: "cors",
+    label: "CORS Misconfiguration",
+    cwe: [264, 942],
+    types: [],
+    keywords: ["cross-domain misconfiguration", "cors"],
+  },
+];
+
+const CATEGORY_IDS = VULNERABILITY_CATEGORIES.map((category) => category.id);
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Округлить метрику, null - метрика не определена
+ */
+const roundMetric = (value) =>
+  value === null ? null : Math.round(value * 1000) / 1000;
+
+/**
+ * Среднее по определенным значениям
+ */
+const mean = (values) => {
+  const defined = values.filter((value) => value !== null);
+  return defined.length > 0
+    ? roundMetric(
+        defined.reduce((sum, value) => sum + value, 0) / defined.length,
+      )
+    : null;
+};
+
+/**
+ * Проверить набор известных уязвимостей из файла
+ */
+const validateDataset = (dataset, file) => {
+  if (!dataset || !ID_PATTERN.test(dataset.id || "")) {
+    throw new Error(`Ground truth ${file}: id is required`);
+  }
+  if (
+    !Array.isArray(dataset.vulnerabilities) ||
+    dataset.vulnerabilities.length === 0
+  ) {
+    throw new Error(`Ground truth ${file}: vulnerabilities must be a list`);
+  }
+
+  const ids = new Set();
+  for (const vulnerability of dataset.vulnerabilities) {
+    const where = `Ground truth ${file}: vulnerability "${vulnerability.id}"`;
+    if (!ID_PATTERN.test(vulnerability.id || "") || ids.has(vulnerability.id)) {
+      throw new Error(`${where} must have a unique id`);
+    }
+    if (!CATEGORY_IDS.includes(vulnerability.category)) {
+      throw new Error(
+        `${where}: category must be one of: ${CATEGORY_IDS.join(", ")}`,
+      );
+    }
+    if (vulnerability.url && !vulnerability.url.startsWith("/")) {
+      throw new Error(`${where}: url must be a path starting with /`);
+    }
+    ids.add(vulnerability.id);
+  }
+
+  return {
+    id: dataset.id,
+    label: dataset.label || dataset.id,
+    target: dataset.target || null,
+    source: dataset.source || null,
+    vulnerabilities: dataset.vulnerabilities,
+  };
+};
+
+/**
+ * Класс уязвимости finding или null
+ */
+export const classifyFinding = (finding) => {
+  const cwe = Number(finding.cweid);
+  if (cwe > 0) {
+    const byCwe = VULNERABILITY_CATEGORIES.find((category) =>
+      category.cwe.includes(cwe),
+    );
+    if (byCwe) {
+      return byCwe.id;
+    }
+  }
+
+  const text = `${finding.title || ""}`.toLowerCase();
+  const category = VULNERABILITY_CATEGORIES.find(
+    (candidate) =>
+      candidate.types.includes(finding.type) ||
+      candidate.keywords.some((keyword) => text.includes(keyword)),
+  );
+  return category ? category.id : null;
+};
+
+/**
+ * Путь запроса для сравнения: маршрут SPA после "#" - часть пути,
+ * завершающий "/" не учитывается
+ */
+const normalizePath = (url, targetUrl) => {
+  let parsed;
+  try {
+    parsed = new URL(url, targetUrl);
+  } catch {
+    return null;
+  }
+  const route = parsed.hash.startsWith("#/") ? parsed.hash.split("?")[0] : "";
+  const fullPath = `${parsed.pathname}${route}`;
+  return fullPath.length > 1 ? fullPath.replace(/\/+$/, "") : fullPath;
+};
+
+/**
+ * Совпадает ли запрос с адресом известной уязвимости ("*" в конце - префикс)
+ */
+const matchesLocation = (vulnerability, location, targetUrl) => {
+  const actual = normalizePath(location.url, targetUrl);
+  if (actual === null) {
+    return false;
+  }
+  const expected = vulnerability.url;
+  const pathMatches = expected.endsWith("*")
+    ? actual.startsWith(expected.slice(0, -1))
+    : actual === normalizePath(expected, targetUrl);
+  // Параметр проверяется, только если его сообщил сканер
+  return (
+    pathMatches &&
+    (!vulnerability.parameter ||
+      !location.param ||
+      location.param.toLowerCase() === vulnerability.parameter.toLowerCase())
+  );
+};
+
+/**
+ * Соответствует ли finding известной уязвимости: тот же класс, CWE
+ * (если он есть у обоих) и адрес
+ */
+const matchesVulnerability = (
+  vulnerability,
+  category,
+  finding,
+  locations,
+  targetUrl,
+) => {
+  if (vulnerability.category !== category) {
+    return false;
+  }
+  // cwe известной уязвимости - число или список равнозначных CWE
+  const cwe = Number(finding.cweid);
+  if (
+    cwe > 0 &&
+    vulnerability.cwe &&
+    ![].concat(vulnerability.cwe).map(Number).includes(cwe)
+  ) {
+    return false;
+  }
+  if (!vulnerability.url) {
+    return true;
+  }
+  return locations.some((location) =>
+    matchesLocation(vulnerability, location, targetUrl),
+  );
+};
+
+/**
+ * Разметить findings прогона по набору известных уязвимостей.
+ * TP - finding совпал с известной уязвимостью; FP - класс есть в наборе,
+ * но адрес не совпал ни с одной; unmatched - класс не покрыт набором или
+ * у finding нет адреса. Findings вне scope не оцениваются
+ */
+export const evaluateFindings = (findings, dataset, targetUrl) => {
+  const covered = new Set(
+    dataset.vulnerabilities.map((vulnerability) => vulnerability.category),
+  );
+  const detected = new Set();
+  const counts = { TP: 0, FP: 0, unmatched: 0 };
+
+  const labeled = findings.map((finding) => {
+    if (finding.outOfScope) {
+      return finding;
+    }
+
+    const category = classifyFinding(finding);
+    const locations = getFindingLocations(finding, targetUrl);
+    const matches =
+      category && covered.has(category)
+        ? dataset.vulnerabilities.filter((vulnerability) =>
+            matchesVulnerability(
+              vulnerability,
+              category,
+              finding,
+              locations,
+              targetUrl,
+            ),
+          )
+        : [];
+
+    let label = "unmatched";
+    if (matches.length > 0) {
+      label = "TP";
+      matches.forEach((vulnerability) => detected.add(vulnerability.id));
+    } else if (category && covered.has(category) && locations.length > 0) {
+      label = "FP";
+    }
+    counts[label]++;
+
+    return {
+      ...finding,
+      groundTruth: {
+        label: label,
+        category: category,
+        vulnerabilities: matches.map((vulnerability) => vulnerability.id),
+      },
+    };
+  });
+
+  const categories = {};
+  for (const vulnerability of dataset.vulnerabilities) {
+    const entry = (categories[vulnerability.category] ||= {
+      known: 0,
+      detected: 0,
+    });
+    entry.known++;
+    if (detected.has(vulnerability.id)) {
+      entry.detected++;
+    }
+  }
+
+  const judged = counts.TP + counts.FP;
+  const precision = judged > 0 ? counts.TP / judged : null;
+  const recall = detected.size / dataset.vulnerabilities.length;
+  const f1 =
+    precision === null
+      ? null
+      : precision + recall > 0
+        ? (2 * precision * recall) / (precision + recall)
+        : 0;
+
+  return {
+    findings: labeled,
+    result: {
+      dataset: dataset.id,
+      totalFindings: counts.TP + counts.FP + counts.unmatched,
+      truePositives: counts.TP,
+      falsePositives: counts.FP,
+      unmatchedFindings: counts.unmatched,
+      precision: roundMetric(precision),
+      recall: roundMetric(recall),
+      f1: roundMetric(f1),
+      detected: dataset.vulnerabilities
+        .filter((vulnerability) => detected.has(vulnerability.id))
+        .map((vulnerability) => vulnerability.id),
+      missed: dataset.vulnerabilities
+        .filter((vulnerability) => !detected.has(vulnerability.id))
+        .map((vulnerability) => vulnerability.id),
+      categories: categories,
+    },
+  };
+};
+
+/**
+ * Сводка оценок нескольких прогонов одной ячейки: средние метрики,
+ * доля обнаружения по классам и число прогонов, нашедших каждую уязвимость
+ */
+export const summarizeBenchmarks = (results) => {
+  const categories = {};
+  const vulnerabilities = {};
+  for (const result of results) {
+    for (const [category, entry] of Object.entries(result.categories)) {
+      (categories[category] ||= { known: entry.known, rates: [] }).rates.push(
+        entry.detected / entry.known,
+      );
+    }
+    for (const id of result.missed) {
+      vulnerabilities[id] ||= 0;
+    }
+    for (const id of result.detected) {
+      vulnerabilities[id] = (vulnerabilities[id] || 0) + 1;
+    }
+  }
+
+  return {
+    runs: results.length,
+    precision: mean(results.map((result) => result.precision)),
+    recall: mean(results.map((result) => result.recall)),
+    f1: mean(results.map((result) => result.f1)),
+    truePositives: results.reduce(
+      (sum, result) => sum + result.truePositives,
+      0,
+    ),
+    falsePositives: results.reduce(
+      (sum, result) => sum + result.falsePositives,
+      0,
+    ),
+    unmatchedFindings: results.reduce(
+      (sum, result) => sum + result.unmatchedFindings,
+      0,
+    ),
+    categories: Object.fromEntries(
+      Object.entries(categories).map(([category, entry]) => [
+        category,
+        { known: entry.known, detectionRate: mean(entry.rates) },
+      ]),
+    ),
+    // Сколько прогонов нашли уязвимость
+    vulnerabilities: vulnerabilities,
+  };
+};
+
+/**
+ * Метрика для отчетов: 0.667 или "-"
+ */
+export const formatMetric = (value) =>
+  value === null || value === undefined ? "-" : value.toFixed(3);
+
+/**
+ * Оценка прогона одной строкой для отчетов
+ */
+export const describeBenchmark = (result) => {
+  if (!result) {
+    return "No ground truth for this target";
+  }
+  return `${result.dataset}: precision ${formatMetric(result.precision)}, recall ${formatMetric(result.recall)}, F1 ${formatMetric(result.f1)} (TP ${result.truePositives}, FP ${result.falsePositives}, unmatched ${result.unmatchedFindings})`;
+};
+
+class GroundTruth {
+  constructor(datasetsDir = GROUND_TRUTH_DIR) {
+    this.datasets = new Map();
+    this.load(datasetsDir);
+  }
+
+  /**
+   * Загрузить наборы известных уязвимостей (*.json) из директории
+   */
+  load(datasetsDir) {
+    if (!fs.existsSync(datasetsDir)) {
+      console.warn(`Ground truth directory ${datasetsDir} not found`);
+      return;
+    }
+
+    const files = fs
+      .readdirSync(datasetsDir)
+      .filter((file) => file.endsWith(".json"))
+      .sort();
+    // Некорректный набор пропускается, чтобы не мешать запуску backend
+    for (const file of files) {
+      try {
+        const dataset = validateDataset(
+          JSON.parse(fs.readFileSync(path.join(datasetsDir, file), "utf8")),
+          file,
+        );
+        if (this.datasets.has(dataset.id)) {
+          throw new Error(`Ground truth ${file}: duplicate id "${dataset.id}"`);
+        }
+        this.datasets.set(dataset.id, dataset);
+      } catch (error) {
+        console.error(
+          `Failed to load ground truth ${path.join(datasetsDir, file)}:`,
+          error.message,
+        );
+      }
+    }
+  }
+
+  /**
+   * Набор по id или null
+   */
+  get(datasetId) {
+    return this.datasets.get(datasetId) || null;
+  }
+
+  /**
+   * Наборы для API: без списка уязвимостей, с количеством по классам
+   */
+  list() {
+    return [...this.datasets.values()].map((dataset) => ({
+      id: dataset.id,
+      label: dataset.label,
+      target: dataset.target,
+      source: dataset.source,
+      vulnerabilities: dataset.vulnerabilities.length,
+      categories: [
+        ...new Set(
+          dataset.vulnerabilities.map(
+            (vulnerability) => vulnerability.category,
+          ),
+        ),
+      ],
+    }));
+  }
+
+  /**
+   * Проверить выбор набора из конфига batch: "auto" - по цели каталога,
+   * false - без оценки, иначе id набора
+   */
+  normalize(groundTruth) {
+    if (groundTruth === undefined || groundTruth === null) {
+      return "auto";
+    }
+    if (groundTruth === false || groundTruth === "auto") {
+      return groundTruth;
+    }
+    if (!this.get(groundTruth)) {
+      throw new Error(`Ground truth dataset ${groundTruth} not found`);
+    }
+    return groundTruth;
+  }
+
+  /**
+   * Набор для прогона: выбранный в batch или набор цели каталога
+   */
+  resolve(groundTruth, targetId) {
+    if (groundTruth === false) {
+      return null;
+    }
+    if (groundTruth && groundTruth !== "auto") {
+      return this.get(groundTruth);
+    }
+    return (
+      [...this.datasets.values()].find(
+        (dataset) => targetId && dataset.target === targetId,
+      ) || null
+    );
+  }
+}
+
+export default GroundTruth;
@@ -0,0 +1,250 @@
+/**
+ * VKR Security Stand - Request Options
+ * Batch-level HTTP customisation (headers, cookies, user agent, proxy)
+ * that tool plugins map onto native scanner flags
+ */
+
+import { SECRET_MASK, getAuthHeader } from "./auth_contexts.js";
+
+// Поля, которые плагин объявляет в requestOptions
+export const REQUEST_OPTION_FIELDS = [
+  "headers",
+  "cookies",
+  "userAgent",
+  "proxy",
+];
+
+// Имя заголовка - token из RFC 9110
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// Для них есть отдельные поля (или контекст аутентификации)
+const RESERVED_HEADERS = {
+  cookie: "cookies",
+  "user-agent": "userAgent",
+  host: null,
+  "content-length": null,
+};
+
+// Значения этих заголовков скрываются в отчетах
+const SENSITIVE_HEADER = /authorization|cookie|token|secret|key|session|auth/i;
+
+/**
+ * Проверить, что значение - однострочная строка
+ */
+const toSingleLine = (value, field) => {
+  if (typeof value !== "string") {
+    throw new Error(`${field} must be a string`);
+  }
+  if (/[\r\n]/.test(value)) {
+    throw new Error(`${field} must not contain line breaks`);
+  }
+  return value.trim();
+};
+
+/**
+ * Заголовки: объект { name: value } или список строк "Name: value"
+ */
+const normalizeHeaders = (headers) => {
+  let entries;
+  if (Array.isArray(headers)) {
+    entries = headers
+      .map((line) => toSingleLine(line, "request.headers"))
+      .filter(Boolean)
+      .map((line) => {
+        const colon = line.indexOf(":");
+        if (colon < 1) {
+          throw new Error(`request header "${line}" must be "Name: value"`);
+        }
+        return [line.slice(0, colon), line.slice(colon + 1)];
+      });
+  } else if (typeof headers === "object") {
+    entries = Object.entries(headers);
+  } else {
+    throw new Error("request.headers must be an object or a list");
+  }
+
+  const normalized = {};
+  for (const [rawName, rawValue] of entries) {
+    const name = rawName.trim();
+    if (!HEADER_NAME.test(name)) {
+      throw new Error(`request header name "${name}" is invalid`);
+    }
+    const reserved = name.toLowerCase();
+    if (reserved in RESERVED_HEADERS) {
+      const field = RESERVED_HEADERS[reserved];
+      throw new Error(
+        field
+          ? `${name} header must be set with request.${field}`
+          : `${name} header cannot be overridden`,
+      );
+    }
+    normalized[name] = toSingleLine(
+      String(rawValue ?? ""),
+      `request header ${name}`,
+    );
+  }
+  return normalized;
+};
+
+/**
+ * Cookies: строка "name=value; name2=value2" или объект { name: value }
+ */
+const normalizeCookies = (cookies) => {
+  const pairs =
+    typeof cookies === "object"
+      ? Object.entries(cookies).map(([name, value]) => `${name}=${value}`)
+      : toSingleLine(cookies, "request.cookies").split(";");
+
+  return pairs
+    .map((pair) => toSingleLine(pair, "request.cookies"))
+    .filter(Boolean)
+    .map((pair) => {
+      if (!/^[^=;\s]+=[^;]*$/.test(pair)) {
+        throw new Error(`request cookie "${pair}" must be "name=value"`);
+      }
+      return pair;
+    })
+    .join("; ");
+};
+
+/**
+ * Прокси: http(s)://[user:password@]host:port
+ */
+const normalizeProxy = (proxy) => {
+  const value = toSingleLine(proxy, "request.proxy");
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`request.proxy "${value}" is not a valid URL`);
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new Error("request.proxy must be an http:// or https:// URL");
+  }
+  if (!url.port) {
+    throw new Error("request.proxy must include a port");
+  }
+  return value;
+};
+
+/**
+ * Проверить параметры запросов из конфига batch, null - без параметров
+ */
+export const normalizeRequestOptions = (request) => {
+  if (request === undefined || request === null) {
+    return null;
+  }
+  if (typeof request !== "object" || Array.isArray(request)) {
+    throw new Error("request must be an object");
+  }
+
+  const options = {};
+  if (request.headers) {
+    const headers = normalizeHeaders(request.headers);
+    if (Object.keys(headers).length > 0) {
+      options.headers = headers;
+    }
+  }
+  if (request.cookies) {
+    const cookies = normalizeCookies(request.cookies);
+    if (cookies) {
+      options.cookies = cookies;
+    }
+  }
+  if (request.userAgent) {
+    const userAgent = toSingleLine(request.userAgent, "request.userAgent");
+    if (userAgent) {
+      options.userAgent = userAgent;
+    }
+  }
+  if (request.proxy) {
+    options.proxy = normalizeProxy(request.proxy);
+  }
+
+  return Object.keys(options).length > 0 ? options : null;
+};
+
+/**
+ * Заданные в параметрах поля (headers, cookies, userAgent, proxy)
+ */
+export const listRequestOptionFields = (request) =>
+  REQUEST_OPTION_FIELDS.filter((field) => request && request[field]);
+
+/**
+ * Все статические заголовки прогона: заголовки batch, Cookie из параметров
+ * и cookie контекста, Authorization bearer контекста
+ */
+export const getRequestHeaders = (request, auth) => {
+  const headers = Object.entries((request && request.headers) || {}).map(
+    ([name, value]) => ({ name, value }),
+  );
+
+  const authHeader = auth ? getAuthHeader(auth) : null;
+  const cookies = [
+    authHeader && authHeader.name === "Cookie" ? authHeader.value : null,
+    request && request.cookies,
+  ].filter(Boolean);
+  if (cookies.length > 0) {
+    headers.push({ name: "Cookie", value: cookies.join("; ") });
+  }
+  if (authHeader && authHeader.name !== "Cookie") {
+    // Заголовок контекста важнее одноименного заголовка batch
+    const index = headers.findIndex(
+      (header) => header.name.toLowerCase() === authHeader.name.toLowerCase(),
+    );
+    if (index !== -1) {
+      headers.splice(index, 1);
+    }
+    headers.push(authHeader);
+  }
+
+  return headers;
+};
+
+/**
+ * Разобрать URL прокси для инструментов с отдельными опциями host/port
+ */
+export const parseProxy = (proxy) => {
+  const url = new URL(proxy);
+  return {
+    url: `${url.protocol}//${url.host}`,
+    protocol: url.protocol.replace(":", ""),
+    host: url.hostname,
+    port: url.port,
+    username: decodeURIComponent(url.username) || null,
+    password: decodeURIComponent(url.password) || null,
+  };
+};
+
+/**
+ * Параметры для отчетов: значения cookies, чувствительных заголовков
+ * и пароль прокси заменяются маской
+ */
+export const maskRequestOptions = (request) => {
+  if (!request) {
+    return null;
+  }
+
+  const masked = { ...request };
+  if (request.headers) {
+    masked.headers = Object.fromEntries(
+      Object.entries(request.headers).map(([name, value]) => [
+        name,
+        SENSITIVE_HEADER.test(name) ? SECRET_MASK : value,
+      ]),
+    );
+  }
+  if (request.cookies) {
+    masked.cookies = request.cookies
+      .split("; ")
+      .map((pair) => `${pair.split("=")[0]}=${SECRET_MASK}`)
+      .join("; ");
+  }
+  if (request.proxy) {
+    const proxy = parseProxy(request.proxy);
+    if (proxy.password) {
+      masked.proxy = `${proxy.protocol}://${proxy.username}:${SECRET_MASK}@${proxy.host}:${proxy.port}`;
+    }
+  }
+  return masked;
+};
@@ -0,0 +1,260 @@
+/**
+ * VKR Security Stand - Artifact Retention
+ * Periodically removes old batches and their artifacts according to a policy
+ */
+
+import fs from "fs";
+import path from "path";
+
+const RETENTION_FILE = "retention.json";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ошибка проверки политики (API отвечает 400)
+ */
+const validationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Удалять можно только batches, которые уже не выполняются
+const FINISHED_STATUSES = ["completed", "cancelled", "interrupted"];
+
+/**
+ * Политика по умолчанию из переменных окружения (пустое значение - правило выключено)
+ */
+const readEnvLimit = (name) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+const DEFAULT_POLICY = {
+  enabled: process.env.RETENTION_ENABLED === "true",
+  keepLast: readEnvLimit("RETENTION_KEEP_LAST"),
+  maxAgeDays: readEnvLimit("RETENTION_MAX_AGE_DAYS"),
+  intervalMinutes: readEnvLimit("RETENTION_INTERVAL_MINUTES") || 60,
+};
+
+class RetentionManager {
+  constructor(batchManager, artifactsDir) {
+    this.batchManager = batchManager;
+    this.filePath = path.join(artifactsDir, RETENTION_FILE);
+    this.policy = { ...DEFAULT_POLICY };
+    this.lastRun = null;
+    this.timer = null;
+
+    this.load();
+  }
+
+  /**
+   * Загрузить политику с диска (переопределяет значения из окружения)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.policy = { ...this.policy, ...saved.policy };
+      this.lastRun = saved.lastRun || null;
+    } catch (error) {
+      console.error(
+        `Failed to load retention policy ${this.filePath}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Сохранить политику и результат последней очистки
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify({ policy: this.policy, lastRun: this.lastRun }, null, 2),
+      );
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error("Failed to persist retention policy:", error.message);
+    }
+  }
+
+  /**
+   * Запустить фоновую очистку по политике
+   */
+  start() {
+    this.stop();
+
+    this.timer = setInterval(
+      () => {
+        if (this.policy.enabled) {
+          this.apply();
+        }
+      },
+      this.policy.intervalMinutes * 60 * 1000,
+    );
+    this.timer.unref();
+  }
+
+  /**
+   * Остановить фоновую очистку
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Проверить и обновить политику
+   */
+  updatePolicy(input) {
+    const policy = { ...this.policy };
+
+    if (input.enabled !== undefined) {
+      if (typeof input.enabled !== "boolean") {
+        throw validationError("enabled must be a boolean");
+      }
+      policy.enabled = input.enabled;
+    }
+
+    for (const field of ["keepLast", "maxAgeDays", "intervalMinutes"]) {
+      if (input[field] === undefined) {
+        continue;
+      }
+      if (input[field] === null && field !== "intervalMinutes") {
+        policy[field] = null;
+        continue;
+      }
+
+      const value = Number(input[field]);
+      if (!Number.isFinite(value) || value <= 0) {
+        throw validationError(`${field} must be a positive number`);
+      }
+      policy[field] = field === "keepLast" ? Math.floor(value) : value;
+    }
+
+    this.policy = policy;
+    this.save();
+    // Интервал мог измениться
+    this.start();
+
+    return this.getStatus();
+  }
+
+  /**
+   * Batches, которые будут удалены по текущей политике
+   */
+  getCandidates(now = Date.now()) {
+    const { keepLast, maxAgeDays } = this.policy;
+    const batches = [...this.batchManager.batches.values()].sort(
+      (a, b) => b.createdAt - a.createdAt,
+    );
+
+    const candidates = [];
+    batches.forEach((batch, index) => {
+      // Отмененный batch может еще останавливать контейнеры прогонов
+      if (
+        batch.pinned ||
+        !FINISHED_STATUSES.includes(batch.status) ||
+        this.batchManager.hasActiveRuns(batch.id)
+      ) {
+        return;
+      }
+
+      const reasons = [];
+      if (keepLast && index >= keepLast) {
+        reasons.push(`not among the last ${keepLast} batches`);
+      }
+      const finishedAt = batch.completedAt || batch.createdAt;
+      if (maxAgeDays && now - finishedAt > maxAgeDays * DAY_MS) {
+        reasons.push(`older than ${maxAgeDays} days`);
+      }
+
+      if (reasons.length > 0) {
+        candidates.push({
+          batchId: batch.id,
+          status: batch.status,
+          tools: batch.config.matrix.tools,
+          createdAt: batch.createdAt,
+          completedAt: batch.completedAt || null,
+          sizeBytes: this.batchManager.store.getSize(batch.id),
+          reasons: reasons,
+        });
+      }
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Применить политику. В режиме dryRun только возвращает список
+   */
+  apply({ dryRun = false } = {}) {
+    const candidates = this.getCandidates();
+    const result = {
+      dryRun: dryRun,
+      startedAt: Date.now(),
+      deleted: [],
+      failed: [],
+      freedBytes: 0,
+    };
+
+    if (dryRun) {
+      return {
+        ...result,
+        deleted: candidates,
+        freedBytes: candidates.reduce((sum, item) => sum + item.sizeBytes, 0),
+      };
+    }
+
+    for (const candidate of candidates) {
+      try {
+        this.batchManager.deleteBatch(candidate.batchId);
+        result.deleted.push(candidate);
+        result.freedBytes += candidate.sizeBytes;
+      } catch (error) {
+        console.error(
+          `Retention failed to delete batch ${candidate.batchId}:`,
+          error.message,
+        );
+        result.failed.push({
+          batchId: candidate.batchId,
+          error: error.message,
+        });
+      }
+    }
+
+    this.lastRun = {
+      startedAt: result.startedAt,
+      deleted: result.deleted.map((item) => item.batchId),
+      failed: result.failed,
+      freedBytes: result.freedBytes,
+    };
+    this.save();
+
+    if (result.deleted.length > 0) {
+      console.log(
+        `Retention removed ${result.deleted.length} batches (${result.freedBytes} bytes)`,
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Текущая политика и результат последней очистки
+   */
+  getStatus() {
+    return {
+      policy: this.policy,
+      lastRun: this.lastRun,
+    };
+  }
+}
+
+export default RetentionManager;
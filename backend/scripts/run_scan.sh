@@ -1,17 +1,25 @@
 #!/bin/bash
 
 # VKR Security Stand - Scan Runner Script
-# Usage: ./scripts/run_scan.sh <tool> <profile> <script_run_id> <target_url> <run_id> <batch_id>
+# Legacy backend: used only with SCAN_RUNNER=script, by default BatchManager talks to the Docker API
+# Usage: ./scripts/run_scan.sh <tool> <profile> <script_run_id> <target_url> <run_id> <batch_id> <image> [container args...]
+# The image and container command come from the tool plugin (scripts/tools/<tool>.js);
+# SCAN_ENTRYPOINT overrides the image entrypoint when the plugin needs it,
+# SCAN_ENV_NAMES lists environment variables forwarded to the container,
+# SCAN_WORK_DIR is the container directory where the batch directory is mounted
 
 # set -e  # Exit on any error - disabled to ensure metadata creation
 
 # Default values
 TOOL="${1:-zap}"
-PROFILE="${2:-baseline}"
+PROFILE="${2:-default}"
 SCRIPT_RUN_ID="${3:-test_$(date +%s)}"
 TARGET_URL="${4:-http://172.18.0.2:3000}"
 RUN_ID="${5:-${SCRIPT_RUN_ID}}" # Используем правильный runId для файлов
 BATCH_ID="${6:-unknown}" # Batch ID for organizing files
+IMAGE="$7" # Docker image of the scanner
+CONTAINER_ARGS=("${@:8}") # Scanner command built by the tool plugin
+CONTAINER_NAME="${SCAN_CONTAINER_NAME:-vkr_scan_$(date +%s)_$$}" # Set by BatchManager so the container can be stopped
 
 # Configuration
 DOCKER_NETWORK="websec-stand_dast-network"
@@ -20,169 +28,54 @@ PROJECT_ROOT="$(dirname "$SCRIPT_DIR")"
 ARTIFACTS_DIR="$PROJECT_ROOT/artifacts"
 BATCH_DIR="$ARTIFACTS_DIR/$BATCH_ID"
 
+if [ -z "$IMAGE" ]; then
+    echo "No Docker image given for tool '$TOOL'"
+    exit 1
+fi
+
 # Create directories if they don't exist
 mkdir -p "$BATCH_DIR"
 
 echo "=== VKR Security Scan Runner ==="
 echo "Tool: $TOOL"
 echo "Profile: $PROFILE"
+echo "Image: $IMAGE"
 echo "Run ID: $RUN_ID"
 echo "Target: $TARGET_URL"
+echo "Container: $CONTAINER_NAME"
 echo "Timestamp: $(date)"
 echo "================================="
 
-# Function to run ZAP scan
-run_zap_scan() {
-    local run_id="$1"
-    local target="$2"
-
-    echo "Starting ZAP baseline scan..."
-
-    # Always use baseline scan
-    CMD="zap-baseline.py -t $target"
-
-    # Run the scan (output will be captured by parent process)
-    docker run --rm --network "$DOCKER_NETWORK" \
-        zaproxy/zap-stable \
-        $CMD 2>&1
-
-    echo "ZAP baseline scan completed."
-}
-
-# Function to run Nikto scan
-run_nikto_scan() {
-    local profile="$1"
-    local run_id="$2"
-    local target="$3"
-
-    echo "Starting Nikto scan..."
-
-    # Basic Nikto scan command
-    CMD="-h $target -Format txt -output /dev/stdout"
-
-    # Run the scan (output will be captured by parent process)
-    docker run --rm --network "$DOCKER_NETWORK" \
-        ghcr.io/sullo/nikto:latest \
-        -C all \
-        -Tuning x \
-        -Plugins ALL \
-        $CMD 2>&1
-
-    echo "Nikto scan completed."
-}
-
-# Function to run Wapiti scan
-run_wapiti_scan() {
-    local profile="$1"
-    local run_id="$2"
-    local target="$3"
-
-    echo "Starting Wapiti scan..."
-
-    # Basic Wapiti scan command
-    CMD="--url $target --format txt --output /dev/stdout --flush-session --no-bugreport"
-
-    # Run the scan (output will be captured by parent process)
-    docker run --rm --network "$DOCKER_NETWORK" \
-        cyberwatch/wapiti \
-        -m sql,xss,ssrf,upload,redirect \
-        --level 2 \
-        --scope folder \
-        --flush-attacks \
-        $CMD 2>&1
-
-    echo "Wapiti scan completed."
-}
-
-# Function to run Arachni scan
-run_arachni_scan() {
-    local profile="$1"
-    local run_id="$2"
-    local target="$3"
-
-    echo "Starting Arachni scan..."
-
-    # Basic Arachni scan command
-    CMD="/usr/local/arachni/bin/arachni --output-verbose --report-save-path=/dev/null $target"
-
-    # Run the scan (output will be captured by parent process)
-    docker run --rm --network "$DOCKER_NETWORK" \
-        arachni/arachni \
-        $CMD 2>&1
-
-    echo "Arachni scan completed."
-}
-
-# Function to run w4af scan
-run_w4af_scan() {
-    local profile="$1"
-    local run_id="$2"
-    local target="$3"
-
-    echo "Starting w4af scan..."
-
-    # Create w4af script file and run
-    docker run --rm --network "$DOCKER_NETWORK" \
-        --entrypoint sh \
-        w4af/w4af:latest \
-        -c "
-            cat > /tmp/w4af_script << 'EOF'
-plugins
-output console
-crawl web_spider
-audit sqli
-audit xss
-back
-target
-set target $target
-back
-start
-exit
-EOF
-            echo 'y' | python w4af_console -s /tmp/w4af_script
-        " 2>&1
-
-    echo "w4af scan completed."
-}
-
-# Function to run other tools (placeholder)
-run_other_tool() {
-    local tool="$1"
-    local profile="$2"
-    local run_id="$3"
-    local target="$4"
-
-    echo "Tool '$tool' not yet implemented. Available: zap, nikto, wapiti, arachni, w4af"
-    exit 1
-}
+DOCKER_ARGS=(--rm --name "$CONTAINER_NAME" --network "$DOCKER_NETWORK")
+if [ -n "$SCAN_ENTRYPOINT" ]; then
+    DOCKER_ARGS+=(--entrypoint "$SCAN_ENTRYPOINT")
+fi
+# Variables listed in SCAN_ENV_NAMES are passed from this environment into the container
+for ENV_NAME in $SCAN_ENV_NAMES; do
+    DOCKER_ARGS+=(-e "$ENV_NAME")
+done
+if [ -n "$SCAN_WORK_DIR" ]; then
+    DOCKER_ARGS+=(-v "$BATCH_DIR:$SCAN_WORK_DIR:rw")
+fi
 
 # Main execution
 START_TIME=$(date +%s)
 
-case "$TOOL" in
-    "zap")
-        run_zap_scan "$RUN_ID" "$TARGET_URL"
-        ;;
-    "nikto")
-        run_nikto_scan "$PROFILE" "$RUN_ID" "$TARGET_URL"
-        ;;
-    "wapiti")
-        run_wapiti_scan "$PROFILE" "$RUN_ID" "$TARGET_URL"
-        ;;
-    "arachni")
-        run_arachni_scan "$PROFILE" "$RUN_ID" "$TARGET_URL"
-        ;;
-    "w4af")
-        run_w4af_scan "$PROFILE" "$RUN_ID" "$TARGET_URL"
-        ;;
-    *)
-        run_other_tool "$TOOL" "$PROFILE" "$RUN_ID" "$TARGET_URL"
-        ;;
-esac
+echo "Starting $TOOL scan..."
+
+# Run the scan (output will be captured by parent process)
+docker run "${DOCKER_ARGS[@]}" "$IMAGE" "${CONTAINER_ARGS[@]}" 2>&1
+EXIT_CODE=$?
+
+echo "$TOOL scan completed."
 
 END_TIME=$(date +%s)
 DURATION=$((END_TIME - START_TIME))
 
 echo "Scan completed in ${DURATION} seconds"
 echo "Run ID: $RUN_ID"
+echo "Exit code: $EXIT_CODE"
 echo "=== Scan Complete ==="
+
+# Exit code semantics are interpreted by the tool plugin
+exit $EXIT_CODE
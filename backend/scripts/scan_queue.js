@@ -0,0 +1,215 @@
+/**
+ * VKR Security Stand - Scan Queue
+ * Global job queue shared by all batches: concurrency limits, per-target
+ * limits and priorities
+ */
+
+const DEFAULT_RUN_DURATION_MS = 5 * 60 * 1000;
+
+class ScanQueue {
+  constructor({ concurrency = 3, targetLimits = {} } = {}) {
+    this.concurrency = concurrency;
+    this.targetLimits = targetLimits;
+    this.queued = [];
+    this.running = new Map();
+    this.durations = new Map(); // tool -> { total, count } для оценки ожидания
+    this.sequence = 0;
+  }
+
+  /**
+   * Поставить прогон в очередь. Promise резолвится в true, когда прогону
+   * выделен слот, или в false, если он был снят с очереди
+   */
+  acquire(job) {
+    return new Promise((resolve) => {
+      this.queued.push({
+        ...job,
+        hosts: job.hosts || [],
+        exclusive: Boolean(job.exclusive),
+        priority: job.priority || 0,
+        enqueuedAt: Date.now(),
+        sequence: this.sequence++,
+        resolve,
+      });
+      this.sortQueue();
+      this.pump();
+    });
+  }
+
+  /**
+   * Освободить слот после завершения прогона
+   */
+  release(jobId) {
+    const job = this.running.get(jobId);
+    if (!job) {
+      return;
+    }
+
+    this.running.delete(jobId);
+
+    const stats = this.durations.get(job.tool) || { total: 0, count: 0 };
+    stats.total += Date.now() - job.startedAt;
+    stats.count++;
+    this.durations.set(job.tool, stats);
+
+    this.pump();
+  }
+
+  /**
+   * Снять прогон с очереди (например, при отмене)
+   */
+  remove(jobId) {
+    const index = this.queued.findIndex((job) => job.id === jobId);
+    if (index === -1) {
+      return false;
+    }
+
+    const [job] = this.queued.splice(index, 1);
+    job.resolve(false);
+    this.pump();
+    return true;
+  }
+
+  /**
+   * Позиция прогона в очереди (с 1) или null, если он не ожидает
+   */
+  getPosition(jobId) {
+    const index = this.queued.findIndex((job) => job.id === jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Выдать слоты ожидающим прогонам с учетом лимитов
+   */
+  pump() {
+    const blockedHosts = [];
+    for (const job of [...this.queued]) {
+      if (this.running.size >= this.concurrency) {
+        return;
+      }
+      if (job.canStart && !job.canStart()) {
+        continue;
+      }
+      if (!this.hasTargetCapacity(job.target)) {
+        continue;
+      }
+      if (this.hasExclusiveConflict(job)) {
+        // Прогоны той же цели ждут эксклюзивный прогон, иначе он не дождется
+        if (job.exclusive) {
+          blockedHosts.push(...job.hosts);
+        }
+        continue;
+      }
+      if (job.hosts.some((host) => blockedHosts.includes(host))) {
+        continue;
+      }
+
+      this.queued.splice(this.queued.indexOf(job), 1);
+      this.running.set(job.id, { ...job, startedAt: Date.now() });
+      job.resolve(true);
+    }
+  }
+
+  /**
+   * Проверить лимит одновременных прогонов для цели
+   */
+  hasTargetCapacity(target) {
+    const limit = this.targetLimits[target];
+    if (!limit) {
+      return true;
+    }
+
+    let active = 0;
+    for (const job of this.running.values()) {
+      if (job.target === target) {
+        active++;
+      }
+    }
+    return active < limit;
+  }
+
+  /**
+   * Эксклюзивный прогон (со сбросом цели) не запускается рядом с другими
+   * прогонами тех же хостов, и наоборот
+   */
+  hasExclusiveConflict(job) {
+    for (const running of this.running.values()) {
+      if (
+        (job.exclusive || running.exclusive) &&
+        running.hosts.some((host) => job.hosts.includes(host))
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Приоритет по убыванию, при равенстве - порядок постановки
+   */
+  sortQueue() {
+    this.queued.sort(
+      (a, b) => b.priority - a.priority || a.sequence - b.sequence,
+    );
+  }
+
+  /**
+   * Средняя длительность прогона инструмента
+   */
+  getAverageDuration(tool) {
+    const stats = this.durations.get(tool);
+    return stats ? stats.total / stats.count : DEFAULT_RUN_DURATION_MS;
+  }
+
+  /**
+   * Снимок очереди для API: позиции и оценка времени ожидания
+   */
+  getSnapshot() {
+    const now = Date.now();
+
+    // Моменты освобождения слотов: сначала по текущим прогонам
+    const slots = [...this.running.values()].map((job) =>
+      Math.max(0, this.getAverageDuration(job.tool) - (now - job.startedAt)),
+    );
+    while (slots.length < this.concurrency) {
+      slots.push(0);
+    }
+
+    const serialize = (job) => ({
+      runId: job.id,
+      batchId: job.batchId,
+      runIndex: job.runIndex,
+      tool: job.tool,
+      target: job.target,
+      exclusive: job.exclusive,
+      priority: job.priority,
+      enqueuedAt: job.enqueuedAt,
+    });
+
+    const queued = this.queued.map((job, position) => {
+      slots.sort((a, b) => a - b);
+      const estimatedWaitMs = Math.round(slots[0]);
+      slots[0] += this.getAverageDuration(job.tool);
+
+      return {
+        ...serialize(job),
+        status: "queued",
+        position: position + 1,
+        estimatedWaitMs: estimatedWaitMs,
+      };
+    });
+
+    return {
+      concurrency: this.concurrency,
+      targetLimits: this.targetLimits,
+      running: [...this.running.values()].map((job) => ({
+        ...serialize(job),
+        status: "running",
+        startedAt: job.startedAt,
+      })),
+      queued: queued,
+    };
+  }
+}
+
+export default ScanQueue;
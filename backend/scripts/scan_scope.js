@@ -0,0 +1,247 @@
+/**
+ * VKR Security Stand - Scan Scope
+ * Include/exclude rules from the batch config: translated into scanner
+ * options by tool plugins and applied again to parsed findings
+ */
+
+// Поля, которые плагин может объявить в scopeOptions
+export const SCOPE_FIELDS = [
+  "include",
+  "exclude",
+  "maxDepth",
+  "excludeMethods",
+];
+
+// Что делать с findings вне scope: пометить или удалить из отчета
+export const OUT_OF_SCOPE_ACTIONS = ["flag", "drop"];
+
+const HTTP_METHODS = [
+  "GET",
+  "POST",
+  "PUT",
+  "PATCH",
+  "DELETE",
+  "HEAD",
+  "OPTIONS",
+  "TRACE",
+  "CONNECT",
+];
+
+const URL_IN_LINE = /https?:\/\/[^\s"'<>`|]+/;
+const PATH_IN_LINE = /(?:^|\s)(\/[^\s"'<>`|:]*)/;
+const METHOD_IN_LINE = new RegExp(`\\b(${HTTP_METHODS.join("|")})\\b`);
+
+/**
+ * Список регулярных выражений (строка или массив)
+ */
+const normalizePatterns = (patterns, field) => {
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list
+    .map((pattern) => String(pattern ?? "").trim())
+    .filter(Boolean)
+    .map((pattern) => {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`scope.${field} "${pattern}" is not a valid regex`);
+      }
+      return pattern;
+    });
+};
+
+/**
+ * Проверить scope из конфига batch, null - без ограничений
+ */
+export const normalizeScope = (scope) => {
+  if (scope === undefined || scope === null) {
+    return null;
+  }
+  if (typeof scope !== "object" || Array.isArray(scope)) {
+    throw new Error("scope must be an object");
+  }
+
+  const normalized = {
+    include: normalizePatterns(scope.include || [], "include"),
+    exclude: normalizePatterns(scope.exclude || [], "exclude"),
+    maxDepth: null,
+    excludeMethods: [],
+    outOfScope: scope.outOfScope || "flag",
+  };
+
+  if (scope.maxDepth !== undefined && scope.maxDepth !== null) {
+    const maxDepth = Number(scope.maxDepth);
+    if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+      throw new Error("scope.maxDepth must be a positive integer");
+    }
+    normalized.maxDepth = maxDepth;
+  }
+
+  const methods = Array.isArray(scope.excludeMethods)
+    ? scope.excludeMethods
+    : String(scope.excludeMethods || "").split(",");
+  for (const method of methods) {
+    const value = String(method).trim().toUpperCase();
+    if (!value) {
+      continue;
+    }
+    if (!HTTP_METHODS.includes(value)) {
+      throw new Error(`scope.excludeMethods: unknown HTTP method "${method}"`);
+    }
+    if (!normalized.excludeMethods.includes(value)) {
+      normalized.excludeMethods.push(value);
+    }
+  }
+
+  if (!OUT_OF_SCOPE_ACTIONS.includes(normalized.outOfScope)) {
+    throw new Error(
+      `scope.outOfScope must be one of: ${OUT_OF_SCOPE_ACTIONS.join(", ")}`,
+    );
+  }
+
+  return listScopeFields(normalized).length > 0 ? normalized : null;
+};
+
+/**
+ * Заданные в scope правила (include, exclude, maxDepth, excludeMethods)
+ */
+export const listScopeFields = (scope) =>
+  SCOPE_FIELDS.filter((field) => {
+    const value = scope && scope[field];
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  });
+
+/**
+ * Объединить выражения в одно для инструментов с единственной опцией
+ */
+export const combinePatterns = (patterns) =>
+  patterns.length === 1
+    ? patterns[0]
+    : patterns.map((pattern) => `(?:${pattern})`).join("|");
+
+/**
+ * Выражение для инструментов, которые сопоставляют URL целиком (ZAP, w4af):
+ * правила scope ищут совпадение в любой части URL
+ */
+export const toFullMatchPattern = (pattern) => {
+  const anchoredStart = pattern.startsWith("^");
+  const anchoredEnd = pattern.endsWith("$") && !pattern.endsWith("\\$");
+  const body = pattern.slice(
+    anchoredStart ? 1 : 0,
+    anchoredEnd ? -1 : undefined,
+  );
+  return `${anchoredStart ? "" : ".*"}(?:${body})${anchoredEnd ? "" : ".*"}`;
+};
+
+/**
+ * Перевести регулярное выражение в шаблон с "*" (как --exclude у Wapiti).
+ * null - выражение сложнее, чем литерал с ".*"
+ */
+export const regexToWildcard = (pattern) => {
+  let body = pattern;
+  const anchoredStart = body.startsWith("^");
+  const anchoredEnd = body.endsWith("$") && !body.endsWith("\\$");
+  body = body.slice(anchoredStart ? 1 : 0, anchoredEnd ? -1 : undefined);
+
+  let wildcard = "";
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === "\\" && i + 1 < body.length && !/\w/.test(body[i + 1])) {
+      wildcard += body[++i];
+    } else if (char === "." && body[i + 1] === "*") {
+      wildcard += "*";
+      i++;
+    } else if (/[\\.^$|?*+()[\]{}]/.test(char)) {
+      return null;
+    } else {
+      wildcard += char;
+    }
+  }
+
+  return `${anchoredStart ? "" : "*"}${wildcard}${anchoredEnd ? "" : "*"}`.replace(
+    /\*+/g,
+    "*",
+  );
+};
+
+/**
+ * Запросы, к которым относится finding: locations парсера или URL/путь и
+ * метод из строки вывода
+ */
+export const getFindingLocations = (finding, targetUrl) => {
+  if (Array.isArray(finding.locations) && finding.locations.length > 0) {
+    return finding.locations;
+  }
+
+  const line = `${finding.url || ""} ${finding.line || ""}`;
+  const method = finding.method || (line.match(METHOD_IN_LINE) || [])[1];
+  const urlMatch = line.match(URL_IN_LINE);
+  if (urlMatch) {
+    return [{ url: urlMatch[0], method: method || null }];
+  }
+  const pathMatch = line.match(PATH_IN_LINE);
+  if (pathMatch) {
+    try {
+      return [
+        { url: new URL(pathMatch[1], targetUrl).href, method: method || null },
+      ];
+    } catch {
+      // Путь не удалось разобрать - finding без адреса
+    }
+  }
+  return [];
+};
+
+/**
+ * Причина, по которой запрос вне scope, или null
+ */
+export const getOutOfScopeReason = (scope, { url, method }) => {
+  if (method && scope.excludeMethods.includes(method.toUpperCase())) {
+    return `method ${method.toUpperCase()} is excluded`;
+  }
+  if (!url) {
+    return null;
+  }
+  const excluded = scope.exclude.find((pattern) =>
+    new RegExp(pattern).test(url),
+  );
+  if (excluded) {
+    return `${url} matches exclude /${excluded}/`;
+  }
+  if (
+    scope.include.length > 0 &&
+    !scope.include.some((pattern) => new RegExp(pattern).test(url))
+  ) {
+    return `${url} matches no include rule`;
+  }
+  return null;
+};
+
+/**
+ * Пост-фильтр findings: finding вне scope, если вне scope все его запросы.
+ * Findings без адреса остаются как есть
+ */
+export const applyScope = (findings, scope, targetUrl) => {
+  if (!scope) {
+    return { findings, outOfScope: 0 };
+  }
+
+  const result = [];
+  let outOfScope = 0;
+  for (const finding of findings) {
+    const locations = getFindingLocations(finding, targetUrl);
+    const reasons = locations.map((location) =>
+      getOutOfScopeReason(scope, location),
+    );
+    if (locations.length === 0 || reasons.some((reason) => !reason)) {
+      result.push(finding);
+      continue;
+    }
+
+    outOfScope++;
+    if (scope.outOfScope === "flag") {
+      result.push({ ...finding, outOfScope: true, scopeReason: reasons[0] });
+    }
+  }
+
+  return { findings: result, outOfScope };
+};
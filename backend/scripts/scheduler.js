@@ -0,0 +1,404 @@
+/**
+ * VKR Security Stand - Recurring Scheduler
+ * Creates and starts batches from cron-style schedules
+ */
+
+import fs from "fs";
+import path from "path";
+import { getNextRun, parseCron } from "./cron.js";
+import { maskRequestOptions } from "./request_options.js";
+
+const SCHEDULES_FILE = "schedules.json";
+// Параметры запросов шаблонов без маски - отдельно, только владельцу
+const REQUESTS_FILE = "schedule_requests.json";
+const TICK_INTERVAL_MS = 30 * 1000;
+const MAX_HISTORY = 20;
+
+// skip - не запускать batch, пока предыдущий batch расписания выполняется;
+// allow - запускать всегда
+export const OVERLAP_POLICIES = ["skip", "allow"];
+const ACTIVE_BATCH_STATUSES = ["created", "running", "paused"];
+
+/**
+ * Ошибка проверки входных данных (API отвечает 400)
+ */
+const validationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class Scheduler {
+  constructor(batchManager, artifactsDir) {
+    this.batchManager = batchManager;
+    this.filePath = path.join(artifactsDir, SCHEDULES_FILE);
+    this.requestsPath = path.join(artifactsDir, REQUESTS_FILE);
+    this.schedules = new Map();
+    this.timer = null;
+
+    this.load();
+  }
+
+  /**
+   * Загрузить расписания с диска
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const schedules = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      const requests = fs.existsSync(this.requestsPath)
+        ? JSON.parse(fs.readFileSync(this.requestsPath, "utf8"))
+        : {};
+      for (const schedule of schedules) {
+        if (schedule.config && requests[schedule.id]) {
+          schedule.config.request = requests[schedule.id];
+        }
+        this.schedules.set(schedule.id, schedule);
+      }
+      console.log(`Loaded ${this.schedules.size} schedules`);
+    } catch (error) {
+      console.error(
+        `Failed to load schedules ${this.filePath}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Сохранить расписания на диск
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const requests = {};
+      for (const schedule of this.schedules.values()) {
+        if (schedule.config && schedule.config.request) {
+          requests[schedule.id] = schedule.config.request;
+        }
+      }
+      fs.writeFileSync(
+        `${this.requestsPath}.tmp`,
+        JSON.stringify(requests, null, 2),
+        { mode: 0o600 },
+      );
+      fs.renameSync(`${this.requestsPath}.tmp`, this.requestsPath);
+
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify(
+          [...this.schedules.values()].map((schedule) =>
+            this.maskSchedule(schedule),
+          ),
+          null,
+          2,
+        ),
+      );
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error("Failed to persist schedules:", error.message);
+    }
+  }
+
+  /**
+   * Запустить периодическую проверку расписаний
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    // Пропущенные во время простоя запуски не догоняем, а переносим на будущее
+    const now = new Date();
+    for (const schedule of this.schedules.values()) {
+      if (
+        schedule.enabled &&
+        schedule.nextRunAt &&
+        schedule.nextRunAt < now.getTime()
+      ) {
+        schedule.nextRunAt = this.computeNextRun(schedule.cron, now);
+      }
+    }
+    this.save();
+
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.timer.unref();
+    console.log("Scheduler started");
+  }
+
+  /**
+   * Остановить проверку расписаний
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Запустить все расписания, время которых наступило
+   */
+  tick() {
+    const now = Date.now();
+    for (const schedule of this.schedules.values()) {
+      if (schedule.enabled && schedule.nextRunAt && schedule.nextRunAt <= now) {
+        this.trigger(schedule.id);
+      }
+    }
+  }
+
+  /**
+   * Создать и запустить batch по расписанию
+   */
+  trigger(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      throw new Error(`Schedule ${scheduleId} not found`);
+    }
+
+    const triggeredAt = Date.now();
+    schedule.lastRunAt = triggeredAt;
+    schedule.nextRunAt = schedule.enabled
+      ? this.computeNextRun(schedule.cron, new Date(triggeredAt))
+      : null;
+
+    let entry;
+    const previousBatchId = this.getActiveBatchId(schedule);
+    if (previousBatchId && (schedule.overlap || "skip") === "skip") {
+      const reason = `Previous batch ${previousBatchId} is still running`;
+      console.log(`Schedule ${schedule.id} skipped: ${reason}`);
+      entry = { batchId: null, triggeredAt, error: null, skipped: reason };
+    } else {
+      entry = this.startScheduledBatch(schedule, triggeredAt);
+    }
+
+    schedule.history = [entry, ...(schedule.history || [])].slice(
+      0,
+      MAX_HISTORY,
+    );
+    this.save();
+
+    return entry;
+  }
+
+  /**
+   * Последний batch расписания, если он еще не завершился
+   */
+  getActiveBatchId(schedule) {
+    const last = (schedule.history || []).find((entry) => entry.batchId);
+    if (!last) {
+      return null;
+    }
+    const status = this.batchManager.getBatchStatus(last.batchId);
+    if (!status) {
+      return null;
+    }
+    // Отмененный batch может еще останавливать контейнеры
+    return ACTIVE_BATCH_STATUSES.includes(status.status) ||
+      this.batchManager.hasActiveRuns(last.batchId)
+      ? last.batchId
+      : null;
+  }
+
+  /**
+   * Создать batch из шаблона расписания и запустить его в фоне
+   */
+  startScheduledBatch(schedule, triggeredAt) {
+    let entry;
+    try {
+      const batch = this.batchManager.createBatch({
+        ...schedule.config,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+      });
+      entry = { batchId: batch.id, triggeredAt, error: null };
+
+      this.batchManager.startBatch(batch.id).catch((error) => {
+        console.error(`Scheduled batch ${batch.id} failed:`, error);
+      });
+
+      console.log(`Schedule ${schedule.id} started batch ${batch.id}`);
+    } catch (error) {
+      console.error(`Schedule ${schedule.id} failed to start:`, error);
+      entry = { batchId: null, triggeredAt, error: error.message };
+    }
+
+    return entry;
+  }
+
+  /**
+   * Следующий запуск по cron выражению (timestamp или null)
+   */
+  computeNextRun(cron, from = new Date()) {
+    const next = getNextRun(cron, from);
+    return next ? next.getTime() : null;
+  }
+
+  /**
+   * Проверить и нормализовать входные данные расписания
+   */
+  validate(input, existing = {}) {
+    const name = input.name ?? existing.name;
+    if (!name || typeof name !== "string") {
+      throw validationError("name is required");
+    }
+
+    const cron = input.cron ?? existing.cron;
+    try {
+      parseCron(cron);
+    } catch (error) {
+      throw validationError(error.message);
+    }
+    if (!getNextRun(cron)) {
+      throw validationError(`Cron expression "${cron}" never fires`);
+    }
+
+    const enabled = input.enabled ?? existing.enabled ?? true;
+    if (typeof enabled !== "boolean") {
+      throw validationError("enabled must be a boolean");
+    }
+
+    const overlap = input.overlap ?? existing.overlap ?? "skip";
+    if (!OVERLAP_POLICIES.includes(overlap)) {
+      throw validationError(
+        `overlap must be one of: ${OVERLAP_POLICIES.join(", ")}`,
+      );
+    }
+
+    let config = input.config ?? existing.config;
+    // Шаблон проверяется так же, как при создании batch
+    const normalized = this.batchManager.normalizeConfig(config);
+    // Параметры запросов хранятся в нормализованном виде, чтобы их можно
+    // было маскировать в schedules.json и ответах API
+    if (config.request) {
+      config = { ...config, request: normalized.request };
+    }
+
+    return {
+      name: name,
+      cron: cron.trim(),
+      config: config,
+      enabled: enabled,
+      overlap: overlap,
+    };
+  }
+
+  /**
+   * Создать расписание
+   */
+  createSchedule(input) {
+    const fields = this.validate(input);
+    const now = Date.now();
+
+    const schedule = {
+      id: `schedule_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      ...fields,
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null,
+      nextRunAt: fields.enabled ? this.computeNextRun(fields.cron) : null,
+      history: [],
+    };
+
+    this.schedules.set(schedule.id, schedule);
+    this.save();
+    return this.describe(schedule);
+  }
+
+  /**
+   * Обновить расписание
+   */
+  updateSchedule(scheduleId, input) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      return null;
+    }
+
+    Object.assign(schedule, this.validate(input, schedule), {
+      updatedAt: Date.now(),
+    });
+    schedule.nextRunAt = schedule.enabled
+      ? this.computeNextRun(schedule.cron)
+      : null;
+
+    this.save();
+    return this.describe(schedule);
+  }
+
+  /**
+   * Удалить расписание (созданные им batches остаются)
+   */
+  deleteSchedule(scheduleId) {
+    const deleted = this.schedules.delete(scheduleId);
+    if (deleted) {
+      this.save();
+    }
+    return deleted;
+  }
+
+  /**
+   * Получить расписание
+   */
+  getSchedule(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    return schedule ? this.describe(schedule) : null;
+  }
+
+  /**
+   * Получить все расписания
+   */
+  listSchedules() {
+    return [...this.schedules.values()].map((schedule) =>
+      this.describe(schedule),
+    );
+  }
+
+  /**
+   * Расписание с замаскированными параметрами запросов шаблона
+   */
+  maskSchedule(schedule) {
+    if (!schedule.config || !schedule.config.request) {
+      return schedule;
+    }
+    return {
+      ...schedule,
+      config: {
+        ...schedule.config,
+        request: maskRequestOptions(schedule.config.request),
+      },
+    };
+  }
+
+  /**
+   * Расписание для API: история дополняется текущим статусом batches
+   */
+  describe(schedule) {
+    const history = (schedule.history || []).map((entry) => {
+      const status = entry.batchId
+        ? this.batchManager.getBatchStatus(entry.batchId)
+        : null;
+      return {
+        ...entry,
+        status: entry.error
+          ? "error"
+          : entry.skipped
+            ? "skipped"
+            : status
+              ? status.status
+              : "unknown",
+        progress: status ? status.progress : null,
+      };
+    });
+
+    return {
+      ...this.maskSchedule(schedule),
+      history: history,
+      lastOutcome: history[0] || null,
+    };
+  }
+}
+
+export default Scheduler;
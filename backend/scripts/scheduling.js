@@ -0,0 +1,133 @@
+/**
+ * VKR Security Stand - Run Scheduling
+ * Strategies that decide when the next run of a batch may start
+ */
+
+const MAX_INTERVAL_SECONDS = 60;
+
+/**
+ * Стратегии запуска прогонов.
+ * startDelay возвращает задержку (мс) перед стартом прогона с позицией position,
+ * отсчитываемую от момента, указанного в anchor
+ */
+export const SCHEDULING_STRATEGIES = {
+  sequential: {
+    label: "Strictly sequential",
+    concurrency: () => 1,
+    // Интервал отсчитывается от завершения предыдущего прогона
+    anchor: "previousEnd",
+    startDelay: (schedule, position) =>
+      position === 0 ? 0 : schedule.intervalSeconds * 1000,
+  },
+  interval: {
+    label: "Fixed interval",
+    concurrency: (maxConcurrent) => maxConcurrent,
+    anchor: "previousStart",
+    startDelay: (schedule, position) =>
+      position === 0 ? 0 : schedule.intervalSeconds * 1000,
+  },
+  rampup: {
+    label: "Concurrent with ramp-up",
+    concurrency: (maxConcurrent) => maxConcurrent,
+    anchor: "previousStart",
+    // Интервал только пока заполняются слоты, дальше прогоны идут без пауз
+    startDelay: (schedule, position, concurrency) =>
+      position === 0 || position >= concurrency
+        ? 0
+        : schedule.intervalSeconds * 1000,
+  },
+  jitter: {
+    label: "Randomized jitter",
+    concurrency: (maxConcurrent) => maxConcurrent,
+    anchor: "previousStart",
+    startDelay: (schedule, position, concurrency, random) =>
+      position === 0
+        ? 0
+        : Math.round(
+            (schedule.intervalSeconds + random() * schedule.jitterSeconds) *
+              1000,
+          ),
+  },
+};
+
+/**
+ * Привести настройки расписания из конфига batch к единому виду
+ */
+export function normalizeSchedule(config) {
+  const source = config.schedule || {};
+  const strategy = source.strategy || config.schedulingStrategy || "interval";
+
+  if (!SCHEDULING_STRATEGIES[strategy]) {
+    throw new Error(
+      `Unknown scheduling strategy "${strategy}". Available: ${Object.keys(SCHEDULING_STRATEGIES).join(", ")}`,
+    );
+  }
+
+  const intervalSeconds = Number(
+    source.intervalSeconds ?? config.intervalSeconds ?? 0,
+  );
+  if (
+    !Number.isFinite(intervalSeconds) ||
+    intervalSeconds < 0 ||
+    intervalSeconds > MAX_INTERVAL_SECONDS
+  ) {
+    throw new Error(
+      `intervalSeconds must be between 0 and ${MAX_INTERVAL_SECONDS}`,
+    );
+  }
+
+  const schedule = { strategy, intervalSeconds };
+
+  if (strategy === "jitter") {
+    const jitterSeconds = Number(
+      source.jitterSeconds ?? config.jitterSeconds ?? intervalSeconds,
+    );
+    if (
+      !Number.isFinite(jitterSeconds) ||
+      jitterSeconds < 0 ||
+      jitterSeconds > MAX_INTERVAL_SECONDS
+    ) {
+      throw new Error(
+        `jitterSeconds must be between 0 and ${MAX_INTERVAL_SECONDS}`,
+      );
+    }
+
+    schedule.jitterSeconds = jitterSeconds;
+    // Seed сохраняется в конфиге, чтобы задержки можно было воспроизвести
+    schedule.seed = Number.isInteger(source.seed ?? config.seed)
+      ? (source.seed ?? config.seed)
+      : Math.floor(Math.random() * 2 ** 31);
+  }
+
+  return schedule;
+}
+
+/**
+ * Детерминированный генератор псевдослучайных чисел (mulberry32)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Краткое описание расписания для логов и отчетов
+ */
+export function describeSchedule(schedule) {
+  if (!schedule) {
+    return "Concurrent (no interval)";
+  }
+
+  const strategy = SCHEDULING_STRATEGIES[schedule.strategy];
+  let description = `${strategy ? strategy.label : schedule.strategy}, interval ${schedule.intervalSeconds}s`;
+  if (schedule.strategy === "jitter") {
+    description += `, jitter 0-${schedule.jitterSeconds}s, seed ${schedule.seed}`;
+  }
+  return description;
+}
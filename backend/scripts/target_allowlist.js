@@ -0,0 +1,280 @@
+/**
+ * VKR Security Stand - Target Allowlist
+ * Hosts, Docker service names and CIDRs that scanners may be pointed at
+ */
+
+import fs from "fs";
+import net from "net";
+import path from "path";
+import { TARGETS } from "./target_catalog.js";
+
+const ALLOWLIST_FILE = "target_allowlist.json";
+
+// Цели стенда по умолчанию: сервисы каталога целей и локальные адреса
+const DEFAULT_ALLOWLIST = {
+  hosts: ["localhost"],
+  services: TARGETS.map((target) => target.service),
+  cidrs: ["127.0.0.0/8", "172.16.0.0/12"],
+};
+
+const MAX_URL_LENGTH = 2048;
+// Имя хоста или шаблон поддоменов "*.example.test"
+const HOST_PATTERN =
+  /^(\*\.)?[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+// Имя сервиса/контейнера Docker (одна метка без точек)
+export const SERVICE_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Ошибка проверки цели с кодом для API
+ */
+const targetError = (code, statusCode, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Разобрать подсеть "адрес/префикс"
+ */
+const parseCidr = (cidr) => {
+  const [address, prefix, extra] = String(cidr).trim().split("/");
+  const type = net.isIP(address);
+  const bits = type === 6 ? 128 : 32;
+  const length = Number(prefix);
+  if (
+    !type ||
+    extra !== undefined ||
+    !/^\d+$/.test(prefix || "") ||
+    length > bits
+  ) {
+    throw new Error(`"${cidr}" is not a valid CIDR`);
+  }
+  return { address, prefix: length, type: type === 6 ? "ipv6" : "ipv4" };
+};
+
+class TargetAllowlist {
+  constructor(artifactsDir) {
+    this.filePath = path.join(artifactsDir, ALLOWLIST_FILE);
+    this.allowlist = { ...DEFAULT_ALLOWLIST };
+    this.updatedAt = null;
+
+    this.load();
+    this.compile();
+  }
+
+  /**
+   * Загрузить allowlist с диска (заменяет значения по умолчанию)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.allowlist = this.validate(saved.allowlist || {});
+      this.updatedAt = saved.updatedAt || null;
+    } catch (error) {
+      console.error(
+        `Failed to load target allowlist ${this.filePath}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Сохранить allowlist на диск
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify(
+          { allowlist: this.allowlist, updatedAt: this.updatedAt },
+          null,
+          2,
+        ),
+      );
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error("Failed to persist target allowlist:", error.message);
+    }
+  }
+
+  /**
+   * Подготовить подсети для проверки адресов
+   */
+  compile() {
+    this.blockList = new net.BlockList();
+    for (const cidr of this.allowlist.cidrs) {
+      const { address, prefix, type } = parseCidr(cidr);
+      this.blockList.addSubnet(address, prefix, type);
+    }
+  }
+
+  /**
+   * Проверить и нормализовать списки allowlist
+   */
+  validate(input) {
+    const toList = (value, field) => {
+      if (value === undefined) {
+        return [];
+      }
+      if (!Array.isArray(value)) {
+        throw new Error(`${field} must be a list`);
+      }
+      return [
+        ...new Set(
+          value
+            .map((item) => String(item).trim().toLowerCase())
+            .filter(Boolean),
+        ),
+      ];
+    };
+
+    const hosts = toList(input.hosts, "hosts");
+    for (const host of hosts) {
+      if (!HOST_PATTERN.test(host) && !net.isIP(host)) {
+        throw new Error(`hosts: "${host}" is not a valid host name`);
+      }
+    }
+
+    const services = toList(input.services, "services");
+    for (const service of services) {
+      if (!SERVICE_PATTERN.test(service)) {
+        throw new Error(`services: "${service}" is not a valid service name`);
+      }
+    }
+
+    const cidrs = toList(input.cidrs, "cidrs");
+    for (const cidr of cidrs) {
+      parseCidr(cidr);
+    }
+
+    return { hosts, services, cidrs };
+  }
+
+  /**
+   * Заменить allowlist (поля, которых нет во входных данных, не меняются)
+   */
+  update(input) {
+    this.allowlist = this.validate({ ...this.allowlist, ...input });
+    this.updatedAt = Date.now();
+    this.compile();
+    this.save();
+    return this.getStatus();
+  }
+
+  /**
+   * Разобрать URL цели; ошибки - с кодом INVALID_TARGET_URL
+   */
+  parseTargetUrl(targetUrl) {
+    if (typeof targetUrl !== "string" || targetUrl.length > MAX_URL_LENGTH) {
+      throw targetError(
+        "INVALID_TARGET_URL",
+        400,
+        `targetUrl must be a string up to ${MAX_URL_LENGTH} characters`,
+      );
+    }
+    // Пробелы, управляющие символы и кавычки не нужны ни одному адресу цели
+    if (/[\s\0-\x1f\x7f"'`<>\\^{}|]/.test(targetUrl)) {
+      throw targetError(
+        "INVALID_TARGET_URL",
+        400,
+        `targetUrl "${targetUrl}" contains forbidden characters`,
+      );
+    }
+
+    let url;
+    try {
+      url = new URL(targetUrl);
+    } catch {
+      throw targetError(
+        "INVALID_TARGET_URL",
+        400,
+        `targetUrl "${targetUrl}" is not a valid URL`,
+      );
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw targetError(
+        "INVALID_TARGET_URL",
+        400,
+        `targetUrl "${targetUrl}" must use http or https`,
+      );
+    }
+    if (url.username || url.password) {
+      throw targetError(
+        "INVALID_TARGET_URL",
+        400,
+        `targetUrl "${targetUrl}" must not contain credentials, use an auth context`,
+      );
+    }
+    return url;
+  }
+
+  /**
+   * Разрешена ли цель: имя хоста, сервис Docker или адрес из подсети
+   */
+  isHostAllowed(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "");
+
+    const ipType = net.isIP(host);
+    if (ipType) {
+      return (
+        this.allowlist.hosts.includes(host) ||
+        this.blockList.check(host, ipType === 6 ? "ipv6" : "ipv4")
+      );
+    }
+
+    if (this.allowlist.services.includes(host)) {
+      return true;
+    }
+    return this.allowlist.hosts.some((allowed) =>
+      allowed.startsWith("*.")
+        ? host.endsWith(allowed.slice(1))
+        : host === allowed,
+    );
+  }
+
+  /**
+   * Проверить цель сканирования; ошибки - с кодом для ответа API
+   */
+  assertAllowed(targetUrl) {
+    const url = this.parseTargetUrl(targetUrl);
+    if (!this.isHostAllowed(url.hostname)) {
+      throw targetError(
+        "TARGET_NOT_ALLOWED",
+        403,
+        `Target host "${url.hostname}" is not in the target allowlist`,
+      );
+    }
+  }
+
+  /**
+   * Проверить, что сервисом Docker можно управлять (сброс цели)
+   */
+  assertServiceAllowed(service) {
+    if (!this.allowlist.services.includes(service)) {
+      throw targetError(
+        "TARGET_NOT_ALLOWED",
+        403,
+        `Service "${service}" is not in the target allowlist`,
+      );
+    }
+  }
+
+  /**
+   * Текущий allowlist для API
+   */
+  getStatus() {
+    return {
+      allowlist: this.allowlist,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+export default TargetAllowlist;
@@ -0,0 +1,232 @@
+/**
+ * VKR Security Stand - Target Catalog
+ * Vulnerable applications the stand can run as Docker Compose services
+ * on the scanner network
+ */
+
+import { LABEL_PREFIX } from "./container_runner.js";
+
+// Проект compose стенда (имя директории с docker-compose.yml)
+const COMPOSE_PROJECT = process.env.TARGET_COMPOSE_PROJECT || "websec-stand";
+// Хост, на котором опубликованы порты целей (backend работает вне сети сканеров)
+const PROBE_HOST = process.env.TARGET_PROBE_HOST || "localhost";
+
+export const TARGET_LABEL = `${LABEL_PREFIX}.target`;
+
+// Описания совпадают с сервисами docker-compose.yml
+export const TARGETS = [
+  {
+    id: "juice-shop",
+    label: "OWASP Juice Shop",
+    description: "Modern Node.js/Angular shop with OWASP Top 10 challenges",
+    image: "bkimminich/juice-shop:latest",
+    service: "juice-shop",
+    port: 3000,
+    hostPort: 3000,
+    path: "",
+    env: {
+      NODE_ENV: "development",
+      CTF_KEY: "someKeyForChallenges",
+    },
+    readiness: { path: "/", expectedBody: "OWASP Juice Shop" },
+  },
+  {
+    id: "dvwa",
+    label: "DVWA",
+    description:
+      "Damn Vulnerable Web Application (PHP/MySQL), login admin/password",
+    image: "vulnerables/web-dvwa:latest",
+    service: "dvwa",
+    port: 80,
+    hostPort: 8081,
+    path: "",
+    env: {},
+    readiness: { path: "/login.php", expectedBody: "DVWA" },
+  },
+  {
+    id: "webgoat",
+    label: "OWASP WebGoat",
+    description: "Java lessons application, requires a registered user",
+    image: "webgoat/webgoat:latest",
+    service: "webgoat",
+    port: 8080,
+    hostPort: 8082,
+    path: "/WebGoat",
+    env: {},
+    readiness: { path: "/WebGoat/login", expectedBody: "WebGoat" },
+  },
+  {
+    id: "bwapp",
+    label: "bWAPP",
+    description:
+      "Buggy web application (PHP), run /install.php once after start",
+    image: "raesene/bwapp:latest",
+    service: "bwapp",
+    port: 80,
+    hostPort: 8083,
+    path: "",
+    env: {},
+    readiness: { path: "/login.php", expectedBody: "bWAPP" },
+  },
+];
+
+/**
+ * URL цели в сети сканеров (по имени сервиса)
+ */
+const getTargetUrl = (target) =>
+  `http://${target.service}:${target.port}${target.path}`;
+
+/**
+ * URL цели через опубликованный порт - для проверок из backend
+ */
+const getHostUrl = (target) =>
+  `http://${PROBE_HOST}:${target.hostPort}${target.path}`;
+
+class TargetCatalog {
+  constructor(containers) {
+    this.containers = containers;
+  }
+
+  /**
+   * Цель каталога по id
+   */
+  get(targetId) {
+    return TARGETS.find((target) => target.id === targetId) || null;
+  }
+
+  /**
+   * Цель каталога, которой соответствует URL из конфига batch
+   */
+  findByUrl(targetUrl) {
+    let url;
+    try {
+      url = new URL(targetUrl);
+    } catch {
+      return null;
+    }
+    return (
+      TARGETS.find(
+        (target) =>
+          url.hostname === target.service &&
+          Number(url.port || 80) === target.port,
+      ) || null
+    );
+  }
+
+  /**
+   * URL для проверки доступности из backend: адрес в сети сканеров
+   * заменяется на опубликованный порт, остальные URL не меняются
+   */
+  getProbeUrl(targetUrl) {
+    const target = this.findByUrl(targetUrl);
+    if (!target) {
+      return targetUrl;
+    }
+    const url = new URL(targetUrl);
+    return `http://${PROBE_HOST}:${target.hostPort}${url.pathname}${url.search}`;
+  }
+
+  /**
+   * Состояние контейнеров цели: running, exited, ... или not_created
+   */
+  async getStatus(targetId) {
+    const target = this.get(targetId);
+    const containers = await this.containers.findServiceContainers(
+      target.service,
+    );
+    const running = containers.some(
+      (container) => container.state === "running",
+    );
+    return {
+      state: running
+        ? "running"
+        : containers.length > 0
+          ? containers[0].state
+          : "not_created",
+      containers: containers.map((container) => container.name),
+    };
+  }
+
+  /**
+   * Цель каталога для API: URL в сети сканеров, на хосте и состояние.
+   * Ошибка Docker не прячет каталог - состояние становится unknown
+   */
+  async describe(target) {
+    let status;
+    try {
+      status = await this.getStatus(target.id);
+    } catch (error) {
+      status = { state: "unknown", containers: [], error: error.message };
+    }
+    return {
+      id: target.id,
+      label: target.label,
+      description: target.description,
+      image: target.image,
+      service: target.service,
+      targetUrl: getTargetUrl(target),
+      hostUrl: getHostUrl(target),
+      readiness: target.readiness,
+      status: status,
+    };
+  }
+
+  /**
+   * Все цели каталога с состоянием
+   */
+  async list() {
+    return Promise.all(TARGETS.map((target) => this.describe(target)));
+  }
+
+  /**
+   * Запустить цель: существующий контейнер стартует, иначе создается новый
+   * с метками compose, чтобы его находили сброс и docker compose
+   */
+  async start(targetId) {
+    const target = this.get(targetId);
+    const containers = await this.containers.findServiceContainers(
+      target.service,
+    );
+
+    if (containers.length > 0) {
+      for (const container of containers) {
+        await this.containers.startContainer(container.id);
+      }
+    } else {
+      const containerId = await this.containers.createTargetContainer({
+        name: target.service,
+        image: target.image,
+        env: target.env,
+        port: target.port,
+        hostPort: target.hostPort,
+        labels: {
+          "com.docker.compose.project": COMPOSE_PROJECT,
+          "com.docker.compose.service": target.service,
+          [TARGET_LABEL]: target.id,
+        },
+      });
+      await this.containers.startContainer(containerId);
+    }
+
+    console.log(`Target ${target.id} started`);
+    return this.describe(target);
+  }
+
+  /**
+   * Остановить контейнеры цели (контейнеры сохраняются)
+   */
+  async stop(targetId) {
+    const target = this.get(targetId);
+    const containers = await this.containers.findServiceContainers(
+      target.service,
+    );
+    for (const container of containers) {
+      await this.containers.stopContainer(container.id);
+    }
+
+    console.log(`Target ${target.id} stopped`);
+    return this.describe(target);
+  }
+}
+
+export default TargetCatalog;
@@ -0,0 +1,193 @@
+/**
+ * VKR Security Stand - Target Precheck
+ * HTTP probe of the scan target before a batch (and optionally before each
+ * run), so that runs against a booting or dead target are not counted
+ */
+
+// Что делать с прогонами, если цель так и не ответила
+export const PRECHECK_FAILURE_ACTIONS = ["fail", "postpone"];
+
+const DEFAULT_PRECHECK = {
+  path: "/",
+  expectedStatus: [],
+  expectedBody: null,
+  timeoutSeconds: 5,
+  retries: 12,
+  intervalSeconds: 5,
+  perRun: false,
+  onFailure: "fail",
+  postponeSeconds: 60,
+  maxPostpones: 3,
+};
+
+// Фрагмент тела ответа, который сохраняется в результате проверки
+const BODY_SAMPLE_LENGTH = 200;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Проверить числовое поле конфига проверки
+ */
+const toInteger = (value, field, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(
+      `precheck.${field} must be an integer between ${min} and ${max}`,
+    );
+  }
+  return number;
+};
+
+/**
+ * Проверить настройки precheck из конфига batch.
+ * Для новых batch проверка включена по умолчанию, false или
+ * { enabled: false } ее выключают
+ */
+export const normalizePrecheck = (precheck) => {
+  if (precheck === false || (precheck && precheck.enabled === false)) {
+    return null;
+  }
+  if (precheck === undefined || precheck === null || precheck === true) {
+    return { ...DEFAULT_PRECHECK };
+  }
+  if (typeof precheck !== "object" || Array.isArray(precheck)) {
+    throw new Error("precheck must be an object or a boolean");
+  }
+
+  const normalized = { ...DEFAULT_PRECHECK };
+
+  if (precheck.path !== undefined && precheck.path !== null) {
+    if (typeof precheck.path !== "string" || !precheck.path.startsWith("/")) {
+      throw new Error('precheck.path must start with "/"');
+    }
+    normalized.path = precheck.path;
+  }
+
+  if (
+    precheck.expectedStatus !== undefined &&
+    precheck.expectedStatus !== null
+  ) {
+    const statuses = Array.isArray(precheck.expectedStatus)
+      ? precheck.expectedStatus
+      : String(precheck.expectedStatus).split(",");
+    normalized.expectedStatus = statuses
+      .filter((status) => String(status).trim() !== "")
+      .map((status) => toInteger(status, "expectedStatus", 100, 599));
+  }
+
+  if (precheck.expectedBody) {
+    if (typeof precheck.expectedBody !== "string") {
+      throw new Error("precheck.expectedBody must be a string");
+    }
+    normalized.expectedBody = precheck.expectedBody;
+  }
+
+  for (const [field, min, max] of [
+    ["timeoutSeconds", 1, 120],
+    ["retries", 0, 120],
+    ["intervalSeconds", 1, 300],
+    ["postponeSeconds", 1, 3600],
+    ["maxPostpones", 0, 20],
+  ]) {
+    if (precheck[field] !== undefined && precheck[field] !== null) {
+      normalized[field] = toInteger(precheck[field], field, min, max);
+    }
+  }
+
+  normalized.perRun = Boolean(precheck.perRun);
+  if (precheck.onFailure) {
+    if (!PRECHECK_FAILURE_ACTIONS.includes(precheck.onFailure)) {
+      throw new Error(
+        `precheck.onFailure must be one of: ${PRECHECK_FAILURE_ACTIONS.join(", ")}`,
+      );
+    }
+    normalized.onFailure = precheck.onFailure;
+  }
+
+  return normalized;
+};
+
+/**
+ * Один HTTP запрос к цели: статус и тело сверяются с ожиданиями
+ */
+export const probeTarget = async (targetUrl, precheck) => {
+  const startedAt = Date.now();
+  const probe = {
+    ok: false,
+    url: targetUrl,
+    status: null,
+    durationMs: null,
+    error: null,
+    bodySample: null,
+    checkedAt: startedAt,
+  };
+
+  try {
+    // Некорректный targetUrl/path - такая же неудачная проверка, а не исключение
+    const url = new URL(precheck.path, targetUrl).href;
+    probe.url = url;
+    const response = await fetch(url, {
+      redirect: "manual",
+      signal: AbortSignal.timeout(precheck.timeoutSeconds * 1000),
+    });
+    const body = await response.text();
+    probe.status = response.status;
+    probe.durationMs = Date.now() - startedAt;
+    probe.bodySample = body.slice(0, BODY_SAMPLE_LENGTH);
+
+    const statusOk =
+      precheck.expectedStatus.length > 0
+        ? precheck.expectedStatus.includes(response.status)
+        : response.status < 400;
+    if (!statusOk) {
+      probe.error = `unexpected HTTP status ${response.status}`;
+    } else if (precheck.expectedBody && !body.includes(precheck.expectedBody)) {
+      probe.error = `response body does not contain "${precheck.expectedBody}"`;
+    } else {
+      probe.ok = true;
+    }
+  } catch (error) {
+    probe.durationMs = Date.now() - startedAt;
+    // fetch прячет причину (ECONNREFUSED, ENOTFOUND) в error.cause
+    probe.error =
+      error.name === "TimeoutError"
+        ? `no response within ${precheck.timeoutSeconds}s`
+        : (error.cause && (error.cause.code || error.cause.message)) ||
+          error.message;
+  }
+
+  return probe;
+};
+
+/**
+ * Ждать готовности цели: до retries повторов с паузой intervalSeconds.
+ * shouldStop() прерывает ожидание (например, при отмене batch)
+ */
+export const waitForTarget = async (targetUrl, precheck, shouldStop) => {
+  let probe = null;
+  for (let attempt = 1; attempt <= precheck.retries + 1; attempt++) {
+    probe = await probeTarget(targetUrl, precheck);
+    probe.attempts = attempt;
+    if (probe.ok || (shouldStop && shouldStop())) {
+      break;
+    }
+    if (attempt <= precheck.retries) {
+      await sleep(precheck.intervalSeconds * 1000);
+    }
+  }
+  return probe;
+};
+
+/**
+ * Результат проверки одной строкой для отчетов и логов
+ */
+export const describeProbe = (probe) => {
+  if (!probe) {
+    return "Not checked";
+  }
+  const attempts = `${probe.attempts || 1} attempt${probe.attempts > 1 ? "s" : ""}`;
+  if (probe.ok) {
+    return `ready, HTTP ${probe.status} from ${probe.url} in ${probe.durationMs} ms (${attempts})`;
+  }
+  return `unavailable, ${probe.error} from ${probe.url} (${attempts})`;
+};
@@ -0,0 +1,185 @@
+/**
+ * VKR Security Stand - Target Reset
+ * Returns the target application to a clean state between runs: restart or
+ * recreate its Docker Compose service, or call a reset hook URL
+ */
+
+import { SERVICE_PATTERN } from "./target_allowlist.js";
+
+// restart - перезапуск контейнера, recreate - новый контейнер из образа,
+// hook - HTTP запрос к endpoint сброса
+export const RESET_STRATEGIES = ["restart", "recreate", "hook"];
+
+const HOOK_METHODS = ["GET", "POST", "PUT", "DELETE"];
+
+const DEFAULT_TIMEOUT_SECONDS = 30;
+
+/**
+ * Проверить политику сброса из конфига batch, null - без сброса
+ */
+export const normalizeReset = (reset) => {
+  if (reset === undefined || reset === null || reset === false) {
+    return null;
+  }
+  if (typeof reset !== "object" || Array.isArray(reset)) {
+    throw new Error("reset must be an object");
+  }
+  if (!reset.strategy) {
+    return null;
+  }
+  if (!RESET_STRATEGIES.includes(reset.strategy)) {
+    throw new Error(
+      `reset.strategy must be one of: ${RESET_STRATEGIES.join(", ")}`,
+    );
+  }
+
+  const normalized = {
+    strategy: reset.strategy,
+    timeoutSeconds: DEFAULT_TIMEOUT_SECONDS,
+    beforeFirstRun: Boolean(reset.beforeFirstRun),
+  };
+
+  if (reset.timeoutSeconds !== undefined && reset.timeoutSeconds !== null) {
+    const timeoutSeconds = Number(reset.timeoutSeconds);
+    if (
+      !Number.isInteger(timeoutSeconds) ||
+      timeoutSeconds < 1 ||
+      timeoutSeconds > 600
+    ) {
+      throw new Error(
+        "reset.timeoutSeconds must be an integer between 1 and 600",
+      );
+    }
+    normalized.timeoutSeconds = timeoutSeconds;
+  }
+
+  if (reset.strategy === "hook") {
+    if (typeof reset.hookUrl !== "string" || !reset.hookUrl.trim()) {
+      throw new Error("reset.hookUrl is required for the hook strategy");
+    }
+    const hookMethod = String(reset.hookMethod || "POST").toUpperCase();
+    if (!HOOK_METHODS.includes(hookMethod)) {
+      throw new Error(
+        `reset.hookMethod must be one of: ${HOOK_METHODS.join(", ")}`,
+      );
+    }
+    normalized.hookUrl = reset.hookUrl.trim();
+    normalized.hookMethod = hookMethod;
+    return normalized;
+  }
+
+  const service = String(reset.service || "").trim();
+  if (!SERVICE_PATTERN.test(service)) {
+    throw new Error(
+      `reset.service is required for the ${reset.strategy} strategy`,
+    );
+  }
+  normalized.service = service;
+  if (reset.project) {
+    const project = String(reset.project).trim();
+    if (!SERVICE_PATTERN.test(project)) {
+      throw new Error(`reset.project "${reset.project}" is invalid`);
+    }
+    normalized.project = project;
+  }
+  return normalized;
+};
+
+/**
+ * Вызвать hook сброса; успех - ответ со статусом < 400
+ */
+const callResetHook = async (reset, hookUrl) => {
+  const response = await fetch(hookUrl, {
+    method: reset.hookMethod,
+    redirect: "manual",
+    signal: AbortSignal.timeout(reset.timeoutSeconds * 1000),
+  });
+  await response.text();
+  if (response.status >= 400) {
+    throw new Error(`reset hook returned HTTP ${response.status}`);
+  }
+  return `HTTP ${response.status}`;
+};
+
+/**
+ * Сбросить цель по политике. Ошибка не выбрасывается - она возвращается
+ * в результате вместе с длительностью. hookUrl - адрес hook, доступный
+ * из backend (по умолчанию reset.hookUrl)
+ */
+export const resetTarget = async (containers, reset, hookUrl = null) => {
+  const startedAt = Date.now();
+  const result = {
+    strategy: reset.strategy,
+    target: reset.strategy === "hook" ? reset.hookUrl : reset.service,
+    ok: false,
+    containers: [],
+    details: null,
+    error: null,
+    startedAt: startedAt,
+    durationMs: null,
+  };
+
+  try {
+    if (reset.strategy === "hook") {
+      result.details = await callResetHook(reset, hookUrl || reset.hookUrl);
+    } else {
+      const found = await containers.findServiceContainers(
+        reset.service,
+        reset.project,
+      );
+      if (found.length === 0) {
+        throw new Error(
+          `no containers found for Compose service "${reset.service}"`,
+        );
+      }
+      for (const container of found) {
+        if (reset.strategy === "recreate") {
+          await containers.recreateContainer(
+            container.id,
+            reset.timeoutSeconds,
+          );
+        } else {
+          await containers.restartContainer(container.id, reset.timeoutSeconds);
+        }
+        result.containers.push(container.name);
+      }
+    }
+    result.ok = true;
+  } catch (error) {
+    result.error =
+      error.name === "TimeoutError"
+        ? `no response within ${reset.timeoutSeconds}s`
+        : error.message;
+  }
+
+  result.durationMs = Date.now() - startedAt;
+  return result;
+};
+
+/**
+ * Политика сброса одной строкой для отчетов
+ */
+export const describeResetPolicy = (reset) => {
+  if (!reset) {
+    return "None";
+  }
+  const target =
+    reset.strategy === "hook"
+      ? `${reset.hookMethod} ${reset.hookUrl}`
+      : `Compose service ${reset.project ? `${reset.project}/` : ""}${reset.service}`;
+  return `${reset.strategy} ${target}${reset.beforeFirstRun ? ", also before the first run" : ""}`;
+};
+
+/**
+ * Результат сброса одной строкой для отчетов и логов
+ */
+export const describeReset = (result) => {
+  if (!result) {
+    return "Not reset";
+  }
+  const target =
+    result.containers.length > 0 ? result.containers.join(", ") : result.target;
+  return result.ok
+    ? `${result.strategy} ${target} in ${result.durationMs} ms${result.details ? ` (${result.details})` : ""}`
+    : `${result.strategy} ${target} failed after ${result.durationMs} ms: ${result.error}`;
+};
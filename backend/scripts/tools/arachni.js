@@ -0,0 +1,205 @@
+/**
+ * VKR Security Stand - Arachni Tool Plugin
+ * Arachni CLI scanner
+ */
+
+import { getLoginFormData } from "../auth_contexts.js";
+import { getRequestHeaders, parseProxy } from "../request_options.js";
+
+/**
+ * Параметры входа через форму: autologin плагин и проверка сессии
+ */
+function buildAuthArgs(targetUrl, auth) {
+  // autologin проверяет успешность входа по обязательному шаблону check
+  if (!auth.loggedInIndicator) {
+    throw new Error("arachni form login requires loggedInIndicator");
+  }
+  return [
+    `--plugin=autologin:url=${auth.loginUrl},parameters=${getLoginFormData(auth)},check=${auth.loggedInIndicator}`,
+    `--session-check-url=${targetUrl}`,
+    `--session-check-pattern=${auth.loggedInIndicator}`,
+  ];
+}
+
+/**
+ * Статические заголовки (включая bearer/cookie контекст), User-Agent и прокси
+ */
+function buildRequestArgs(request, auth) {
+  const args = getRequestHeaders(request, auth).map((header) =>
+    header.name === "Cookie"
+      ? `--http-cookie-string=${header.value}`
+      : `--http-request-header=${header.name}=${header.value}`,
+  );
+
+  if (request && request.userAgent) {
+    args.push(`--http-user-agent=${request.userAgent}`);
+  }
+  if (request && request.proxy) {
+    const proxy = parseProxy(request.proxy);
+    args.push(
+      `--http-proxy=${proxy.host}:${proxy.port}`,
+      "--http-proxy-type=http",
+    );
+    if (proxy.username) {
+      args.push(
+        `--http-proxy-authentication=${proxy.username}:${proxy.password || ""}`,
+      );
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Правила scope: шаблоны include/exclude и глубина директорий
+ */
+function buildScopeArgs(scope) {
+  const args = [
+    ...scope.include.map((pattern) => `--scope-include-pattern=${pattern}`),
+    ...scope.exclude.map((pattern) => `--scope-exclude-pattern=${pattern}`),
+  ];
+  if (scope.maxDepth) {
+    args.push(`--scope-directory-depth-limit=${scope.maxDepth}`);
+  }
+  return args;
+}
+
+/**
+ * Парсер для Arachni
+ */
+function parseFindings(rawOutput) {
+  const findings = [];
+  const lines = rawOutput.split("\n");
+
+  for (const line of lines) {
+    // Основные уязвимости Arachni
+    if (line.includes("[~]") || line.includes("[+]")) {
+      let severity = "MEDIUM";
+      let title = "Arachni vulnerability detected";
+
+      // Определение типа уязвимости
+      if (line.includes("SQL Injection") || line.includes("SQLi")) {
+        severity = "HIGH";
+        title = "SQL Injection vulnerability";
+      } else if (
+        line.includes("XSS") ||
+        line.includes("Cross Site Scripting")
+      ) {
+        severity = "HIGH";
+        title = "Cross-Site Scripting vulnerability";
+      } else if (
+        line.includes("CSRF") ||
+        line.includes("Cross-Site Request Forgery")
+      ) {
+        severity = "MEDIUM";
+        title = "CSRF vulnerability";
+      } else if (
+        line.includes("Path Traversal") ||
+        line.includes("Directory Traversal")
+      ) {
+        severity = "HIGH";
+        title = "Path Traversal vulnerability";
+      } else if (
+        line.includes("Code Injection") ||
+        line.includes("Command Injection")
+      ) {
+        severity = "HIGH";
+        title = "Code/Command Injection vulnerability";
+      }
+
+      findings.push({
+        severity: severity,
+        title: title,
+        tool: "arachni",
+        type: "vulnerability",
+        line: line.trim(),
+      });
+    }
+
+    // Статистика сканирования
+    if (
+      line.includes("Total issues") ||
+      line.includes("issues were detected")
+    ) {
+      const issuesMatch = line.match(/(\d+)\s+issues?\s+(?:were\s+)?detected/i);
+      if (issuesMatch) {
+        const issueCount = parseInt(issuesMatch[1]);
+        findings.push({
+          severity: "INFO",
+          title: `Arachni scan completed: ${issueCount} issues detected`,
+          tool: "arachni",
+          type: "scan_summary",
+          issueCount: issueCount,
+          line: line.trim(),
+        });
+      }
+    }
+
+    // Информация о сканировании
+    if (line.includes("system info") || line.includes("platform info")) {
+      findings.push({
+        severity: "INFO",
+        title: "Arachni system/platform information",
+        tool: "arachni",
+        type: "scan_info",
+        line: line.trim(),
+      });
+    }
+
+    // Ошибки
+    if (
+      line.includes("[!]") ||
+      line.includes("ERROR") ||
+      line.includes("error")
+    ) {
+      findings.push({
+        severity: "MEDIUM",
+        title: "Arachni scan error or warning",
+        tool: "arachni",
+        type: "scan_error",
+        line: line.trim(),
+      });
+    }
+  }
+
+  return findings;
+}
+
+export default {
+  id: "arachni",
+  label: "Arachni",
+  image: "arachni/arachni",
+  defaultProfile: "default",
+  profiles: {
+    default: {
+      label: "All checks",
+      description: "Arachni defaults",
+      args: [],
+    },
+    quick: {
+      label: "Injection checks",
+      description: "XSS and SQL injection checks, at most 50 pages",
+      args: ["--checks=xss*,sql_injection*", "--scope-page-limit=50"],
+    },
+  },
+  exitCodes: { success: [0] },
+  versionCommand: { args: ["/usr/local/arachni/bin/arachni", "--version"] },
+  authTypes: ["form", "bearer", "cookie"],
+  requestOptions: ["headers", "cookies", "userAgent", "proxy"],
+  scopeOptions: ["include", "exclude", "maxDepth"],
+  buildCommand({ targetUrl, profileArgs, auth, request, scope }) {
+    return {
+      args: [
+        "/usr/local/arachni/bin/arachni",
+        "--output-verbose",
+        "--report-save-path=/dev/null",
+        ...profileArgs,
+        ...(auth && auth.type === "form" ? buildAuthArgs(targetUrl, auth) : []),
+        ...buildRequestArgs(request, auth),
+        ...(scope ? buildScopeArgs(scope) : []),
+        targetUrl,
+      ],
+    };
+  },
+  parseFindings,
+};
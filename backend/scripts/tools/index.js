@@ -0,0 +1,168 @@
+/**
+ * VKR Security Stand - Tool Registry
+ * Loads scanner plugins: every module in this directory declares one tool
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const TOOLS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Поля, которые обязан объявить плагин инструмента:
+ * - image - Docker образ сканера
+ * - profiles/defaultProfile - профили сканирования, args передаются в buildCommand
+ * - exitCodes.success - коды выхода, при которых прогон считается успешным
+ *   (профиль может переопределить их своим exitCodes)
+ * - buildCommand({ targetUrl, profile, profileArgs, auth, request, scope, runId, runTimeoutMinutes }) -
+ *   { args, entrypoint?, env?, files? } для контейнера; auth - контекст аутентификации
+ *   batch или null, request/scope - параметры запросов и правила scope batch или null,
+ *   files - { имя: содержимое } файлы, записываемые в директорию batch
+ * - parseFindings(rawOutput) - findings из stdout
+ * Необязательно: parseReports(batchDir, runId) - findings из файлов отчетов,
+ * versionCommand - { args, entrypoint? } команда, печатающая версию сканера,
+ * parseVersion(output) - версия из ее вывода (по умолчанию первое число вида X.Y.Z),
+ * authTypes - поддерживаемые типы контекстов аутентификации (form, bearer, cookie),
+ * requestOptions - поддерживаемые параметры запросов (headers, cookies, userAgent, proxy),
+ * scopeOptions - правила scope, которые инструмент применяет сам (include, exclude, maxDepth),
+ * workDir - директория контейнера, куда монтируется директория batch
+ */
+const REQUIRED_FIELDS = [
+  "id",
+  "label",
+  "image",
+  "defaultProfile",
+  "profiles",
+  "exitCodes",
+  "buildCommand",
+  "parseFindings",
+];
+
+/**
+ * Загрузить и проверить все плагины из директории
+ */
+async function loadTools() {
+  const tools = new Map();
+  const files = fs
+    .readdirSync(TOOLS_DIR)
+    .filter((file) => file.endsWith(".js") && file !== "index.js")
+    .sort();
+
+  for (const file of files) {
+    const { default: tool } = await import(
+      pathToFileURL(path.join(TOOLS_DIR, file)).href
+    );
+
+    const missing = REQUIRED_FIELDS.filter((field) => !tool || !tool[field]);
+    if (missing.length > 0) {
+      throw new Error(`Tool plugin ${file} is missing: ${missing.join(", ")}`);
+    }
+    if (!tool.profiles[tool.defaultProfile]) {
+      throw new Error(
+        `Tool plugin ${file}: default profile "${tool.defaultProfile}" is not declared`,
+      );
+    }
+    if (tools.has(tool.id)) {
+      throw new Error(`Tool plugin ${file}: duplicate tool id "${tool.id}"`);
+    }
+
+    tools.set(tool.id, tool);
+  }
+
+  return tools;
+}
+
+export const TOOLS = await loadTools();
+
+/**
+ * Плагин инструмента по id или null
+ */
+export function getTool(toolId) {
+  return TOOLS.get(toolId) || null;
+}
+
+/**
+ * Проверить, считается ли код выхода сканера успешным для профиля
+ */
+export function isSuccessfulExit(toolId, exitCode, profileId = null) {
+  const tool = getTool(toolId);
+  if (!tool) {
+    return exitCode === 0;
+  }
+  const profile = tool.profiles[profileId || tool.defaultProfile];
+  const exitCodes = (profile && profile.exitCodes) || tool.exitCodes;
+  return exitCodes.success.includes(exitCode);
+}
+
+/**
+ * Версия инструмента из вывода versionCommand или null
+ */
+export function parseToolVersion(toolId, output) {
+  const tool = getTool(toolId);
+  if (tool && tool.parseVersion) {
+    return tool.parseVersion(output) || null;
+  }
+
+  const match = output.match(/\d+\.\d+(?:\.\d+)*(?:-[\w.]+)?/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Профиль инструмента по id (null - профиль по умолчанию).
+ * Бросает ошибку для неизвестного инструмента или профиля
+ */
+export function resolveProfile(toolId, profileId) {
+  const tool = getTool(toolId);
+  if (!tool) {
+    throw new Error(
+      `Unknown tool "${toolId}". Available: ${[...TOOLS.keys()].join(", ")}`,
+    );
+  }
+
+  const id = profileId || tool.defaultProfile;
+  const profile = tool.profiles[id];
+  if (!profile) {
+    throw new Error(
+      `Unknown profile "${id}" for ${toolId}. Available: ${Object.keys(tool.profiles).join(", ")}`,
+    );
+  }
+
+  return { id, ...profile };
+}
+
+/**
+ * Профили инструмента для API
+ */
+export function listProfiles(toolId) {
+  const tool = getTool(toolId);
+  if (!tool) {
+    return null;
+  }
+
+  return {
+    tool: tool.id,
+    defaultProfile: tool.defaultProfile,
+    profiles: Object.entries(tool.profiles).map(([id, profile]) => ({
+      id,
+      ...profile,
+    })),
+  };
+}
+
+/**
+ * Описание всех инструментов для API
+ */
+export function listTools() {
+  return [...TOOLS.values()].map((tool) => ({
+    id: tool.id,
+    label: tool.label,
+    image: tool.image,
+    defaultProfile: tool.defaultProfile,
+    exitCodes: tool.exitCodes,
+    authTypes: tool.authTypes || [],
+    requestOptions: tool.requestOptions || [],
+    scopeOptions: tool.scopeOptions || [],
+    profiles: listProfiles(tool.id).profiles,
+  }));
+}
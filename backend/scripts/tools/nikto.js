@@ -0,0 +1,179 @@
+/**
+ * VKR Security Stand - Nikto Tool Plugin
+ * Web server scanner, profiles map to -Tuning sets
+ */
+
+import { getRequestHeaders, parseProxy } from "../request_options.js";
+
+/**
+ * Cookie в формате STATIC-COOKIE из nikto.conf: "name=value";"name2=value2"
+ */
+function formatStaticCookie(cookie) {
+  return cookie
+    .split(";")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => `"${pair}"`)
+    .join(";");
+}
+
+/**
+ * Улучшенный парсер для Nikto
+ */
+function parseFindings(rawOutput) {
+  const findings = [];
+  const lines = rawOutput.split("\n");
+
+  for (const line of lines) {
+    // Основные findings с +
+    if (line.startsWith("+")) {
+      const vulnMatch = line.match(/\+\s*(.+?):\s*(.+)/);
+      if (vulnMatch) {
+        const [, identifier, description] = vulnMatch;
+
+        let severity = "LOW";
+        let type = "info";
+
+        // Определение серьезности по содержанию
+        if (
+          description.includes("admin") ||
+          description.includes("password") ||
+          description.includes("config")
+        ) {
+          severity = "HIGH";
+          type = "sensitive_exposure";
+        } else if (
+          description.includes("directory") ||
+          description.includes("file") ||
+          description.includes("backup")
+        ) {
+          severity = "MEDIUM";
+          type = "information_disclosure";
+        } else if (
+          description.includes("version") ||
+          description.includes("server")
+        ) {
+          severity = "LOW";
+          type = "version_disclosure";
+        }
+
+        findings.push({
+          severity: severity,
+          title: description.trim(),
+          tool: "nikto",
+          type: type,
+          identifier: identifier.trim(),
+          line: line.trim(),
+        });
+      }
+    }
+
+    // Статистика сканирования
+    if (line.includes("items checked") || line.includes("requests made")) {
+      const statsMatch = line.match(/(\d+)\s+(items checked|requests made)/);
+      if (statsMatch) {
+        findings.push({
+          severity: "INFO",
+          title: `Nikto scan statistics: ${statsMatch[0]}`,
+          tool: "nikto",
+          type: "scan_stats",
+          line: line.trim(),
+        });
+      }
+    }
+
+    // Ошибки сервера
+    if (
+      line.includes("ERROR") ||
+      line.includes("500") ||
+      line.includes("403")
+    ) {
+      findings.push({
+        severity: "MEDIUM",
+        title: "Server error or access restriction detected",
+        tool: "nikto",
+        type: "server_error",
+        line: line.trim(),
+      });
+    }
+  }
+
+  return findings;
+}
+
+export default {
+  id: "nikto",
+  label: "Nikto",
+  image: "ghcr.io/sullo/nikto:latest",
+  defaultProfile: "full",
+  profiles: {
+    full: {
+      label: "All tests",
+      description: "All tuning categories and plugins",
+      args: ["-C", "all", "-Tuning", "x", "-Plugins", "ALL"],
+    },
+    quick: {
+      label: "Quick",
+      description:
+        "Interesting files, misconfiguration, disclosure and injection checks",
+      args: ["-Tuning", "1234b"],
+    },
+    injection: {
+      label: "Injection",
+      description: "XSS, command execution and SQL injection checks",
+      args: ["-C", "all", "-Tuning", "489"],
+    },
+    files: {
+      label: "Files and disclosure",
+      description: "Default files, information disclosure, file retrieval",
+      args: ["-C", "all", "-Tuning", "2357"],
+    },
+  },
+  // Nikto завершается с кодом 1, если что-то нашел
+  exitCodes: { success: [0, 1] },
+  versionCommand: { args: ["-Version"] },
+  // Аутентификация передается только статическим cookie (STATIC-COOKIE)
+  authTypes: ["cookie"],
+  // Произвольные заголовки Nikto не поддерживает
+  requestOptions: ["cookies", "userAgent", "proxy"],
+  // Nikto проверяет пути из своей базы без обхода, scope - только фильтр findings
+  scopeOptions: [],
+  buildCommand({ targetUrl, profileArgs, auth, request }) {
+    const args = [
+      ...profileArgs,
+      "-h",
+      targetUrl,
+      "-Format",
+      "txt",
+      "-output",
+      "/dev/stdout",
+    ];
+
+    // Cookie контекста и cookies batch объединяются
+    const cookie = getRequestHeaders({ cookies: request?.cookies }, auth).find(
+      ({ name }) => name === "Cookie",
+    );
+    if (cookie) {
+      args.push("-Option", `STATIC-COOKIE=${formatStaticCookie(cookie.value)}`);
+    }
+
+    if (request && request.userAgent) {
+      args.push("-useragent", request.userAgent);
+    }
+    if (request && request.proxy) {
+      const proxy = parseProxy(request.proxy);
+      args.push("-useproxy", proxy.url);
+      if (proxy.username) {
+        args.push(
+          "-Option",
+          `PROXYUSER=${proxy.username}`,
+          "-Option",
+          `PROXYPASS=${proxy.password || ""}`,
+        );
+      }
+    }
+
+    return { args };
+  },
+  parseFindings,
+};
@@ -0,0 +1,265 @@
+/**
+ * VKR Security Stand - w4af Tool Plugin
+ * w4af console driven by a generated script, profiles list audit plugins
+ */
+
+import { getRequestHeaders, parseProxy } from "../request_options.js";
+import { combinePatterns, toFullMatchPattern } from "../scan_scope.js";
+
+const HEADERS_FILE = "/tmp/w4af_headers";
+
+/**
+ * Команды http-settings: статические заголовки (включая bearer/cookie
+ * контекст), User-Agent и прокси
+ */
+function buildHttpSettings(request, auth) {
+  const settings = [];
+
+  // Статические заголовки w4af читает из файла
+  const headers = getRequestHeaders(request, auth)
+    .map((header) => `${header.name}: ${header.value}`)
+    .join("\n");
+  if (headers) {
+    settings.push(`set headers_file ${HEADERS_FILE}`);
+  }
+  if (request && request.userAgent) {
+    settings.push(`set user_agent ${request.userAgent}`);
+  }
+  if (request && request.proxy) {
+    const proxy = parseProxy(request.proxy);
+    if (proxy.username) {
+      throw new Error("w4af does not support proxy authentication");
+    }
+    settings.push(
+      `set proxy_address ${proxy.host}`,
+      `set proxy_port ${proxy.port}`,
+    );
+  }
+
+  return {
+    settings: settings.length > 0 ? ["http-settings", ...settings, "back"] : [],
+    headers: headers || null,
+  };
+}
+
+/**
+ * Настройки web_spider: follow_regex/ignore_regex принимают одно выражение
+ * и сопоставляются с началом URL
+ */
+function buildSpiderConfig(scope) {
+  const settings = [];
+  const combine = (patterns) =>
+    combinePatterns(patterns.map((pattern) => toFullMatchPattern(pattern)));
+  if (scope && scope.include.length > 0) {
+    settings.push(`set follow_regex ${combine(scope.include)}`);
+  }
+  if (scope && scope.exclude.length > 0) {
+    settings.push(`set ignore_regex ${combine(scope.exclude)}`);
+  }
+  return settings.length > 0
+    ? ["crawl config web_spider", ...settings, "back"]
+    : [];
+}
+
+/**
+ * Команды w4af_console для входа через форму
+ */
+function buildAuthPlugins(targetUrl, auth) {
+  // generic auth проверяет вход по строке check_string на check_url
+  if (!auth.loggedInIndicator) {
+    throw new Error("w4af form login requires loggedInIndicator");
+  }
+  return [
+    "auth generic",
+    "auth config generic",
+    `set username ${auth.username}`,
+    `set password ${auth.password}`,
+    `set username_field ${auth.usernameField}`,
+    `set password_field ${auth.passwordField}`,
+    `set auth_url ${auth.loginUrl}`,
+    `set check_url ${targetUrl}`,
+    `set check_string ${auth.loggedInIndicator}`,
+    "back",
+  ];
+}
+
+/**
+ * Парсер для w4af
+ */
+function parseFindings(rawOutput) {
+  const findings = [];
+  const lines = rawOutput.split("\n");
+
+  for (const line of lines) {
+    // Основные уязвимости w4af
+    if (
+      line.includes("Vulnerability") ||
+      (line.includes("found") && line.includes("vulnerability"))
+    ) {
+      let severity = "MEDIUM";
+      let title = "w4af vulnerability detected";
+
+      // Определение типа уязвимости
+      if (line.includes("SQL") || line.includes("sql")) {
+        severity = "HIGH";
+        title = "SQL Injection vulnerability";
+      } else if (line.includes("XSS") || line.includes("xss")) {
+        severity = "HIGH";
+        title = "Cross-Site Scripting vulnerability";
+      } else if (line.includes("CSRF") || line.includes("csrf")) {
+        severity = "MEDIUM";
+        title = "CSRF vulnerability";
+      } else if (
+        line.includes("file inclusion") ||
+        line.includes("LFI") ||
+        line.includes("RFI")
+      ) {
+        severity = "HIGH";
+        title = "File Inclusion vulnerability";
+      } else if (line.includes("command execution") || line.includes("RCE")) {
+        severity = "HIGH";
+        title = "Remote Code Execution vulnerability";
+      } else if (
+        line.includes("directory listing") ||
+        line.includes("information disclosure")
+      ) {
+        severity = "LOW";
+        title = "Information Disclosure";
+      }
+
+      findings.push({
+        severity: severity,
+        title: title,
+        tool: "w4af",
+        type: "vulnerability",
+        line: line.trim(),
+      });
+    }
+
+    // Статистика сканирования
+    if (line.includes("Scan finished") || line.includes("scan completed")) {
+      findings.push({
+        severity: "INFO",
+        title: "w4af scan completed",
+        tool: "w4af",
+        type: "scan_summary",
+        line: line.trim(),
+      });
+    }
+
+    // Количество найденных уязвимостей
+    const vulnCountMatch = line.match(
+      /Found\s+(\d+)\s+(?:vulnerabilities?|issues?)/i,
+    );
+    if (vulnCountMatch) {
+      const vulnCount = parseInt(vulnCountMatch[1]);
+      findings.push({
+        severity: "INFO",
+        title: `w4af found ${vulnCount} vulnerabilities`,
+        tool: "w4af",
+        type: "scan_stats",
+        vulnCount: vulnCount,
+        line: line.trim(),
+      });
+    }
+
+    // Информация о сканировании
+    if (
+      line.includes("Starting") ||
+      line.includes("scanning") ||
+      line.includes("audit")
+    ) {
+      findings.push({
+        severity: "INFO",
+        title: "w4af scan progress information",
+        tool: "w4af",
+        type: "scan_progress",
+        line: line.trim(),
+      });
+    }
+
+    // Ошибки и предупреждения
+    if (
+      line.includes("ERROR") ||
+      line.includes("Error") ||
+      line.includes("WARNING") ||
+      line.includes("Warning")
+    ) {
+      let severity = "LOW";
+      if (line.includes("ERROR") || line.includes("Error")) severity = "MEDIUM";
+
+      findings.push({
+        severity: severity,
+        title: "w4af scan error or warning",
+        tool: "w4af",
+        type: "scan_issue",
+        line: line.trim(),
+      });
+    }
+  }
+
+  return findings;
+}
+
+export default {
+  id: "w4af",
+  label: "w4af",
+  image: "w4af/w4af:latest",
+  defaultProfile: "default",
+  // Для w4af args - список audit плагинов в сценарии w4af_console
+  profiles: {
+    default: {
+      label: "SQLi and XSS",
+      description: "web_spider crawl, sqli and xss audit",
+      args: ["sqli", "xss"],
+    },
+    full: {
+      label: "Extended audit",
+      description: "Adds command injection, LFI, RFI and CSRF audits",
+      args: ["sqli", "xss", "os_commanding", "lfi", "rfi", "csrf"],
+    },
+  },
+  exitCodes: { success: [0] },
+  versionCommand: {
+    entrypoint: "sh",
+    args: ["-c", "python w4af_console --version"],
+  },
+  authTypes: ["form", "bearer", "cookie"],
+  requestOptions: ["headers", "cookies", "userAgent", "proxy"],
+  scopeOptions: ["include", "exclude"],
+  // Сценарий w4af_console собирается из audit плагинов профиля
+  buildCommand({ targetUrl, profileArgs, auth, request, scope }) {
+    const http = buildHttpSettings(request, auth);
+    const authPlugins =
+      auth && auth.type === "form" ? buildAuthPlugins(targetUrl, auth) : [];
+
+    const script = [
+      ...http.settings,
+      "plugins",
+      "output console",
+      "crawl web_spider",
+      ...buildSpiderConfig(scope),
+      ...profileArgs.map((plugin) => `audit ${plugin}`),
+      ...authPlugins,
+      "back",
+      "target",
+      `set target ${targetUrl}`,
+      "back",
+      "start",
+      "exit",
+    ].join("\n");
+
+    const headers = http.headers
+      ? `cat > ${HEADERS_FILE} << 'EOF'\n${http.headers}\nEOF\n`
+      : "";
+
+    return {
+      entrypoint: "sh",
+      args: [
+        "-c",
+        `${headers}cat > /tmp/w4af_script << 'EOF'\n${script}\nEOF\necho 'y' | python w4af_console -s /tmp/w4af_script`,
+      ],
+    };
+  },
+  parseFindings,
+};
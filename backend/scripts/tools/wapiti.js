@@ -0,0 +1,207 @@
+/**
+ * VKR Security Stand - Wapiti Tool Plugin
+ * Black-box scanner, profiles map to module sets and attack levels
+ */
+
+import { getLoginFormData } from "../auth_contexts.js";
+import { getRequestHeaders } from "../request_options.js";
+import { regexToWildcard } from "../scan_scope.js";
+
+/**
+ * Улучшенный парсер для Wapiti
+ */
+function parseFindings(rawOutput) {
+  const findings = [];
+  const lines = rawOutput.split("\n");
+
+  for (const line of lines) {
+    // Основные уязвимости
+    if (line.includes("XSS") || line.includes("Cross Site Scripting")) {
+      findings.push({
+        severity: "HIGH",
+        title: "Cross-Site Scripting vulnerability",
+        tool: "wapiti",
+        type: "xss",
+        line: line.trim(),
+      });
+    }
+
+    if (line.includes("SQL") || line.includes("sql injection")) {
+      findings.push({
+        severity: "HIGH",
+        title: "SQL Injection vulnerability",
+        tool: "wapiti",
+        type: "sql_injection",
+        line: line.trim(),
+      });
+    }
+
+    if (line.includes("SSRF") || line.includes("Server Side Request Forgery")) {
+      findings.push({
+        severity: "HIGH",
+        title: "Server-Side Request Forgery vulnerability",
+        tool: "wapiti",
+        type: "ssrf",
+        line: line.trim(),
+      });
+    }
+
+    if (line.includes("upload") && line.includes("vulnerability")) {
+      findings.push({
+        severity: "HIGH",
+        title: "File Upload vulnerability",
+        tool: "wapiti",
+        type: "file_upload",
+        line: line.trim(),
+      });
+    }
+
+    if (line.includes("redirect") || line.includes("open redirect")) {
+      findings.push({
+        severity: "MEDIUM",
+        title: "Open Redirect vulnerability",
+        tool: "wapiti",
+        type: "open_redirect",
+        line: line.trim(),
+      });
+    }
+
+    // Статистика и информация о сканировании
+    if (line.includes("pages found") || line.includes("forms found")) {
+      const statsMatch = line.match(/(\d+)\s+(pages|forms)\s+found/);
+      if (statsMatch) {
+        findings.push({
+          severity: "INFO",
+          title: `Wapiti discovery: ${statsMatch[0]}`,
+          tool: "wapiti",
+          type: "scan_stats",
+          line: line.trim(),
+        });
+      }
+    }
+
+    // Ошибки и предупреждения
+    if (
+      line.includes("[!]") ||
+      line.includes("WARNING") ||
+      line.includes("ERROR")
+    ) {
+      let severity = "LOW";
+      if (line.includes("ERROR")) severity = "MEDIUM";
+      if (line.includes("CRITICAL")) severity = "HIGH";
+
+      findings.push({
+        severity: severity,
+        title: "Wapiti scan warning or error",
+        tool: "wapiti",
+        type: "scan_issue",
+        line: line.trim(),
+      });
+    }
+  }
+
+  return findings;
+}
+
+export default {
+  id: "wapiti",
+  label: "Wapiti",
+  image: "cyberwatch/wapiti",
+  defaultProfile: "default",
+  profiles: {
+    default: {
+      label: "Common modules, level 2",
+      description: "SQLi, XSS, SSRF, upload and redirect, folder scope",
+      args: [
+        "-m",
+        "sql,xss,ssrf,upload,redirect",
+        "--level",
+        "2",
+        "--scope",
+        "folder",
+        "--flush-attacks",
+      ],
+    },
+    quick: {
+      label: "Quick, level 1",
+      description: "SQLi and XSS only",
+      args: [
+        "-m",
+        "sql,xss",
+        "--level",
+        "1",
+        "--scope",
+        "folder",
+        "--flush-attacks",
+      ],
+    },
+    full: {
+      label: "All modules, level 2",
+      description: "Every attack module, domain scope",
+      args: [
+        "-m",
+        "all",
+        "--level",
+        "2",
+        "--scope",
+        "domain",
+        "--flush-attacks",
+      ],
+    },
+  },
+  exitCodes: { success: [0] },
+  versionCommand: { args: ["--version"] },
+  authTypes: ["form", "bearer", "cookie"],
+  requestOptions: ["headers", "cookies", "userAgent", "proxy"],
+  // exclude - только выражения, сводимые к шаблону с "*"
+  scopeOptions: ["exclude", "maxDepth"],
+  buildCommand({ targetUrl, profileArgs, auth, request, scope }) {
+    const args = [
+      ...profileArgs,
+      "--url",
+      targetUrl,
+      "--format",
+      "txt",
+      "--output",
+      "/dev/stdout",
+      "--flush-session",
+      "--no-bugreport",
+    ];
+
+    if (auth && auth.type === "form") {
+      args.push(
+        "--form-url",
+        auth.loginUrl,
+        "--form-data",
+        getLoginFormData(auth),
+      );
+    }
+
+    for (const header of getRequestHeaders(request, auth)) {
+      args.push("--header", `${header.name}: ${header.value}`);
+    }
+    if (request && request.userAgent) {
+      args.push("--user-agent", request.userAgent);
+    }
+    if (request && request.proxy) {
+      // Учетные данные прокси передаются в URL
+      args.push("--proxy", request.proxy);
+    }
+
+    if (scope) {
+      // Остальные исключения применяются только фильтром findings
+      for (const pattern of scope.exclude) {
+        const wildcard = regexToWildcard(pattern);
+        if (wildcard) {
+          args.push("--exclude", wildcard);
+        }
+      }
+      if (scope.maxDepth) {
+        args.push("--depth", String(scope.maxDepth));
+      }
+    }
+
+    return { args };
+  },
+  parseFindings,
+};
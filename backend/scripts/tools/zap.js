@@ -0,0 +1,618 @@
+/**
+ * VKR Security Stand - OWASP ZAP Tool Plugin
+ * Packaged ZAP scans (baseline, full, API) in the zap-stable image
+ */
+
+import fs from "fs";
+import { getAuthHeader } from "../auth_contexts.js";
+import path from "path";
+import { getRequestHeaders, parseProxy } from "../request_options.js";
+import { toFullMatchPattern } from "../scan_scope.js";
+
+// Директория batch монтируется в рабочую директорию образа
+const WORK_DIR = "/zap/wrk";
+
+// Правила active scan для XSS профиля (остальные правила выключены)
+const XSS_RULES = [
+  { id: 40012, name: "Cross Site Scripting (Reflected)" },
+  { id: 40014, name: "Cross Site Scripting (Persistent)" },
+  { id: 40016, name: "Cross Site Scripting (Persistent) - Prime" },
+  { id: 40017, name: "Cross Site Scripting (Persistent) - Spider" },
+  { id: 40026, name: "Cross Site Scripting (DOM Based)" },
+];
+
+// Файл опций внутри контейнера: содержит заголовки, cookies и пароль прокси,
+// поэтому создается из env при старте и не попадает в директорию batch
+const OPTIONS_FILE = "/tmp/vkr_zap_options.properties";
+
+// zap.sh -autorun: 1 - план завершился с ошибками, 2 - только предупреждения
+const AUTOMATION_EXIT_CODES = { success: [0, 2] };
+
+// Минуты на генерацию отчетов после active scan
+const REPORT_RESERVE_MINUTES = 1;
+
+/**
+ * Определить серьезность уязвимости ZAP из контекста
+ */
+function determineSeverity(line) {
+  if (
+    line.includes("FAIL") ||
+    line.includes("HIGH") ||
+    line.includes("Critical")
+  ) {
+    return "HIGH";
+  } else if (
+    line.includes("WARN") ||
+    line.includes("MEDIUM") ||
+    line.includes("Warning")
+  ) {
+    return "MEDIUM";
+  } else if (
+    line.includes("INFO") ||
+    line.includes("LOW") ||
+    line.includes("Information")
+  ) {
+    return "LOW";
+  }
+  return "MEDIUM"; // default
+}
+
+/**
+ * Преобразовать ZAP risk code в стандартную серьезность
+ */
+function mapRiskToSeverity(riskcode) {
+  switch (String(riskcode)) {
+    case "3":
+      return "HIGH"; // High Risk
+    case "2":
+      return "MEDIUM"; // Medium Risk
+    case "1":
+      return "LOW"; // Low Risk
+    case "0":
+      return "INFO"; // Informational
+    default:
+      return "MEDIUM"; // Default fallback
+  }
+}
+
+/**
+ * Улучшенный парсер для ZAP с поддержкой всех профилей
+ */
+function parseFindings(rawOutput) {
+  const findings = [];
+  const lines = rawOutput.split("\n");
+
+  // Парсинг STDOUT для baseline сканов
+  for (const line of lines) {
+    if (line.includes("WARN-NEW:") || line.includes("FAIL-NEW:")) {
+      const severity = line.includes("WARN-NEW:") ? "MEDIUM" : "HIGH";
+      const titleMatch = line.match(
+        /(?:WARN-NEW|FAIL-NEW):\s*(.+?)(?:\s*\[|\s*$)/,
+      );
+      const title = titleMatch ? titleMatch[1].trim() : "Unknown vulnerability";
+
+      findings.push({
+        severity: severity,
+        title: title,
+        tool: "zap",
+        type: "baseline_finding",
+        line: line.trim(),
+      });
+    }
+
+    // Парсинг для automation framework (deep, api, xss профилей)
+    if (line.includes("FINISHED JOB") || line.includes("alerts found")) {
+      const alertsMatch = line.match(/(\d+)\s+alerts?\s+found/i);
+      if (alertsMatch) {
+        const alertCount = parseInt(alertsMatch[1]);
+        if (alertCount > 0) {
+          findings.push({
+            severity: "INFO",
+            title: `ZAP Automation Framework scan completed: ${alertCount} alerts found`,
+            tool: "zap",
+            type: "scan_summary",
+            alertCount: alertCount,
+            line: line.trim(),
+          });
+        }
+      }
+    }
+
+    // Детекция типов уязвимостей в выводе
+    if (line.includes("Cross Site Scripting") || line.includes("XSS")) {
+      findings.push({
+        severity: determineSeverity(line),
+        title: "Cross-Site Scripting (XSS) vulnerability detected",
+        tool: "zap",
+        type: "xss_finding",
+        line: line.trim(),
+      });
+    }
+
+    if (line.includes("SQL Injection") || line.includes("SQLi")) {
+      findings.push({
+        severity: determineSeverity(line),
+        title: "SQL Injection vulnerability detected",
+        tool: "zap",
+        type: "sql_injection",
+        line: line.trim(),
+      });
+    }
+
+    if (
+      line.includes("Path Traversal") ||
+      line.includes("Directory Browsing")
+    ) {
+      findings.push({
+        severity: determineSeverity(line),
+        title: "Path Traversal vulnerability detected",
+        tool: "zap",
+        type: "path_traversal",
+        line: line.trim(),
+      });
+    }
+
+    if (line.includes("CSRF") || line.includes("Cross-Site Request Forgery")) {
+      findings.push({
+        severity: determineSeverity(line),
+        title: "CSRF vulnerability detected",
+        tool: "zap",
+        type: "csrf",
+        line: line.trim(),
+      });
+    }
+
+    // API-специфичные уязвимости
+    if (line.includes("/rest/") || line.includes("/api/")) {
+      if (
+        line.includes("500") ||
+        line.includes("error") ||
+        line.includes("exception")
+      ) {
+        findings.push({
+          severity: "MEDIUM",
+          title: "API endpoint error/exception detected",
+          tool: "zap",
+          type: "api_error",
+          line: line.trim(),
+        });
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Сериализовать план в YAML (строки - в двойных кавычках, как в JSON)
+ */
+function toYaml(value, indent = "") {
+  const scalar = (item) =>
+    typeof item === "string" ? JSON.stringify(item) : String(item);
+  const isScalar = (item) => item === null || typeof item !== "object";
+
+  if (Array.isArray(value)) {
+    return value
+      .map((item) =>
+        isScalar(item)
+          ? `${indent}- ${scalar(item)}`
+          : `${indent}- ${toYaml(item, `${indent}  `).trimStart()}`,
+      )
+      .join("\n");
+  }
+
+  return Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .map(([key, item]) => {
+      if (isScalar(item)) {
+        return `${indent}${key}: ${scalar(item)}`;
+      }
+      if (Array.isArray(item) && item.length === 0) {
+        return `${indent}${key}: []`;
+      }
+      return `${indent}${key}:\n${toYaml(item, `${indent}  `)}`;
+    })
+    .join("\n");
+}
+
+/**
+ * План Automation Framework: spider, ajax spider, ожидание passive scan,
+ * active scan с политикой профиля и JSON/HTML отчеты в рабочей директории.
+ * Правила scope batch становятся include/exclude путями контекста
+ */
+function buildAutomationPlan({
+  targetUrl,
+  runId,
+  automation,
+  runTimeoutMinutes,
+  scope,
+}) {
+  const context = "vkr";
+  const maxDepth = scope && scope.maxDepth ? scope.maxDepth : undefined;
+  const jobs = [
+    {
+      type: "spider",
+      parameters: {
+        context: context,
+        maxDuration: automation.spiderMinutes,
+        maxDepth: maxDepth,
+      },
+    },
+  ];
+
+  if (automation.ajaxSpiderMinutes) {
+    jobs.push({
+      type: "spiderAjax",
+      parameters: {
+        context: context,
+        maxDuration: automation.ajaxSpiderMinutes,
+        maxCrawlDepth: maxDepth,
+        browserId: "firefox-headless",
+      },
+    });
+  }
+
+  jobs.push({
+    type: "passiveScan-wait",
+    parameters: { maxDuration: automation.passiveWaitMinutes },
+  });
+
+  if (automation.activeScan) {
+    // Active scan получает время, оставшееся от таймаута прогона
+    let maxScanDurationInMins = 0;
+    if (runTimeoutMinutes) {
+      const reserved =
+        automation.spiderMinutes +
+        (automation.ajaxSpiderMinutes || 0) +
+        automation.passiveWaitMinutes +
+        REPORT_RESERVE_MINUTES;
+      maxScanDurationInMins = Math.max(
+        Math.floor(runTimeoutMinutes - reserved),
+        1,
+      );
+    }
+
+    jobs.push({
+      type: "activeScan",
+      parameters: {
+        context: context,
+        maxScanDurationInMins: maxScanDurationInMins,
+      },
+      policyDefinition: automation.activeScan,
+    });
+  }
+
+  for (const template of ["traditional-json", "traditional-html"]) {
+    jobs.push({
+      type: "report",
+      parameters: {
+        template: template,
+        reportDir: WORK_DIR,
+        reportFile: `${runId}_zap_report.${template.split("-")[1]}`,
+      },
+    });
+  }
+
+  const plan = {
+    env: {
+      contexts: [
+        {
+          name: context,
+          urls: [targetUrl],
+          // По умолчанию только хост цели; ZAP сопоставляет выражения с URL целиком
+          includePaths:
+            scope && scope.include.length > 0
+              ? scope.include.map(toFullMatchPattern)
+              : [
+                  `${new URL(targetUrl).origin.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}.*`,
+                ],
+          excludePaths:
+            scope && scope.exclude.length > 0
+              ? scope.exclude.map(toFullMatchPattern)
+              : undefined,
+        },
+      ],
+      parameters: {
+        failOnError: true,
+        failOnWarning: false,
+        progressToStdout: true,
+      },
+    },
+    jobs: jobs,
+  };
+
+  return `# ZAP Automation Framework plan for run ${runId}\n${toYaml(plan)}\n`;
+}
+
+/**
+ * Файл -configfile: заголовки через replacer, User-Agent и upstream прокси
+ * через network add-on, исключения scope через global exclude URL
+ */
+function buildOptionsConfig({ headers, userAgent, proxy, exclude, maxDepth }) {
+  // Экранирование значений для формата .properties
+  const escape = (value) => String(value).replace(/\\/g, "\\\\");
+  const lines = [];
+
+  headers.forEach((header, index) => {
+    const rule = `replacer.full_list(${index})`;
+    lines.push(
+      `${rule}.description=vkr-header-${index}`,
+      `${rule}.enabled=true`,
+      `${rule}.matchtype=REQ_HEADER`,
+      `${rule}.matchstr=${escape(header.name)}`,
+      `${rule}.regex=false`,
+      `${rule}.replacement=${escape(header.value)}`,
+    );
+  });
+
+  if (userAgent) {
+    lines.push(`network.connection.defaultUserAgent=${escape(userAgent)}`);
+  }
+
+  exclude.forEach((pattern, index) => {
+    const url = `globalexcludeurl.url_list.url(${index})`;
+    lines.push(
+      `${url}.regex=${escape(toFullMatchPattern(pattern))}`,
+      `${url}.description=vkr-scope-${index}`,
+      `${url}.enabled=true`,
+    );
+  });
+  if (maxDepth) {
+    lines.push(
+      `spider.maxDepth=${maxDepth}`,
+      `ajaxSpider.maxCrawlDepth=${maxDepth}`,
+    );
+  }
+
+  if (proxy) {
+    const { host, port, username, password } = parseProxy(proxy);
+    const prefix = "network.connection.httpProxy";
+    lines.push(
+      `${prefix}.enabled=true`,
+      `${prefix}.host=${host}`,
+      `${prefix}.port=${port}`,
+    );
+    if (username) {
+      lines.push(
+        `${prefix}.authEnabled=true`,
+        `${prefix}.username=${escape(username)}`,
+        `${prefix}.password=${escape(password || "")}`,
+      );
+    }
+  }
+
+  return lines.length > 0 ? `${lines.join("\n")}\n` : null;
+}
+
+/**
+ * Парсить ZAP JSON отчет
+ */
+function parseJsonReport(jsonPath) {
+  const findings = [];
+
+  try {
+    const jsonContent = fs.readFileSync(jsonPath, "utf8");
+    const report = JSON.parse(jsonContent);
+
+    // ZAP JSON отчет имеет структуру: site -> alerts
+    if (report.site && Array.isArray(report.site)) {
+      for (const site of report.site) {
+        if (site.alerts && Array.isArray(site.alerts)) {
+          for (const alert of site.alerts) {
+            const severity = mapRiskToSeverity(alert.riskcode);
+            const confidence = alert.confidence || "Unknown";
+
+            findings.push({
+              severity: severity,
+              title: alert.name || "Unknown ZAP Alert",
+              tool: "zap",
+              type: "json_alert",
+              description: alert.desc || "",
+              solution: alert.solution || "",
+              reference: alert.reference || "",
+              confidence: confidence,
+              riskcode: alert.riskcode,
+              count: alert.count || 1,
+              instances: alert.instances ? alert.instances.length : 0,
+              // Запросы alert для проверки scope и сопоставления с ground truth
+              locations: (alert.instances || []).map((instance) => ({
+                url: instance.uri,
+                method: instance.method || null,
+                param: instance.param || null,
+              })),
+              cweid: alert.cweid || null,
+              wascid: alert.wascid || null,
+              line: `ZAP JSON Alert: ${alert.name} (Risk: ${alert.riskcode}, Confidence: ${confidence})`,
+            });
+          }
+        }
+      }
+    }
+
+    console.log(
+      `Parsed ${findings.length} alerts from ZAP JSON report: ${jsonPath}`,
+    );
+  } catch (error) {
+    console.error(`Failed to parse ZAP JSON report ${jsonPath}:`, error);
+    findings.push({
+      severity: "INFO",
+      title: `Failed to parse ZAP JSON report: ${path.basename(jsonPath)}`,
+      tool: "zap",
+      type: "json_parse_error",
+      line: `JSON parsing failed: ${error.message}`,
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Найти и распарсить JSON отчеты ZAP прогона в директории batch
+ */
+function parseReports(batchDir, runId) {
+  const findings = [];
+  const jsonFiles = fs
+    .readdirSync(batchDir)
+    .filter(
+      (file) =>
+        file.startsWith(`${runId}_`) &&
+        !file.startsWith(`${runId}_attempt_`) &&
+        file.endsWith(".json"),
+    );
+
+  for (const jsonFile of jsonFiles) {
+    const jsonPath = path.join(batchDir, jsonFile);
+    console.log(`Parsing ZAP JSON report: ${jsonPath}`);
+    findings.push(...parseJsonReport(jsonPath));
+  }
+
+  return findings;
+}
+
+export default {
+  id: "zap",
+  label: "OWASP ZAP",
+  image: "zaproxy/zap-stable",
+  defaultProfile: "baseline",
+  profiles: {
+    baseline: {
+      label: "Baseline",
+      description: "Passive scan after a short spider, no attacks",
+      args: ["zap-baseline.py"],
+    },
+    full: {
+      label: "Full scan",
+      description: "Spider plus active scan with all attack rules",
+      args: ["zap-full-scan.py"],
+    },
+    api: {
+      label: "API scan",
+      description:
+        "Active scan of an OpenAPI definition (target URL must point to the definition)",
+      args: ["zap-api-scan.py", "-f", "openapi"],
+    },
+    "ajax-spider": {
+      label: "Baseline + AJAX spider",
+      description: "Baseline scan that also crawls with the AJAX spider",
+      args: ["zap-baseline.py", "-j"],
+    },
+    // Профили Automation Framework: план генерируется backend для каждого прогона
+    deep: {
+      label: "Deep (Automation Framework)",
+      description:
+        "Spider, AJAX spider, passive scan and active scan with the default policy",
+      args: ["zap.sh", "-cmd", "-autorun"],
+      exitCodes: AUTOMATION_EXIT_CODES,
+      automation: {
+        spiderMinutes: 5,
+        ajaxSpiderMinutes: 5,
+        passiveWaitMinutes: 5,
+        activeScan: { defaultStrength: "medium", defaultThreshold: "medium" },
+      },
+    },
+    xss: {
+      label: "XSS (Automation Framework)",
+      description: "Spider, AJAX spider and active scan with XSS rules only",
+      args: ["zap.sh", "-cmd", "-autorun"],
+      exitCodes: AUTOMATION_EXIT_CODES,
+      automation: {
+        spiderMinutes: 3,
+        ajaxSpiderMinutes: 3,
+        passiveWaitMinutes: 2,
+        activeScan: {
+          defaultStrength: "medium",
+          defaultThreshold: "off",
+          rules: XSS_RULES.map((rule) => ({
+            ...rule,
+            strength: "high",
+            threshold: "low",
+          })),
+        },
+      },
+    },
+  },
+  // Packaged сканы: 1 - найдены FAIL, 2 - найдены WARN, 3 и выше - ошибка сканера
+  exitCodes: { success: [0, 1, 2] },
+  versionCommand: { args: ["zap.sh", "-cmd", "-version"] },
+  // Packaged сканы умеют только добавлять заголовок к запросам (ZAP_AUTH_HEADER*)
+  authTypes: ["bearer", "cookie"],
+  requestOptions: ["headers", "cookies", "userAgent", "proxy"],
+  // include дополнительно задается контексту в планах Automation Framework
+  scopeOptions: ["exclude", "maxDepth"],
+  workDir: WORK_DIR,
+  // Первый аргумент профиля - скрипт packaged скана или zap.sh для плана
+  buildCommand({
+    targetUrl,
+    profile,
+    profileArgs,
+    auth,
+    request,
+    scope,
+    runId,
+    runTimeoutMinutes,
+  }) {
+    const automation = this.profiles[profile]?.automation;
+    let command;
+    if (automation) {
+      const planFile = `${runId}_zap_plan.yaml`;
+      command = {
+        args: [...profileArgs, `${WORK_DIR}/${planFile}`],
+        files: {
+          [planFile]: buildAutomationPlan({
+            targetUrl,
+            runId,
+            automation,
+            runTimeoutMinutes,
+            scope,
+          }),
+        },
+      };
+    } else {
+      command = { args: [...profileArgs, "-t", targetUrl] };
+    }
+
+    // Заголовок контекста (Cookie - вместе с cookies batch) передается через env,
+    // чтобы учетные данные не попадали в файлы прогона
+    const headers = getRequestHeaders(request, auth);
+    const authHeader = auth ? getAuthHeader(auth) : null;
+    if (authHeader) {
+      const header = headers.find(({ name }) => name === authHeader.name);
+      command.env = {
+        ZAP_AUTH_HEADER: header.name,
+        ZAP_AUTH_HEADER_VALUE: header.value,
+        ZAP_AUTH_HEADER_SITE: new URL(targetUrl).hostname,
+      };
+    }
+
+    // Scope плана задан в контексте, packaged сканы получают его через опции
+    const optionsConfig = buildOptionsConfig({
+      headers: headers.filter(
+        ({ name }) => !authHeader || name !== authHeader.name,
+      ),
+      userAgent: request && request.userAgent,
+      proxy: request && request.proxy,
+      exclude: !automation && scope ? scope.exclude : [],
+      maxDepth: !automation && scope ? scope.maxDepth : null,
+    });
+    if (optionsConfig) {
+      // Остальные заголовки, cookies, User-Agent и прокси тоже идут через env:
+      // shell контейнера записывает их в файл вне смонтированной директории
+      command.env = { ...command.env, ZAP_OPTIONS_CONFIG: optionsConfig };
+      command.entrypoint = "sh";
+      command.args = [
+        "-c",
+        `printf '%s' "$ZAP_OPTIONS_CONFIG" > ${OPTIONS_FILE} && exec "$@"`,
+        "sh",
+        ...command.args,
+        // Packaged сканы передают опции ZAP через -z
+        ...(automation
+          ? ["-configfile", OPTIONS_FILE]
+          : ["-z", `-configfile ${OPTIONS_FILE}`]),
+      ];
+    }
+
+    return command;
+  },
+  parseFindings,
+  parseReports,
+};
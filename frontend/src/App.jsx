@@ -22,6 +22,8 @@ import {
   Divider,
   Empty,
   Descriptions,
+  Switch,
+  Popconfirm,
 } from "antd";
 import axiosBase from "axios";
 
@@ -45,12 +47,13 @@ const WSS_URL = import.meta.env.VITE_WSS_URL;
 
 const routes = {
   scanner: "/",
+  schedules: "/schedules",
   recommendations: "/recommendations",
 };
 
 const getCurrentRoute = () =>
-  window.location.pathname === routes.recommendations
-    ? routes.recommendations
+  Object.values(routes).includes(window.location.pathname)
+    ? window.location.pathname
     : routes.scanner;
 
 const navigateTo = (path) => {
@@ -736,6 +739,126 @@ const RecommendationsPage = () => {
   );
 };
 
+// Список инструментов берется из реестра плагинов backend
+const useToolOptions = () => {
+  const [toolOptions, setToolOptions] = useState([]);
+
+  useEffect(() => {
+    axios
+      .get("/api/tools")
+      .then((res) =>
+        setToolOptions(
+          res.data.tools.map((tool) => ({ value: tool.id, label: tool.label })),
+        ),
+      )
+      .catch((error) =>
+        message.error("Failed to load tools: " + error.message),
+      );
+  }, []);
+
+  return toolOptions;
+};
+
+const useAuthContextOptions = () => {
+  const [authContextOptions, setAuthContextOptions] = useState([]);
+
+  useEffect(() => {
+    axios
+      .get("/api/auth-contexts")
+      .then((res) =>
+        setAuthContextOptions(
+          res.data.contexts.map((context) => ({
+            value: context.id,
+            label: `${context.name} (${context.type})`,
+          })),
+        ),
+      )
+      .catch((error) =>
+        message.error("Failed to load auth contexts: " + error.message),
+      );
+  }, []);
+
+  return authContextOptions;
+};
+
+// Наборы известных уязвимостей для оценки precision/recall
+const useGroundTruthOptions = () => {
+  const [groundTruthOptions, setGroundTruthOptions] = useState([]);
+
+  useEffect(() => {
+    axios
+      .get("/api/ground-truth")
+      .then((res) =>
+        setGroundTruthOptions(
+          res.data.datasets.map((dataset) => ({
+            value: dataset.id,
+            label: `${dataset.label} (${dataset.vulnerabilities} уязвимостей)`,
+          })),
+        ),
+      )
+      .catch((error) =>
+        message.error("Failed to load ground truth: " + error.message),
+      );
+  }, []);
+
+  return groundTruthOptions;
+};
+
+// Каталог целей backend: URL в сети сканеров и состояние контейнеров
+const useTargetCatalog = () => {
+  const [targetCatalog, setTargetCatalog] = useState([]);
+
+  const loadTargetCatalog = () =>
+    axios
+      .get("/api/targets")
+      .then((res) => setTargetCatalog(res.data.targets))
+      .catch((error) =>
+        message.error("Failed to load targets: " + error.message),
+      );
+
+  useEffect(() => {
+    loadTargetCatalog();
+  }, []);
+
+  return [targetCatalog, loadTargetCatalog];
+};
+
+const targetStateLabels = {
+  running: "запущена",
+  exited: "остановлена",
+  created: "создана",
+  not_created: "не создана",
+  unknown: "состояние неизвестно",
+};
+
+const schedulingStrategyOptions = [
+  { value: "sequential", label: "Строго последовательно" },
+  { value: "interval", label: "Фиксированный интервал" },
+  { value: "rampup", label: "Параллельно с постепенным разгоном" },
+  { value: "jitter", label: "Интервал со случайным разбросом" },
+];
+
+/**
+ * Сгруппировать прогоны по ячейкам матрицы batch (инструмент × цель × профиль).
+ * Заголовок группы показывается только для матрицы из нескольких ячеек
+ */
+const groupRunsByCell = (runStatuses) => {
+  const groups = new Map();
+  for (const runStatus of runStatuses) {
+    const key = runStatus.cell?.key || "default";
+    if (!groups.has(key)) {
+      groups.set(key, { key, cell: runStatus.cell, runStatuses: [] });
+    }
+    groups.get(key).runStatuses.push(runStatus);
+  }
+
+  const result = [...groups.values()];
+  if (result.length === 1) {
+    result[0].cell = null;
+  }
+  return result;
+};
+
 // Batch component
 const BatchScans = () => {
   const [batchForm] = Form.useForm();
@@ -762,6 +885,19 @@ const BatchScans = () => {
   );
   const [logs, setLogs] = useState([]);
   const [selectedRunIndex, setSelectedRunIndex] = useState(0);
+  const [toolProfiles, setToolProfiles] = useState({});
+  const toolOptions = useToolOptions();
+  const authContextOptions = useAuthContextOptions();
+  const [targetCatalog, loadTargetCatalog] = useTargetCatalog();
+  const groundTruthOptions = useGroundTruthOptions();
+  const selectedTools = Form.useWatch("tools", batchForm) || [];
+  const selectedTargets = Form.useWatch("targets", batchForm) || [];
+  // Выбранные цели каталога, которые нужно запустить перед сканированием
+  const stoppedTargets = targetCatalog.filter(
+    (target) =>
+      selectedTargets.includes(target.targetUrl) &&
+      target.status.state !== "running",
+  );
   const wsRef = useRef(null);
   const logsScrollRef = useRef(null);
 
@@ -772,11 +908,33 @@ const BatchScans = () => {
     }
   }, [logs]);
 
+  // Загрузить профили сканирования для выбранных инструментов
+  useEffect(() => {
+    for (const tool of selectedTools) {
+      if (toolProfiles[tool]) {
+        continue;
+      }
+      axios
+        .get(`/api/tools/${tool}/profiles`)
+        .then((res) =>
+          setToolProfiles((prev) => ({ ...prev, [tool]: res.data })),
+        )
+        .catch((error) =>
+          message.error(`Failed to load ${tool} profiles: ${error.message}`),
+        );
+    }
+  }, [selectedTools.join(",")]);
+
   const batchInitialValues = {
-    targetUrl: "http://juice-shop:3000",
-    tool: "zap",
+    targets: ["http://juice-shop:3000"],
+    tools: ["zap"],
     repetitions: 1,
     intervalSeconds: 2,
+    schedulingStrategy: "interval",
+    jitterSeconds: 2,
+    concurrency: 3,
+    precheck: { enabled: true, perRun: false, onFailure: "fail" },
+    groundTruth: "auto",
   };
 
   const connectWebSocket = (batchId) => {
@@ -805,7 +963,8 @@ const BatchScans = () => {
           }));
           setLogs((prev) => [
             ...prev,
-            `🚀 Batch started with ${data.total || prev.total} runs`,
+            `🚀 Batch started with ${data.total || prev.total} runs` +
+              (data.schedule ? ` (${data.schedule})` : ""),
           ]);
           break;
 
@@ -870,6 +1029,66 @@ const BatchScans = () => {
           ]);
           break;
 
+        case "run_cancelled":
+          setProgress((prev) => ({
+            ...prev,
+            cancelled: (prev?.cancelled || 0) + 1,
+          }));
+          setLogs((prev) => [...prev, `⏹️ Run ${data.runIndex + 1} cancelled`]);
+          break;
+
+        case "target_precheck":
+          if (data.status !== "checking") {
+            setLogs((prev) => [
+              ...prev,
+              `${data.status === "ready" ? "🩺" : "🚫"} Target ${data.targetUrl} ${data.status}` +
+                (data.probe?.error ? `: ${data.probe.error}` : ""),
+            ]);
+          }
+          break;
+
+        case "target_reset":
+          if (data.status !== "started") {
+            setRunStatuses((prev) => {
+              const updated = [...prev];
+              if (updated[data.runIndex]) {
+                updated[data.runIndex] = {
+                  ...updated[data.runIndex],
+                  reset: data.reset,
+                };
+              }
+              return updated;
+            });
+            setLogs((prev) => [
+              ...prev,
+              `${data.status === "completed" ? "♻️" : "❌"} Target reset (${data.strategy}) before run ${data.runIndex + 1} ${data.status} in ${data.durationMs} ms` +
+                (data.error ? `: ${data.error}` : ""),
+            ]);
+          }
+          break;
+
+        case "run_target_unavailable":
+          setProgress((prev) => ({
+            ...prev,
+            targetUnavailable: (prev?.targetUnavailable || 0) + 1,
+          }));
+          setLogs((prev) => [
+            ...prev,
+            `🚫 Run ${data.runIndex + 1} skipped: ${data.error}`,
+          ]);
+          break;
+
+        case "run_timeout":
+          setProgress((prev) => ({
+            ...prev,
+            timedOut: (prev?.timedOut || 0) + 1,
+          }));
+          setLogs((prev) => [
+            ...prev,
+            `⌛ Run ${data.runIndex + 1} timed out: ${data.error}`,
+          ]);
+          break;
+
         case "processing_started":
           setLogs((prev) => [...prev, `🔄 Processing results...`]);
           break;
@@ -885,8 +1104,46 @@ const BatchScans = () => {
           message.success("Batch completed successfully!");
           break;
 
+        case "batch_paused":
+          setProgress((prev) => ({ ...prev, status: "paused" }));
+          setLogs((prev) => [
+            ...prev,
+            `⏸️ Batch paused (${data.running} runs finishing)`,
+          ]);
+          break;
+
+        case "batch_resumed":
+          setProgress((prev) => ({ ...prev, status: "running" }));
+          setLogs((prev) => [...prev, `▶️ Batch resumed`]);
+          break;
+
+        case "batch_cancelled":
+          setProgress((prev) => ({ ...prev, status: "cancelled" }));
+          setLogs((prev) => [...prev, `⏹️ Batch cancelled`]);
+          setBatchLoading(false);
+          message.warning("Batch cancelled");
+          break;
+
+        case "batch_deleted":
+          setLogs((prev) => [...prev, `🗑️ Batch deleted`]);
+          setBatchLoading(false);
+          message.warning("Batch deleted");
+          break;
+
+        case "batch_retry_started":
+          setProgress((prev) => ({ ...prev, status: "running" }));
+          setLogs((prev) => [
+            ...prev,
+            `🔁 Retrying runs ${data.runIndices.map((index) => index + 1).join(", ")}`,
+          ]);
+          break;
+
         case "batch_status":
-          setProgress((prev) => ({ ...prev, ...data }));
+          setProgress((prev) => ({
+            ...prev,
+            ...data.progress,
+            status: data.status,
+          }));
           if (data.runStatuses) {
             setRunStatuses(data.runStatuses);
           }
@@ -904,13 +1161,46 @@ const BatchScans = () => {
     };
   };
 
-  const createBatch = async (values) => {
+  const createBatch = async ({
+    tools,
+    targets,
+    profiles,
+    request,
+    groundTruth,
+    ...values
+  }) => {
     try {
-      const res = await axios.post("/api/batch/create", values);
+      // Несколько инструментов, целей или профилей - матричный batch
+      const res = await axios.post("/api/batch/create", {
+        ...values,
+        matrix: { tools, targets, profiles: profiles || {} },
+        groundTruth: groundTruth === "none" ? false : groundTruth,
+        // Заголовки вводятся по одному в строке
+        request: request && {
+          ...request,
+          headers: (request.headers || "").split("\n").filter(Boolean),
+        },
+      });
       return res.data.batchId;
     } catch (error) {
-      throw new Error("Failed to create batch: " + error.message);
+      throw new Error(
+        "Failed to create batch: " +
+          (error.response?.data?.error || error.message),
+      );
+    }
+  };
+
+  const startTarget = async (target) => {
+    try {
+      await axios.post(`/api/targets/${target.id}/start`);
+      message.success(`${target.label} started`);
+    } catch (error) {
+      message.error(
+        "Failed to start target: " +
+          (error.response?.data?.error || error.message),
+      );
     }
+    loadTargetCatalog();
   };
 
   const startBatch = async (batchId) => {
@@ -921,6 +1211,53 @@ const BatchScans = () => {
     }
   };
 
+  const cancelBatch = async () => {
+    try {
+      await axios.post(`/api/batch/${currentBatch}/cancel`);
+    } catch (error) {
+      message.error("Failed to cancel batch: " + error.message);
+    }
+  };
+
+  const pauseBatch = async () => {
+    try {
+      await axios.post(`/api/batch/${currentBatch}/pause`);
+    } catch (error) {
+      message.error("Failed to pause batch: " + error.message);
+    }
+  };
+
+  const resumeBatch = async () => {
+    try {
+      await axios.post(`/api/batch/${currentBatch}/resume`);
+    } catch (error) {
+      message.error("Failed to resume batch: " + error.message);
+    }
+  };
+
+  const retryRuns = async (runIndices) => {
+    try {
+      const res = await axios.post(`/api/batch/${currentBatch}/retry`, {
+        runIndices,
+      });
+      setBatchLoading(true);
+      message.info(res.data.message);
+    } catch (error) {
+      message.error(
+        "Failed to retry runs: " +
+          (error.response?.data?.error || error.message),
+      );
+    }
+  };
+
+  const cancelRun = async (runIndex) => {
+    try {
+      await axios.post(`/api/batch/${currentBatch}/runs/${runIndex}/cancel`);
+    } catch (error) {
+      message.error("Failed to cancel run: " + error.message);
+    }
+  };
+
   const onBatchFinish = async (values) => {
     setBatchLoading(true);
     setLogs([]);
@@ -945,8 +1282,22 @@ const BatchScans = () => {
 
   // Обработчик изменений формы
   const handleBatchFormChange = (changed, all) => {
-    if (changed.repetitions !== undefined && !currentBatch) {
-      const repetitions = all.repetitions || 5;
+    if (
+      (changed.repetitions !== undefined ||
+        changed.tools !== undefined ||
+        changed.targets !== undefined ||
+        changed.profiles !== undefined) &&
+      !currentBatch
+    ) {
+      // Прогонов = повторения × цели × (профили каждого инструмента)
+      const profileCells = (all.tools || []).reduce(
+        (sum, tool) => sum + Math.max(1, all.profiles?.[tool]?.length || 0),
+        0,
+      );
+      const repetitions =
+        (all.repetitions || 5) *
+        Math.max(1, profileCells) *
+        Math.max(1, all.targets?.length || 0);
       setProgress({
         total: repetitions,
         completed: 0,
@@ -969,6 +1320,10 @@ const BatchScans = () => {
     }
   };
 
+  const isBatchFinished = ["completed", "cancelled", "interrupted"].includes(
+    progress.status,
+  );
+
   const getProgressPercent = () => {
     if (!progress) return 0;
     const total = progress.total || 1;
@@ -993,28 +1348,323 @@ const BatchScans = () => {
           <Row gutter={[16, 16]}>
             <Col xs={24} md={12}>
               <Form.Item
-                label="Целевой URL"
-                name="targetUrl"
+                label="Целевые URL"
+                name="targets"
                 rules={[{ required: true, message: "Введите URL цели" }]}
+                tooltip="Цель из каталога или произвольный URL; цели каталога адресуются в сети сканеров"
+                extra={
+                  stoppedTargets.length > 0 && (
+                    <Space wrap style={{ marginTop: 4 }}>
+                      {stoppedTargets.map((target) => (
+                        <Button
+                          key={target.id}
+                          size="small"
+                          onClick={() => startTarget(target)}
+                        >
+                          Запустить {target.label} (
+                          {targetStateLabels[target.status.state] ||
+                            target.status.state}
+                          )
+                        </Button>
+                      ))}
+                    </Space>
+                  )
+                }
               >
-                <Input placeholder="http://juice-shop:3000" />
+                <Select
+                  mode="tags"
+                  placeholder="http://juice-shop:3000"
+                  optionLabelProp="value"
+                  onOpenChange={(open) => open && loadTargetCatalog()}
+                  options={targetCatalog.map((target) => ({
+                    value: target.targetUrl,
+                    label: `${target.label} · ${target.targetUrl} (${targetStateLabels[target.status.state] || target.status.state})`,
+                  }))}
+                />
               </Form.Item>
             </Col>
             <Col xs={24} md={12}>
               <Form.Item
-                label="Инструмент"
-                name="tool"
+                label="Инструменты"
+                name="tools"
+                rules={[{ required: true, message: "Выберите инструмент" }]}
+              >
+                <Select mode="multiple" options={toolOptions} />
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Row gutter={[16, 16]}>
+            {selectedTools.map((tool) => (
+              <Col xs={24} md={8} key={tool}>
+                <Form.Item
+                  label={`Профили ${tool}`}
+                  name={["profiles", tool]}
+                  extra="Несколько профилей - отдельные ячейки матрицы"
+                >
+                  <Select
+                    mode="multiple"
+                    loading={!toolProfiles[tool]}
+                    placeholder={
+                      toolProfiles[tool]
+                        ? `По умолчанию: ${toolProfiles[tool].defaultProfile}`
+                        : "Загрузка..."
+                    }
+                    options={(toolProfiles[tool]?.profiles || []).map(
+                      (profile) => ({
+                        value: profile.id,
+                        label: profile.label,
+                        title: profile.description,
+                      }),
+                    )}
+                  />
+                </Form.Item>
+              </Col>
+            ))}
+          </Row>
+
+          <Row gutter={[16, 16]}>
+            <Col xs={24} md={12}>
+              <Form.Item
+                label="Стратегия запуска прогонов"
+                name="schedulingStrategy"
                 rules={[{ required: true }]}
               >
-                <Select>
-                  <Select.Option value="zap">
-                    OWASP ZAP (Baseline)
-                  </Select.Option>
-                  <Select.Option value="nikto">Nikto</Select.Option>
-                  <Select.Option value="wapiti">Wapiti</Select.Option>
-                  <Select.Option value="arachni">Arachni</Select.Option>
-                  <Select.Option value="w4af">w4af</Select.Option>
-                </Select>
+                <Select options={schedulingStrategyOptions} />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={12}>
+              <Form.Item
+                noStyle
+                shouldUpdate={(prev, next) =>
+                  prev.schedulingStrategy !== next.schedulingStrategy
+                }
+              >
+                {({ getFieldValue }) =>
+                  getFieldValue("schedulingStrategy") === "jitter" && (
+                    <Form.Item
+                      label="Случайный разброс (сек)"
+                      name="jitterSeconds"
+                      rules={[
+                        { required: true },
+                        {
+                          type: "number",
+                          min: 0,
+                          max: 60,
+                          message: "0-60 секунд",
+                        },
+                      ]}
+                    >
+                      <InputNumber min={0} max={60} style={{ width: "100%" }} />
+                    </Form.Item>
+                  )
+                }
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Row gutter={[16, 16]}>
+            <Col xs={24} md={8}>
+              <Form.Item
+                label="Параллельных прогонов"
+                name="concurrency"
+                rules={[
+                  { required: true },
+                  { type: "number", min: 1, max: 10, message: "1-10 прогонов" },
+                ]}
+              >
+                <InputNumber min={1} max={10} style={{ width: "100%" }} />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={8}>
+              <Form.Item label="Таймаут прогона (мин)" name="runTimeoutMinutes">
+                <InputNumber
+                  min={1}
+                  placeholder="Без ограничения"
+                  style={{ width: "100%" }}
+                />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={8}>
+              <Form.Item
+                label="Нет вывода дольше (мин)"
+                name="idleTimeoutMinutes"
+              >
+                <InputNumber
+                  min={1}
+                  placeholder="Без ограничения"
+                  style={{ width: "100%" }}
+                />
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Row gutter={[16, 16]}>
+            <Col xs={24} md={8}>
+              <Form.Item label="User-Agent" name={["request", "userAgent"]}>
+                <Input placeholder="По умолчанию сканера" />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={8}>
+              <Form.Item label="Cookies" name={["request", "cookies"]}>
+                <Input placeholder="name=value; name2=value2" />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={8}>
+              <Form.Item
+                label="Upstream прокси"
+                name={["request", "proxy"]}
+                tooltip="Все запросы сканеров идут через этот HTTP прокси"
+              >
+                <Input placeholder="http://proxy:8080" />
+              </Form.Item>
+            </Col>
+            <Col xs={24}>
+              <Form.Item
+                label="Дополнительные заголовки"
+                name={["request", "headers"]}
+                tooltip="По одному заголовку в строке, передаются всем инструментам"
+              >
+                <Input.TextArea
+                  autoSize={{ minRows: 1, maxRows: 4 }}
+                  placeholder="X-Gateway-Key: value"
+                />
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Row gutter={[16, 16]}>
+            <Col xs={24} md={6}>
+              <Form.Item
+                label="Scope: включить"
+                name={["scope", "include"]}
+                tooltip="Регулярные выражения URL; findings вне scope помечаются в отчете"
+              >
+                <Select mode="tags" placeholder="^http://juice-shop:3000/" />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={6}>
+              <Form.Item label="Scope: исключить" name={["scope", "exclude"]}>
+                <Select mode="tags" placeholder="/logout, /api/admin" />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={6}>
+              <Form.Item label="Глубина обхода" name={["scope", "maxDepth"]}>
+                <InputNumber
+                  min={1}
+                  placeholder="По умолчанию сканера"
+                  style={{ width: "100%" }}
+                />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={6}>
+              <Form.Item
+                label="Исключить методы"
+                name={["scope", "excludeMethods"]}
+              >
+                <Select
+                  mode="multiple"
+                  allowClear
+                  placeholder="Все методы"
+                  options={["POST", "PUT", "PATCH", "DELETE"].map((method) => ({
+                    value: method,
+                    label: method,
+                  }))}
+                />
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Row gutter={[16, 16]}>
+            <Col xs={24} md={6}>
+              <Form.Item
+                label="Проверка цели"
+                name={["precheck", "enabled"]}
+                valuePropName="checked"
+                tooltip="HTTP запрос к цели перед запуском; batch ждет, пока цель не ответит"
+              >
+                <Switch />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={6}>
+              <Form.Item
+                label="Ожидаемый текст ответа"
+                name={["precheck", "expectedBody"]}
+              >
+                <Input placeholder="OWASP Juice Shop" />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={6}>
+              <Form.Item
+                label="Проверять перед каждым прогоном"
+                name={["precheck", "perRun"]}
+                valuePropName="checked"
+              >
+                <Switch />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={6}>
+              <Form.Item
+                label="Если цель недоступна"
+                name={["precheck", "onFailure"]}
+              >
+                <Select
+                  options={[
+                    { value: "fail", label: "Не запускать прогоны" },
+                    { value: "postpone", label: "Отложить прогоны" },
+                  ]}
+                />
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Row gutter={[16, 16]}>
+            <Col xs={24} md={8}>
+              <Form.Item
+                label="Сброс цели между прогонами"
+                name={["reset", "strategy"]}
+                tooltip="Прогоны с 2-го начинают с чистого состояния цели; прогоны batch выполняются по одному"
+              >
+                <Select
+                  allowClear
+                  placeholder="Без сброса"
+                  options={[
+                    { value: "restart", label: "Перезапуск сервиса" },
+                    { value: "recreate", label: "Пересоздание из образа" },
+                    { value: "hook", label: "Hook URL" },
+                  ]}
+                />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={8}>
+              <Form.Item
+                label="Сервис Docker Compose"
+                name={["reset", "service"]}
+              >
+                <Input placeholder="juice-shop" />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={8}>
+              <Form.Item label="Hook сброса" name={["reset", "hookUrl"]}>
+                <Input placeholder="http://juice-shop:3000/reset" />
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Row gutter={[16, 16]}>
+            <Col xs={24} md={8}>
+              <Form.Item
+                label="Ground truth"
+                name="groundTruth"
+                tooltip="Известные уязвимости цели: findings размечаются как TP/FP, в отчете benchmark.md - precision, recall и F1 по инструментам"
+              >
+                <Select
+                  options={[
+                    { value: "auto", label: "Авто (по цели каталога)" },
+                    { value: "none", label: "Без оценки" },
+                    ...groundTruthOptions,
+                  ]}
+                />
               </Form.Item>
             </Col>
           </Row>
@@ -1046,6 +1696,35 @@ const BatchScans = () => {
                 <InputNumber min={0} max={60} style={{ width: "100%" }} />
               </Form.Item>
             </Col>
+            <Col xs={24} md={8} style={{ display: "flex", alignItems: "end" }}>
+              <Form.Item label="Теги" name="tags" style={{ flex: 1 }}>
+                <Select mode="tags" placeholder="experiment-1, nightly" />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={8} style={{ display: "flex", alignItems: "end" }}>
+              <Form.Item
+                label="Аутентификация"
+                name="authContextId"
+                tooltip="Контекст входа (форма, bearer токен или cookie), который передается сканерам"
+                style={{ flex: 1 }}
+              >
+                <Select
+                  allowClear
+                  placeholder="Без аутентификации"
+                  options={authContextOptions}
+                />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={8} style={{ display: "flex", alignItems: "end" }}>
+              <Form.Item
+                name="pinImages"
+                valuePropName="checked"
+                tooltip="Все прогоны и повторы batch используют один digest образа сканера"
+                style={{ flex: 1 }}
+              >
+                <Checkbox>Закрепить digest образов</Checkbox>
+              </Form.Item>
+            </Col>
             <Col
               xs={24}
               md={8}
@@ -1080,13 +1759,17 @@ const BatchScans = () => {
                 color={
                   progress.status === "running"
                     ? "processing"
-                    : progress.status === "processing"
+                    : progress.status === "processing" ||
+                        progress.status === "paused"
                       ? "warning"
                       : progress.status === "completed"
                         ? "success"
                         : progress.status === "failed"
                           ? "error"
-                          : "default"
+                          : progress.status === "interrupted" ||
+                              progress.status === "cancelled"
+                            ? "warning"
+                            : "default"
                 }
               >
                 {(progress.status === "ready" && "🎯 Готов к запуску") ||
@@ -1094,14 +1777,56 @@ const BatchScans = () => {
                   (progress.status === "processing" &&
                     "🔄 Обработка результатов") ||
                   (progress.status === "completed" && "✅ Завершен") ||
-                  (progress.status === "failed" && "❌ Ошибка")}
+                  (progress.status === "failed" && "❌ Ошибка") ||
+                  (progress.status === "interrupted" && "⚠️ Прерван") ||
+                  (progress.status === "cancelled" && "⏹️ Отменен") ||
+                  (progress.status === "paused" && "⏸️ Приостановлен")}
               </Tag>
             </span>
-            <span>Batch ID: {currentBatch}</span>
+            <Space>
+              <span>Batch ID: {currentBatch}</span>
+              {currentBatch && progress.status === "running" && (
+                <Button size="small" onClick={pauseBatch}>
+                  Пауза
+                </Button>
+              )}
+              {currentBatch && progress.status === "paused" && (
+                <Button size="small" onClick={resumeBatch}>
+                  Продолжить
+                </Button>
+              )}
+              {currentBatch &&
+                (progress.status === "running" ||
+                  progress.status === "paused") && (
+                  <Button danger size="small" onClick={cancelBatch}>
+                    Остановить
+                  </Button>
+                )}
+              {currentBatch &&
+                isBatchFinished &&
+                runStatuses.some((run) =>
+                  [
+                    "failed",
+                    "timeout",
+                    "target_unavailable",
+                    "interrupted",
+                  ].includes(run.status),
+                ) && (
+                  <Button size="small" onClick={() => retryRuns()}>
+                    Повторить неудачные
+                  </Button>
+                )}
+            </Space>
           </div>
           <Progress
             percent={getProgressPercent()}
-            status={progress.status === "running" ? "active" : "success"}
+            status={
+              progress.status === "running"
+                ? "active"
+                : progress.status === "paused"
+                  ? "normal"
+                  : "success"
+            }
             strokeColor={{
               "0%": "#108ee9",
               "100%": "#87d068",
@@ -1117,7 +1842,12 @@ const BatchScans = () => {
             <span>
               Выполнено: {progress.completed || 0}/{progress.total || 0}
             </span>
-            <span>Ошибок: {progress.failed || 0}</span>
+            <span>
+              Ошибок: {progress.failed || 0} · Таймаутов:{" "}
+              {progress.timedOut || 0} · Цель недоступна:{" "}
+              {progress.targetUnavailable || 0} · Отменено:{" "}
+              {progress.cancelled || 0}
+            </span>
           </div>
         </div>
       </Card>
@@ -1131,109 +1861,249 @@ const BatchScans = () => {
               style={{ marginBottom: 16, height: "600px", overflow: "auto" }}
             >
               <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
-                {runStatuses.map((runStatus, index) => {
-                  const getStatusColor = (status) => {
-                    switch (status) {
-                      case "pending":
-                        return "default";
-                      case "running":
-                        return "processing";
-                      case "completed":
-                        return "success";
-                      case "failed":
-                        return "error";
-                      default:
-                        return "default";
-                    }
-                  };
-
-                  const formatDuration = (duration) => {
-                    if (!duration) return "-";
-                    return `${(duration / 1000).toFixed(1)}s`;
-                  };
-
-                  const formatTime = (timestamp) => {
-                    if (!timestamp) return "-";
-                    return new Date(timestamp).toLocaleTimeString();
-                  };
-
-                  const isSelected = selectedRunIndex === index;
-
-                  return (
-                    <Card
-                      key={index}
-                      size="small"
-                      hoverable
-                      onClick={() => setSelectedRunIndex(index)}
-                      style={{
-                        cursor: "pointer",
-                        borderLeft: `4px solid ${runStatus.status === "completed" ? "#52c41a" : runStatus.status === "failed" ? "#ff4d4f" : runStatus.status === "running" ? "#1890ff" : "#d9d9d9"}`,
-                        backgroundColor: isSelected ? "#f0f8ff" : "white",
-                        border: isSelected
-                          ? "2px solid #1890ff"
-                          : "1px solid #d9d9d9",
-                      }}
-                    >
-                      <div
-                        style={{
-                          display: "flex",
-                          justifyContent: "space-between",
-                          alignItems: "center",
-                          marginBottom: 8,
-                        }}
-                      >
-                        <span style={{ fontWeight: "bold" }}>
-                          Прогон {index + 1}
-                        </span>
-                        <Tag color={getStatusColor(runStatus.status)}>
-                          {runStatus.status === "pending" && "⏳ Ожидает"}
-                          {runStatus.status === "running" && "🔄 Выполняется"}
-                          {runStatus.status === "completed" && "✅ Завершен"}
-                          {runStatus.status === "failed" && "❌ Ошибка"}
-                        </Tag>
+                {groupRunsByCell(runStatuses).map((group) => (
+                  <div
+                    key={group.key}
+                    style={{ display: "flex", flexDirection: "column", gap: 8 }}
+                  >
+                    {group.cell && (
+                      <div style={{ fontWeight: "bold", marginTop: 8 }}>
+                        {group.cell.tool} · {group.cell.targetUrl}
+                        {group.cell.profile && ` · ${group.cell.profile}`}
                       </div>
-
-                      <div style={{ fontSize: "12px", color: "#666" }}>
-                        <div>ID: {runStatus.runId}</div>
-                        <div>Начало: {formatTime(runStatus.startedAt)}</div>
-                        <div>
-                          Завершение: {formatTime(runStatus.completedAt)}
-                        </div>
-                        <div>
-                          Длительность: {formatDuration(runStatus.duration)}
-                        </div>
-                        {runStatus.metrics && (
+                    )}
+                    {group.runStatuses.map((runStatus) => {
+                      const index = runStatus.runIndex;
+                      const getStatusColor = (status) => {
+                        switch (status) {
+                          case "pending":
+                            return "default";
+                          case "precheck":
+                          case "queued":
+                          case "resetting":
+                            return "cyan";
+                          case "running":
+                            return "processing";
+                          case "completed":
+                            return "success";
+                          case "failed":
+                          case "timeout":
+                          case "target_unavailable":
+                            return "error";
+                          case "interrupted":
+                          case "cancelled":
+                            return "warning";
+                          default:
+                            return "default";
+                        }
+                      };
+
+                      const formatDuration = (duration) => {
+                        if (!duration) return "-";
+                        return `${(duration / 1000).toFixed(1)}s`;
+                      };
+
+                      const formatTime = (timestamp) => {
+                        if (!timestamp) return "-";
+                        return new Date(timestamp).toLocaleTimeString();
+                      };
+
+                      const isSelected = selectedRunIndex === index;
+
+                      return (
+                        <Card
+                          key={index}
+                          size="small"
+                          hoverable
+                          onClick={() => setSelectedRunIndex(index)}
+                          style={{
+                            cursor: "pointer",
+                            borderLeft: `4px solid ${runStatus.status === "completed" ? "#52c41a" : ["failed", "timeout", "target_unavailable"].includes(runStatus.status) ? "#ff4d4f" : runStatus.status === "running" ? "#1890ff" : "#d9d9d9"}`,
+                            backgroundColor: isSelected ? "#f0f8ff" : "white",
+                            border: isSelected
+                              ? "2px solid #1890ff"
+                              : "1px solid #d9d9d9",
+                          }}
+                        >
                           <div
                             style={{
-                              marginTop: 4,
-                              padding: "4px",
-                              backgroundColor: "#f0f8ff",
-                              borderRadius: "4px",
+                              display: "flex",
+                              justifyContent: "space-between",
+                              alignItems: "center",
+                              marginBottom: 8,
                             }}
                           >
+                            <span style={{ fontWeight: "bold" }}>
+                              Прогон {index + 1}
+                            </span>
+                            <Tag color={getStatusColor(runStatus.status)}>
+                              {runStatus.status === "pending" && "⏳ Ожидает"}
+                              {runStatus.status === "precheck" &&
+                                "🩺 Проверка цели"}
+                              {runStatus.status === "resetting" &&
+                                "♻️ Сброс цели"}
+                              {runStatus.status === "queued" && "🕒 В очереди"}
+                              {runStatus.status === "running" &&
+                                "🔄 Выполняется"}
+                              {runStatus.status === "completed" &&
+                                "✅ Завершен"}
+                              {runStatus.status === "failed" && "❌ Ошибка"}
+                              {runStatus.status === "timeout" && "⌛ Таймаут"}
+                              {runStatus.status === "target_unavailable" &&
+                                "🚫 Цель недоступна"}
+                              {runStatus.status === "interrupted" &&
+                                "⚠️ Прерван"}
+                              {runStatus.status === "cancelled" && "⏹️ Отменен"}
+                            </Tag>
+                          </div>
+
+                          <div style={{ fontSize: "12px", color: "#666" }}>
+                            <div>ID: {runStatus.runId}</div>
+                            <div>Начало: {formatTime(runStatus.startedAt)}</div>
                             <div>
-                              📊 Метрики: P:
-                              {runStatus.metrics.precision?.toFixed(2)} R:
-                              {runStatus.metrics.recall?.toFixed(2)} F1:
-                              {runStatus.metrics.f1?.toFixed(2)}
+                              Завершение: {formatTime(runStatus.completedAt)}
                             </div>
                             <div>
-                              🔍 Находок: {runStatus.metrics.totalFindings} (TP:
-                              {runStatus.metrics.truePositives} FP:
-                              {runStatus.metrics.falsePositives} UN:
-                              {runStatus.metrics.unmatchedFindings})
+                              Длительность: {formatDuration(runStatus.duration)}
                             </div>
+                            {runStatus.result?.toolVersion && (
+                              <div>Версия: {runStatus.result.toolVersion}</div>
+                            )}
+                            {runStatus.metrics?.samples > 0 && (
+                              <div
+                                style={{
+                                  marginTop: 4,
+                                  padding: "4px",
+                                  backgroundColor: "#f6ffed",
+                                  borderRadius: "4px",
+                                }}
+                              >
+                                <div>
+                                  🖥️ CPU: {runStatus.metrics.cpuPercent}% (пик{" "}
+                                  {runStatus.metrics.cpuPercentMax}%)
+                                </div>
+                                <div>
+                                  💾 Память:{" "}
+                                  {formatBytes(runStatus.metrics.memoryBytes)}{" "}
+                                  (пик{" "}
+                                  {formatBytes(
+                                    runStatus.metrics.memoryPeakBytes,
+                                  )}
+                                  )
+                                </div>
+                                <div>
+                                  🌐 Сеть: ↓
+                                  {formatBytes(
+                                    runStatus.metrics.networkRxBytes,
+                                  )}{" "}
+                                  ↑
+                                  {formatBytes(
+                                    runStatus.metrics.networkTxBytes,
+                                  )}
+                                </div>
+                              </div>
+                            )}
+                            {runStatus.metrics?.precision !== undefined && (
+                              <div
+                                style={{
+                                  marginTop: 4,
+                                  padding: "4px",
+                                  backgroundColor: "#f0f8ff",
+                                  borderRadius: "4px",
+                                }}
+                              >
+                                <div>
+                                  📊 Метрики: P:
+                                  {runStatus.metrics.precision?.toFixed(2) ??
+                                    "-"}{" "}
+                                  R:
+                                  {runStatus.metrics.recall?.toFixed(2) ??
+                                    "-"}{" "}
+                                  F1:
+                                  {runStatus.metrics.f1?.toFixed(2) ?? "-"}
+                                </div>
+                                <div>
+                                  🔍 Находок: {runStatus.metrics.totalFindings}{" "}
+                                  (TP:
+                                  {runStatus.metrics.truePositives} FP:
+                                  {runStatus.metrics.falsePositives} UN:
+                                  {runStatus.metrics.unmatchedFindings})
+                                </div>
+                              </div>
+                            )}
+                            {runStatus.status === "queued" &&
+                              runStatus.queuePosition && (
+                                <div>
+                                  Позиция в очереди: {runStatus.queuePosition}
+                                </div>
+                              )}
+                            {runStatus.precheck && (
+                              <div>
+                                Проверка цели:{" "}
+                                {runStatus.precheck.ok
+                                  ? `HTTP ${runStatus.precheck.status} за ${runStatus.precheck.durationMs} мс`
+                                  : runStatus.precheck.error}{" "}
+                                (попыток: {runStatus.precheck.attempts})
+                                {runStatus.postponed > 0 &&
+                                  `, отложен: ${runStatus.postponed}`}
+                              </div>
+                            )}
+                            {runStatus.reset && (
+                              <div>
+                                Сброс цели ({runStatus.reset.strategy}):{" "}
+                                {runStatus.reset.ok
+                                  ? `${runStatus.reset.durationMs} мс`
+                                  : runStatus.reset.error}
+                              </div>
+                            )}
+                            {runStatus.attempt > 1 && (
+                              <div>Попытка: {runStatus.attempt}</div>
+                            )}
+                            {runStatus.error && (
+                              <div style={{ color: "#ff4d4f", marginTop: 4 }}>
+                                Ошибка: {runStatus.error}
+                              </div>
+                            )}
+                            {currentBatch &&
+                              isBatchFinished &&
+                              runStatus.status !== "pending" && (
+                                <Button
+                                  size="small"
+                                  style={{ marginTop: 8 }}
+                                  onClick={(event) => {
+                                    event.stopPropagation();
+                                    retryRuns([index]);
+                                  }}
+                                >
+                                  Повторить
+                                </Button>
+                              )}
+                            {currentBatch &&
+                              [
+                                "pending",
+                                "precheck",
+                                "queued",
+                                "resetting",
+                                "running",
+                              ].includes(runStatus.status) && (
+                                <Button
+                                  danger
+                                  size="small"
+                                  style={{ marginTop: 8 }}
+                                  onClick={(event) => {
+                                    event.stopPropagation();
+                                    cancelRun(index);
+                                  }}
+                                >
+                                  Остановить
+                                </Button>
+                              )}
                           </div>
-                        )}
-                        {runStatus.error && (
-                          <div style={{ color: "#ff4d4f", marginTop: 4 }}>
-                            Ошибка: {runStatus.error}
-                          </div>
-                        )}
-                      </div>
-                    </Card>
-                  );
-                })}
+                        </Card>
+                      );
+                    })}
+                  </div>
+                ))}
               </div>
             </Card>
           </Col>
@@ -1315,6 +2185,337 @@ const BatchScans = () => {
   );
 };
 
+const batchStatusTags = {
+  created: { color: "default", label: "Создан" },
+  running: { color: "processing", label: "Выполняется" },
+  paused: { color: "warning", label: "Приостановлен" },
+  completed: { color: "success", label: "Завершен" },
+  cancelled: { color: "warning", label: "Отменен" },
+  interrupted: { color: "warning", label: "Прерван" },
+  error: { color: "error", label: "Ошибка запуска" },
+  skipped: { color: "default", label: "Пропущен" },
+  unknown: { color: "default", label: "Неизвестно" },
+};
+
+const batchStatusTag = (status) => {
+  const tag = batchStatusTags[status] || batchStatusTags.unknown;
+  return <Tag color={tag.color}>{tag.label}</Tag>;
+};
+
+const formatDateTime = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleString() : "-";
+
+const formatBytes = (bytes) => {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  const exponent = Math.min(
+    Math.floor(Math.log(bytes) / Math.log(1024)),
+    units.length - 1,
+  );
+  return `${(bytes / 1024 ** exponent).toFixed(1)} ${units[exponent]}`;
+};
+
+// Schedules component
+const SchedulesPage = () => {
+  const [scheduleForm] = Form.useForm();
+  const toolOptions = useToolOptions();
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadSchedules = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get("/api/schedules");
+      setSchedules(res.data.schedules);
+    } catch (error) {
+      message.error("Failed to load schedules: " + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSchedules();
+    const timer = setInterval(loadSchedules, 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const requestError = (error) => error.response?.data?.error || error.message;
+
+  const createSchedule = async (values) => {
+    setSaving(true);
+    try {
+      const { name, cron, ...config } = values;
+      await axios.post("/api/schedules", { name, cron, config });
+      message.success(`Schedule "${name}" created`);
+      scheduleForm.resetFields();
+      await loadSchedules();
+    } catch (error) {
+      message.error("Failed to create schedule: " + requestError(error));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleSchedule = async (schedule, enabled) => {
+    try {
+      await axios.put(`/api/schedules/${schedule.id}`, { enabled });
+      await loadSchedules();
+    } catch (error) {
+      message.error("Failed to update schedule: " + requestError(error));
+    }
+  };
+
+  const runSchedule = async (schedule) => {
+    try {
+      const res = await axios.post(`/api/schedules/${schedule.id}/run`);
+      message.success(res.data.message);
+      await loadSchedules();
+    } catch (error) {
+      message.error("Failed to run schedule: " + requestError(error));
+    }
+  };
+
+  const deleteSchedule = async (schedule) => {
+    try {
+      await axios.delete(`/api/schedules/${schedule.id}`);
+      await loadSchedules();
+    } catch (error) {
+      message.error("Failed to delete schedule: " + requestError(error));
+    }
+  };
+
+  const columns = [
+    {
+      title: "Название",
+      dataIndex: "name",
+      key: "name",
+    },
+    {
+      title: "Cron",
+      dataIndex: "cron",
+      key: "cron",
+      render: (value) => <Text code>{value}</Text>,
+    },
+    {
+      title: "Конфигурация",
+      key: "config",
+      render: (_, record) => (
+        <div style={{ fontSize: "12px" }}>
+          <div>
+            {record.config.matrix?.tools?.join(", ") || record.config.tool} ×{" "}
+            {record.config.repetitions}
+          </div>
+          <div style={{ color: "#666" }}>
+            {record.config.matrix?.targets?.join(", ") ||
+              record.config.targetUrl}
+          </div>
+        </div>
+      ),
+    },
+    {
+      title: "Включено",
+      dataIndex: "enabled",
+      key: "enabled",
+      render: (value, record) => (
+        <Switch
+          checked={value}
+          onChange={(checked) => toggleSchedule(record, checked)}
+        />
+      ),
+    },
+    {
+      title: "Следующий запуск",
+      dataIndex: "nextRunAt",
+      key: "nextRunAt",
+      render: formatDateTime,
+    },
+    {
+      title: "Последний запуск",
+      dataIndex: "lastRunAt",
+      key: "lastRunAt",
+      render: formatDateTime,
+    },
+    {
+      title: "Результат",
+      key: "lastOutcome",
+      render: (_, record) =>
+        record.lastOutcome ? batchStatusTag(record.lastOutcome.status) : "-",
+    },
+    {
+      title: "",
+      key: "actions",
+      render: (_, record) => (
+        <Space>
+          <Button size="small" onClick={() => runSchedule(record)}>
+            Запустить сейчас
+          </Button>
+          <Popconfirm
+            title="Удалить расписание?"
+            onConfirm={() => deleteSchedule(record)}
+          >
+            <Button size="small" danger>
+              Удалить
+            </Button>
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  const historyColumns = [
+    {
+      title: "Запуск",
+      dataIndex: "triggeredAt",
+      key: "triggeredAt",
+      render: formatDateTime,
+    },
+    {
+      title: "Batch ID",
+      dataIndex: "batchId",
+      key: "batchId",
+      render: (value, record) => value || record.error || record.skipped,
+    },
+    {
+      title: "Статус",
+      dataIndex: "status",
+      key: "status",
+      render: batchStatusTag,
+    },
+    {
+      title: "Прогоны",
+      key: "progress",
+      render: (_, record) =>
+        record.progress
+          ? `${record.progress.completed}/${record.progress.total}, ошибок: ${record.progress.failed}`
+          : "-",
+    },
+  ];
+
+  return (
+    <div>
+      <Card title="Новое расписание" style={{ marginBottom: 16 }}>
+        <Form
+          form={scheduleForm}
+          layout="vertical"
+          onFinish={createSchedule}
+          initialValues={{
+            cron: "0 2 * * *",
+            targetUrl: "http://juice-shop:3000",
+            tool: "zap",
+            repetitions: 1,
+            intervalSeconds: 2,
+            schedulingStrategy: "interval",
+          }}
+        >
+          <Row gutter={[16, 16]}>
+            <Col xs={24} md={8}>
+              <Form.Item
+                label="Название"
+                name="name"
+                rules={[{ required: true, message: "Введите название" }]}
+              >
+                <Input placeholder="Ночной прогон ZAP" />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={8}>
+              <Form.Item
+                label="Cron выражение"
+                name="cron"
+                extra="минута час день месяц день_недели, время сервера"
+                rules={[{ required: true, message: "Введите cron выражение" }]}
+              >
+                <Input placeholder="0 2 * * *" />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={8}>
+              <Form.Item
+                label="Инструмент"
+                name="tool"
+                rules={[{ required: true }]}
+              >
+                <Select options={toolOptions} />
+              </Form.Item>
+            </Col>
+          </Row>
+          <Row gutter={[16, 16]}>
+            <Col xs={24} md={8}>
+              <Form.Item
+                label="Целевой URL"
+                name="targetUrl"
+                rules={[{ required: true, message: "Введите URL цели" }]}
+              >
+                <Input placeholder="http://juice-shop:3000" />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={4}>
+              <Form.Item
+                label="Повторений"
+                name="repetitions"
+                rules={[{ required: true }]}
+              >
+                <InputNumber min={1} max={50} style={{ width: "100%" }} />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={4}>
+              <Form.Item
+                label="Интервал (сек)"
+                name="intervalSeconds"
+                rules={[{ required: true }]}
+              >
+                <InputNumber min={0} max={60} style={{ width: "100%" }} />
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={4}>
+              <Form.Item label="Стратегия" name="schedulingStrategy">
+                <Select options={schedulingStrategyOptions} />
+              </Form.Item>
+            </Col>
+            <Col
+              xs={24}
+              md={4}
+              style={{ display: "flex", alignItems: "end", marginBottom: 24 }}
+            >
+              <Button type="primary" htmlType="submit" loading={saving} block>
+                Создать
+              </Button>
+            </Col>
+          </Row>
+        </Form>
+      </Card>
+
+      <Card
+        title="Расписания"
+        extra={<Button onClick={loadSchedules}>Обновить</Button>}
+      >
+        <Table
+          rowKey="id"
+          loading={loading}
+          columns={columns}
+          dataSource={schedules}
+          pagination={false}
+          expandable={{
+            expandedRowRender: (record) => (
+              <Table
+                rowKey="triggeredAt"
+                size="small"
+                columns={historyColumns}
+                dataSource={record.history}
+                pagination={false}
+              />
+            ),
+            rowExpandable: (record) => record.history.length > 0,
+          }}
+          locale={{
+            emptyText: <Empty description="Расписаний пока нет" />,
+          }}
+        />
+      </Card>
+    </div>
+  );
+};
+
 const App = () => {
   const [route, setRoute] = useState(getCurrentRoute);
 
@@ -1326,7 +2527,13 @@ const App = () => {
   }, []);
 
   const currentPage =
-    route === routes.recommendations ? <RecommendationsPage /> : <BatchScans />;
+    route === routes.recommendations ? (
+      <RecommendationsPage />
+    ) : route === routes.schedules ? (
+      <SchedulesPage />
+    ) : (
+      <BatchScans />
+    );
 
   return (
     <Flex
@@ -1352,6 +2559,20 @@ const App = () => {
           >
             {`Сканирование`.toLocaleUpperCase()}
           </Button>
+          <Button
+            size="large"
+            type={route === routes.schedules ? "link" : "text"}
+            style={{
+              borderRadius: 0,
+              padding: 0,
+              margin: "0 15px",
+              borderBottom:
+                route === routes.schedules ? "1px solid blue" : "none",
+            }}
+            onClick={() => navigateTo(routes.schedules)}
+          >
+            {`Расписания`.toUpperCase()}
+          </Button>
           <Button
             size="large"
             type={route === routes.recommendations ? "link" : "text"}